@@ -0,0 +1,670 @@
+// ---------- Q-LEARNING AGENT (Logic only, no DOM) ----------
+(function (root, factory) {
+  if (typeof module === "object" && module.exports) {
+    module.exports = factory(require("./sim.js"), require("./encoder.js"));
+  } else {
+    root.TrafficAgent = factory(root.TrafficSim, root.TrafficEncoder);
+  }
+})(this, function (Sim, TrafficEncoder) {
+
+  // ---------- Q-LEARNING CONFIG ----------
+  const ACTIONS = ["EXTEND", "SWITCH"];
+  const ALPHA = 0.1;    // Default learning rate
+  const GAMMA = 0.9;    // Default discount factor (future reward importance)
+
+  // Update rules, by the name stored in agent.learning.algorithm (see UPDATE RULES)
+  const ALGORITHMS = {
+    qLearning: "Q-learning",
+    sarsa: "SARSA",
+    expectedSarsa: "Expected SARSA",
+    doubleQ: "Double Q-learning",
+    nStep: "n-step Q-learning",
+    qLambda: "Watkins Q(λ)"
+  };
+
+  // n: rewards summed before bootstrapping (nStep), lambda: trace decay (qLambda)
+  const DEFAULT_LEARNING = { algorithm: "qLearning", alpha: ALPHA, gamma: GAMMA, n: 3, lambda: 0.8 };
+
+  const TRACE_CUTOFF = 0.001; // Eligibility below this is dropped
+
+  // How the exploration rate (agent.epsilon) is used: the probability of a
+  // random action, the softmax temperature, or the UCB bonus weight. 0 = greedy.
+  const STRATEGIES = {
+    epsilonGreedy: "ε-greedy",
+    softmax: "Softmax",
+    ucb: "UCB"
+  };
+
+  // How the rate decays from agent.epsilon down to min; decay is the seconds
+  // to reach min (linear), the half-life in seconds (exponential) or the
+  // visits of a state that halve its rate (visits)
+  const SCHEDULES = {
+    constant: "Constant",
+    linear: "Linear decay",
+    exponential: "Exponential decay",
+    visits: "Visit-count decay"
+  };
+
+  const DEFAULT_EXPLORATION = { strategy: "epsilonGreedy", schedule: "constant", min: 0, decay: 3600 };
+
+  // interval: minimum seconds between two decisions (see DECISION TIMING)
+  const DEFAULT_TIMING = { interval: 1 };
+  const WINDOW_HISTORY = 50; // Closed reward windows kept for the diagnostics view
+
+  const DIVERGENCE = 10; // A row whose largest |Q| is this many times the table's median is flagged
+
+  // rng drives exploration only; seed it separately from the environment
+  function createQAgent(epsilon = 0.05, rng = Math.random) {
+    return {
+      Q: {},            // Q-table: state -> { EXTEND: value, SWITCH: value }
+      Q2: {},           // Second table, Double Q-learning only
+      epsilon: epsilon, // Exploration rate (5% random actions)
+      exploration: Object.assign({}, DEFAULT_EXPLORATION), // Strategy and decay schedule
+      explorationTime: 0, // Simulated seconds of decisions so far (time-based schedules)
+      lastRate: epsilon, // Effective rate of the last decision
+      visits: {},       // state -> { action: times chosen } (UCB, visit-count decay)
+      updated: {},      // state -> explorationTime of its last value update (inspector)
+      locks: {},        // state -> action always taken there (what-if testing)
+      lastChoice: null, // Why the last action was chosen (decision events, see chooseAction)
+      learning: Object.assign({}, DEFAULT_LEARNING), // Update rule and its hyperparameters
+      timing: Object.assign({}, DEFAULT_TIMING),
+      window: null,     // Reward window of the last decision, still open (see DECISION TIMING)
+      windows: [],      // Recently closed windows, newest last
+      prevReward: 0,    // cumulativeReward when the agent last looked
+      prevCounts: {},   // env.rewardCounts when the agent last looked
+      rewardWeights: null, // REWARDS to learn from instead of the env's own reward (null = as scored)
+      history: [],      // n-step: { state, action, reward } still waiting for their return
+      traces: [],       // Q(λ): { state, action, e } eligibility traces
+      rng: rng,
+      observeNeighbours: false, // Grid only: add upstream flow to the state (coordinated learning)
+      encoder: TrafficEncoder.DEFAULT_ENCODER // State features / bins the Q-table keys come from
+    };
+  }
+
+  // Independent copy (e.g. for evaluation) so the live table is never touched
+  function cloneAgent(agent, epsilon = agent.epsilon, rng = agent.rng) {
+    const copy = createQAgent(epsilon, rng);
+    copy.Q = JSON.parse(JSON.stringify(agent.Q));
+    copy.Q2 = JSON.parse(JSON.stringify(agent.Q2));
+    copy.learning = Object.assign({}, agent.learning);
+    copy.timing = Object.assign({}, agent.timing);
+    copy.exploration = Object.assign({}, agent.exploration);
+    copy.explorationTime = agent.explorationTime;
+    copy.visits = JSON.parse(JSON.stringify(agent.visits));
+    copy.updated = Object.assign({}, agent.updated);
+    copy.locks = Object.assign({}, agent.locks);
+    copy.rewardWeights = agent.rewardWeights && Object.assign({}, agent.rewardWeights);
+    copy.observeNeighbours = agent.observeNeighbours;
+    copy.encoder = agent.encoder;
+    return copy;
+  }
+
+  // Forget the last transition (new episode / reset)
+  function resetAgent(agent) {
+    agent.window = null;
+    agent.windows = [];
+    agent.prevReward = 0;
+    agent.prevCounts = {};
+    agent.history = [];
+    agent.traces = [];
+  }
+
+  // Throws on settings the update rules can't use; returns a normalised copy
+  function validateLearning(config) {
+    const l = Object.assign({}, DEFAULT_LEARNING, config);
+    if (!ALGORITHMS[l.algorithm]) throw new Error(`Unknown algorithm ${l.algorithm}, expected one of ${Object.keys(ALGORITHMS).join(", ")}`);
+    if (!(l.alpha > 0 && l.alpha <= 1)) throw new Error("alpha must be in (0, 1]");
+    if (!(l.gamma >= 0 && l.gamma <= 1)) throw new Error("gamma must be in [0, 1]");
+    if (!(Number.isInteger(l.n) && l.n >= 1)) throw new Error("n must be a positive integer");
+    if (!(l.lambda >= 0 && l.lambda <= 1)) throw new Error("lambda must be in [0, 1]");
+    return { algorithm: l.algorithm, alpha: l.alpha, gamma: l.gamma, n: l.n, lambda: l.lambda };
+  }
+
+  // Switch update rule / hyperparameters; pending n-step returns and traces are dropped
+  function setLearning(agent, config) {
+    agent.learning = validateLearning(config);
+    agent.history = [];
+    agent.traces = [];
+  }
+
+  // e.g. "n-step Q-learning (α 0.1, γ 0.9, n 3)"
+  function describeLearning(l) {
+    let text = `${ALGORITHMS[l.algorithm]} (α ${l.alpha}, γ ${l.gamma}`;
+    if (l.algorithm === "nStep") text += `, n ${l.n}`;
+    if (l.algorithm === "qLambda") text += `, λ ${l.lambda}`;
+    return text + ")";
+  }
+
+  // Actions available in the current env: with turning movements the agent
+  // picks the next phase itself instead of just switching to "the other" one
+  function actionsFor(env) {
+    if (!env.turning) return ACTIONS;
+    return ["EXTEND"].concat(Sim.phaseCycle(env).filter(p => p !== env.currentPhase));
+  }
+
+  // Discretize the environment state into a string key (see encoder.js)
+  function getState(env, observeNeighbours = false, encoder = TrafficEncoder.DEFAULT_ENCODER) {
+    return TrafficEncoder.encode(env, encoder, { observeNeighbours: observeNeighbours });
+  }
+
+  // Initialize Q-values for a new state
+  function initQ(agent, state, actions = ACTIONS) {
+    if (!agent.Q[state]) {
+      agent.Q[state] = {};
+      actions.forEach(a => { agent.Q[state][a] = 0; });
+    }
+  }
+
+  // Greedy action; ties go to the earliest action (EXTEND)
+  function bestAction(values, actions) {
+    return actions.reduce((best, a) => (values[a] > values[best] ? a : best), actions[0]);
+  }
+
+  // Double Q-learning: a state new to the second table starts from the first
+  // table's values, so a table learned with another rule keeps its policy
+  function initQ2(agent, state) {
+    if (!agent.Q2[state]) agent.Q2[state] = Object.assign({}, agent.Q[state]);
+  }
+
+  // Values the policy acts on: the table, or both tables summed (Double Q)
+  function actionValues(agent, state) {
+    if (agent.learning.algorithm !== "doubleQ") return agent.Q[state];
+    initQ2(agent, state);
+    const values = {};
+    Object.keys(agent.Q[state]).forEach(a => { values[a] = agent.Q[state][a] + agent.Q2[state][a]; });
+    return values;
+  }
+
+  // ---------- EXPLORATION ----------
+  function validateExploration(config) {
+    const x = Object.assign({}, DEFAULT_EXPLORATION, config);
+    if (!STRATEGIES[x.strategy]) throw new Error(`Unknown exploration strategy ${x.strategy}, expected one of ${Object.keys(STRATEGIES).join(", ")}`);
+    if (!SCHEDULES[x.schedule]) throw new Error(`Unknown exploration schedule ${x.schedule}, expected one of ${Object.keys(SCHEDULES).join(", ")}`);
+    if (!(x.min >= 0)) throw new Error("Minimum exploration rate must be non-negative");
+    if (!(x.decay > 0)) throw new Error("Exploration decay must be positive");
+    return { strategy: x.strategy, schedule: x.schedule, min: x.min, decay: x.decay };
+  }
+
+  function setExploration(agent, config) {
+    agent.exploration = validateExploration(config);
+  }
+
+  // e.g. "ε-greedy, exponential decay to 0.01 (3600)"
+  function describeExploration(x) {
+    const text = STRATEGIES[x.strategy];
+    if (x.schedule === "constant") return text;
+    return `${text}, ${SCHEDULES[x.schedule].toLowerCase()} to ${x.min} (${x.decay})`;
+  }
+
+  function stateVisits(agent, state) {
+    const row = agent.visits[state];
+    return row ? Object.values(row).reduce((a, b) => a + b, 0) : 0;
+  }
+
+  // Exploration rate in effect for a decision in this state
+  function explorationRate(agent, state) {
+    const x = agent.exploration;
+    const start = agent.epsilon;
+    const min = Math.min(x.min, start); // A rate set below min is never raised
+    switch (x.schedule) {
+      case "linear":
+        return start - (start - min) * Math.min(1, agent.explorationTime / x.decay);
+      case "exponential":
+        return min + (start - min) * Math.pow(0.5, agent.explorationTime / x.decay);
+      case "visits":
+        return min + (start - min) * x.decay / (x.decay + stateVisits(agent, state));
+      default:
+        return start;
+    }
+  }
+
+  // Boltzmann probabilities at temperature rate (greedy at 0)
+  function softmaxProbabilities(values, actions, rate) {
+    const probs = {};
+    if (rate <= 0) {
+      const best = bestAction(values, actions);
+      actions.forEach(a => { probs[a] = a === best ? 1 : 0; });
+      return probs;
+    }
+    const top = Math.max(...actions.map(a => values[a]));
+    const weights = actions.map(a => Math.exp((values[a] - top) / rate));
+    const total = weights.reduce((a, b) => a + b, 0);
+    actions.forEach((a, i) => { probs[a] = weights[i] / total; });
+    return probs;
+  }
+
+  // Highest value plus bonus rate * sqrt(ln N / n); actions never tried go first
+  function ucbAction(agent, state, values, actions, rate) {
+    const counts = agent.visits[state] || {};
+    const total = stateVisits(agent, state);
+    const score = a => {
+      const n = counts[a] || 0;
+      if (rate > 0 && n === 0) return Infinity;
+      return values[a] + (rate > 0 ? rate * Math.sqrt(Math.log(total) / n) : 0);
+    };
+    return actions.reduce((best, a) => (score(a) > score(best) ? a : best), actions[0]);
+  }
+
+  // Probability of each action under the current policy (Expected SARSA)
+  function policyProbabilities(agent, state, actions) {
+    const values = actionValues(agent, state);
+    const rate = explorationRate(agent, state);
+    const probs = {};
+    if (agent.exploration.strategy === "softmax") return softmaxProbabilities(values, actions, rate);
+    if (agent.exploration.strategy === "ucb") {
+      const chosen = ucbAction(agent, state, values, actions, rate);
+      actions.forEach(a => { probs[a] = a === chosen ? 1 : 0; });
+      return probs;
+    }
+    const greedy = bestAction(values, actions);
+    actions.forEach(a => { probs[a] = rate / actions.length + (a === greedy ? 1 - rate : 0); });
+    return probs;
+  }
+
+  // Choose action with the agent's exploration strategy. agent.lastChoice
+  // records the values it saw and the mode: "exploit" (the greedy action),
+  // "explore" (any other) or "locked".
+  function chooseAction(agent, state, actions = ACTIONS) {
+    initQ(agent, state, actions);
+    const rate = explorationRate(agent, state);
+    agent.lastRate = rate;
+    const locked = agent.locks[state];
+    const isLocked = locked && actions.indexOf(locked) >= 0;
+    const action = isLocked ? locked : pickAction(agent, state, actions, rate);
+    const values = actionValues(agent, state);
+    const greedy = bestAction(values, actions);
+    agent.lastChoice = {
+      state: state,
+      values: Object.assign({}, values),
+      greedy: greedy,
+      mode: isLocked ? "locked" : action === greedy ? "exploit" : "explore",
+      rate: rate
+    };
+    if (!agent.visits[state]) agent.visits[state] = {};
+    agent.visits[state][action] = (agent.visits[state][action] || 0) + 1;
+    return action;
+  }
+
+  function pickAction(agent, state, actions, rate) {
+    const strategy = agent.exploration.strategy;
+    if (strategy === "softmax") {
+      const probs = softmaxProbabilities(actionValues(agent, state), actions, rate);
+      let r = agent.rng();
+      for (const a of actions) {
+        r -= probs[a];
+        if (r < 0) return a;
+      }
+      return actions[actions.length - 1];
+    }
+    if (strategy === "ucb") return ucbAction(agent, state, actionValues(agent, state), actions, rate);
+
+    // Exploration: random action
+    if (agent.rng() < rate) {
+      return actions[Math.floor(agent.rng() * actions.length)];
+    }
+    // Exploitation: best known action
+    return bestAction(actionValues(agent, state), actions);
+  }
+
+  // Update Q-value using Bellman equation; discount = GAMMA^(seconds until nState)
+  function updateQ(agent, pState, action, reward, nState, nActions = ACTIONS, discount = agent.learning.gamma) {
+    initQ(agent, pState);
+    initQ(agent, nState, nActions);
+    const Q = agent.Q;
+    const bestNext = Math.max(...Object.values(Q[nState]));
+    Q[pState][action] += agent.learning.alpha * (reward + discount * bestNext - Q[pState][action]);
+    touch(agent, pState);
+  }
+
+  function touch(agent, state) {
+    agent.updated[state] = agent.explorationTime;
+  }
+
+  // ---------- UPDATE RULES ----------
+  // Each rule learns from one finished transition:
+  //   t = { state, action, reward, discount, next, nextActions, nextAction }
+  // reward is already discounted within the window, discount = GAMMA^duration
+  // applies to next; nextAction is what the policy just chose there (on-policy rules use it).
+
+  function maxValue(row) {
+    return Math.max(...Object.values(row));
+  }
+
+  // Value of a state under the current exploration policy
+  function expectedValue(agent, state, actions) {
+    const row = agent.Q[state];
+    const probs = policyProbabilities(agent, state, actions);
+    return actions.reduce((sum, a) => sum + row[a] * probs[a], 0);
+  }
+
+  function tdStep(agent, table, state, action, target) {
+    table[state][action] += agent.learning.alpha * (target - table[state][action]);
+    touch(agent, state);
+  }
+
+  const UPDATES = {
+    // Off-policy one-step: bootstrap on the best next action
+    qLearning(agent, t) {
+      updateQ(agent, t.state, t.action, t.reward, t.next, t.nextActions, t.discount);
+    },
+
+    // On-policy one-step: bootstrap on the action actually taken next
+    sarsa(agent, t) {
+      initQ(agent, t.next, t.nextActions);
+      tdStep(agent, agent.Q, t.state, t.action, t.reward + t.discount * agent.Q[t.next][t.nextAction]);
+    },
+
+    // Bootstrap on the policy's expectation over the next actions
+    expectedSarsa(agent, t) {
+      initQ(agent, t.next, t.nextActions);
+      tdStep(agent, agent.Q, t.state, t.action, t.reward + t.discount * expectedValue(agent, t.next, t.nextActions));
+    },
+
+    // Two tables; a coin flip picks the one to update, which chooses the
+    // next action while the other one values it (removes the max bias)
+    doubleQ(agent, t) {
+      initQ(agent, t.next, t.nextActions);
+      initQ2(agent, t.state);
+      initQ2(agent, t.next);
+      const [update, other] = agent.rng() < 0.5 ? [agent.Q, agent.Q2] : [agent.Q2, agent.Q];
+      const next = bestAction(update[t.next], t.nextActions);
+      tdStep(agent, update, t.state, t.action, t.reward + t.discount * other[t.next][next]);
+    },
+
+    // Sum of the last n rewards, then bootstrap on the best action n decisions later
+    nStep(agent, t) {
+      agent.history.push({ state: t.state, action: t.action, reward: t.reward, discount: t.discount });
+      if (agent.history.length < agent.learning.n) return;
+
+      initQ(agent, t.next, t.nextActions);
+      let ret = 0;
+      let discount = 1; // Each window's reward is discounted by the windows before it
+      agent.history.forEach(h => {
+        ret += discount * h.reward;
+        discount *= h.discount;
+      });
+      const first = agent.history.shift();
+      tdStep(agent, agent.Q, first.state, first.action, ret + discount * maxValue(agent.Q[t.next]));
+    },
+
+    // Q-learning TD error spread back over recently visited pairs by
+    // replacing eligibility traces; traces are cut after an exploratory action
+    qLambda(agent, t) {
+      const l = agent.learning;
+      initQ(agent, t.next, t.nextActions);
+      const delta = t.reward + t.discount * maxValue(agent.Q[t.next]) - agent.Q[t.state][t.action];
+
+      const existing = agent.traces.find(tr => tr.state === t.state && tr.action === t.action);
+      if (existing) existing.e = 1;
+      else agent.traces.push({ state: t.state, action: t.action, e: 1 });
+
+      agent.traces.forEach(tr => {
+        agent.Q[tr.state][tr.action] += l.alpha * delta * tr.e;
+        touch(agent, tr.state);
+      });
+
+      const greedy = agent.Q[t.next][t.nextAction] === maxValue(agent.Q[t.next]);
+      if (!greedy) {
+        agent.traces = [];
+        return;
+      }
+      agent.traces.forEach(tr => { tr.e *= t.discount * l.lambda; });
+      agent.traces = agent.traces.filter(tr => tr.e >= TRACE_CUTOFF);
+    }
+  };
+
+  // ---------- INSPECTION ----------
+  // What the Q-table inspector shows and lets you change by hand.
+
+  function median(values) {
+    if (values.length === 0) return 0;
+    const sorted = values.slice().sort((a, b) => a - b);
+    const mid = sorted.length >> 1;
+    return sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+  }
+
+  // One row per state in the table:
+  // { state, values, greedy, visits, updated (explorationTime, null = never), locked, diverging }
+  function inspectTable(agent) {
+    const states = Object.keys(agent.Q).sort();
+    const magnitude = state => Math.max(...Object.values(agent.Q[state]).map(Math.abs));
+    const typical = median(states.map(magnitude));
+    return states.map(state => {
+      const values = actionValues(agent, state);
+      const largest = magnitude(state);
+      return {
+        state: state,
+        values: Object.assign({}, agent.Q[state]),
+        greedy: bestAction(values, Object.keys(values)),
+        visits: stateVisits(agent, state),
+        updated: agent.updated[state] !== undefined ? agent.updated[state] : null,
+        locked: agent.locks[state] || null,
+        diverging: !isFinite(largest) || (typical > 0 && largest > DIVERGENCE * typical)
+      };
+    });
+  }
+
+  // Hand-set value (both tables under Double Q, so the policy sees it as set)
+  function setQValue(agent, state, action, value) {
+    if (!agent.Q[state] || !(action in agent.Q[state])) throw new Error(`No ${action} value for state ${state}`);
+    if (typeof value !== "number" || !isFinite(value)) throw new Error("Q-value must be a finite number");
+    agent.Q[state][action] = value;
+    if (agent.learning.algorithm === "doubleQ") {
+      initQ2(agent, state);
+      agent.Q2[state][action] = value;
+    }
+    touch(agent, state);
+  }
+
+  // Always take action in state while it is valid (null unlocks)
+  function lockAction(agent, state, action) {
+    if (!action) {
+      delete agent.locks[state];
+      return;
+    }
+    if (!agent.Q[state] || !(action in agent.Q[state])) throw new Error(`No ${action} action in state ${state}`);
+    agent.locks[state] = action;
+  }
+
+  // ---------- DECISION TIMING (semi-MDP) ----------
+  // The agent decides at most every timing.interval seconds, and only when it
+  // has a real choice: during the MIN_GREEN_TIME lockout and clearances the
+  // only valid action is EXTEND, so those ticks are no decision at all and
+  // nothing is learned from them. Everything from one decision to the next is
+  // one reward window: each tick's reward is discounted by its age in the
+  // window, and the next decision's value by GAMMA^(window length).
+
+  // Actions that would actually do something right now
+  function validActions(env) {
+    return Sim.canSwitch(env) ? actionsFor(env) : ["EXTEND"];
+  }
+
+  function validateTiming(config) {
+    const t = Object.assign({}, DEFAULT_TIMING, config);
+    if (!(Number.isInteger(t.interval) && t.interval >= 1)) throw new Error("Decision interval must be a whole number of seconds (1 or more)");
+    return { interval: t.interval };
+  }
+
+  function setTiming(agent, config) {
+    agent.timing = validateTiming(config);
+  }
+
+  // Called every tick: adds the reward since the last tick to the open window,
+  // along with its counts per REWARDS term (see reweighWindow)
+  function trackReward(agent, env, gamma) {
+    const counts = {};
+    Object.keys(env.rewardCounts).forEach(term => {
+      const delta = env.rewardCounts[term] - (agent.prevCounts[term] || 0);
+      if (delta !== 0) counts[term] = delta;
+    });
+    agent.prevCounts = Object.assign({}, env.rewardCounts);
+    const reward = agent.rewardWeights ? Sim.weighRewards(counts, agent.rewardWeights) : env.cumulativeReward - agent.prevReward;
+    agent.prevReward = env.cumulativeReward;
+    const w = agent.window;
+    if (!w) return;
+    const discount = Math.pow(gamma, w.ticks);
+    w.discounted += discount * reward;
+    w.reward += reward;
+    Object.keys(counts).forEach(term => {
+      w.counts[term] = (w.counts[term] || 0) + counts[term];
+      w.discountedCounts[term] = (w.discountedCounts[term] || 0) + discount * counts[term];
+    });
+    w.ticks++;
+  }
+
+  // A window's reward and discounted reward under other weights (missing terms: the current REWARDS)
+  function reweighWindow(w, weights) {
+    return { reward: Sim.weighRewards(w.counts, weights), discounted: Sim.weighRewards(w.discountedCounts, weights) };
+  }
+
+  function decisionDue(agent, env) {
+    if (agent.window && env.time - agent.window.start < agent.timing.interval) return false;
+    return validActions(env).length > 1;
+  }
+
+  // Close the open window (returned, null on the first decision) and open one for this decision
+  function nextWindow(agent, env, state, action) {
+    const closed = agent.window;
+    if (closed) {
+      closed.end = env.time;
+      agent.windows.push(closed);
+      if (agent.windows.length > WINDOW_HISTORY) agent.windows.shift();
+    }
+    agent.window = { start: env.time, state: state, action: action, ticks: 0, reward: 0, discounted: 0, counts: {}, discountedCounts: {} };
+    return closed;
+  }
+
+  // ---------- CONTROLLER HOOKS (see controllers.js) ----------
+  // Decision due this tick? { state, actions } with the valid actions only, or null
+  function observe(agent, env) {
+    trackReward(agent, env, agent.learning.gamma);
+    if (!decisionDue(agent, env)) return null;
+    return { state: getState(env, agent.observeNeighbours, agent.encoder), actions: validActions(env) };
+  }
+
+  function act(agent, observation) {
+    return chooseAction(agent, observation.state, observation.actions);
+  }
+
+  // Learn from the window the previous decision started, then open one for
+  // this decision. Runs before the action is applied, so a switch penalty is
+  // charged to the decision that caused it.
+  function learn(agent, observation, action, env) {
+    const w = nextWindow(agent, env, observation.state, action);
+    if (!w) return;
+
+    agent.explorationTime += w.ticks;
+    UPDATES[agent.learning.algorithm](agent, {
+      state: w.state,
+      action: w.action,
+      reward: w.discounted,
+      discount: Math.pow(agent.learning.gamma, w.ticks),
+      next: observation.state,
+      nextActions: observation.actions,
+      nextAction: action
+    });
+  }
+
+  // Q-Learning Agent: returns true when it took a decision this tick
+  function qLearningAgent(agent, env) {
+    const observation = observe(agent, env);
+    if (observation === null) return false; // Can't act yet
+
+    const action = act(agent, observation);
+    learn(agent, observation, action, env);
+    Sim.applyAction(env, action, "Q-LEARN");
+    return true;
+  }
+
+  // Snapshot in the Export-to-JSON file format (extra: run metadata such as SEED)
+  function serializeAgent(agent, totalSessionTime, extra = {}) {
+    return Object.assign({
+      Q: agent.Q,
+      Q2: agent.learning.algorithm === "doubleQ" ? agent.Q2 : undefined,
+      EPSILON: agent.epsilon,
+      LEARNING: agent.learning,
+      TIMING: agent.timing,
+      EXPLORATION: Object.assign({ time: agent.explorationTime }, agent.exploration),
+      VISITS: agent.visits,
+      REWARDS: Sim.REWARDS,
+      CLEARANCE: Sim.CLEARANCE,
+      DETECTION: Sim.DETECTION,
+      ENCODER: agent.encoder,
+      TOTAL_SESSION_TIME: totalSessionTime,
+      timestamp: new Date().toISOString()
+    }, extra);
+  }
+
+  // Restore from an exported file. Returns the stored session time (if any).
+  function loadAgent(agent, data) {
+    if (!data || !data.Q) throw new Error("Invalid Q-table file format.");
+    // Keys only mean something to the encoder that produced them (no ENCODER = default)
+    if (!TrafficEncoder.sameEncoder(data.ENCODER, agent.encoder)) {
+      const theirs = TrafficEncoder.describe(TrafficEncoder.validateEncoder(data.ENCODER || TrafficEncoder.DEFAULT_ENCODER));
+      throw new Error(`Q-table was built with a different state encoder (${theirs}); current encoder: ${TrafficEncoder.describe(agent.encoder)}`);
+    }
+    agent.Q = data.Q;
+    agent.Q2 = data.Q2 || {};
+    agent.visits = data.VISITS || {};
+    agent.updated = {};
+    agent.locks = {};
+    if (data.LEARNING) setLearning(agent, data.LEARNING);
+    if (data.TIMING) setTiming(agent, data.TIMING);
+    if (data.EXPLORATION) {
+      setExploration(agent, data.EXPLORATION);
+      agent.explorationTime = data.EXPLORATION.time || 0;
+    }
+    if (data.EPSILON !== undefined) agent.epsilon = data.EPSILON;
+    if (data.REWARDS) Object.assign(Sim.REWARDS, data.REWARDS);
+    // Files from before clearance intervals were trained without them
+    Object.assign(Sim.CLEARANCE, data.CLEARANCE || { YELLOW: 0, ALL_RED: 0 });
+    // Files from before advance detection only saw emergencies once on screen
+    Object.assign(Sim.DETECTION, data.DETECTION || { DISTANCE: 0 });
+    return data.TOTAL_SESSION_TIME;
+  }
+
+  return {
+    ACTIONS,
+    ALPHA,
+    GAMMA,
+    ALGORITHMS,
+    DEFAULT_LEARNING,
+    STRATEGIES,
+    SCHEDULES,
+    DEFAULT_EXPLORATION,
+    DEFAULT_TIMING,
+    DIVERGENCE,
+    createQAgent,
+    cloneAgent,
+    resetAgent,
+    validateLearning,
+    setLearning,
+    describeLearning,
+    validateExploration,
+    setExploration,
+    describeExploration,
+    explorationRate,
+    actionsFor,
+    validActions,
+    validateTiming,
+    setTiming,
+    trackReward,
+    reweighWindow,
+    decisionDue,
+    nextWindow,
+    getState,
+    initQ,
+    bestAction,
+    chooseAction,
+    updateQ,
+    inspectTable,
+    setQValue,
+    lockAction,
+    observe,
+    act,
+    learn,
+    qLearningAgent,
+    serializeAgent,
+    loadAgent
+  };
+});
@@ -0,0 +1,370 @@
+// ---------- FUNCTION-APPROXIMATION AGENT (Logic only, no DOM) ----------
+// Q(s, a) computed from continuous features instead of looked up in a table:
+// a linear model or a small multilayer network in plain JavaScript, trained
+// with experience replay and a periodically synced target network (DQN).
+// Same observe / act / learn hooks as the tabular agent in agent.js.
+(function (root, factory) {
+  if (typeof module === "object" && module.exports) {
+    module.exports = factory(require("./sim.js"), require("./agent.js"));
+  } else {
+    root.TrafficApprox = factory(root.TrafficSim, root.TrafficAgent);
+  }
+})(this, function (Sim, TrafficAgent) {
+
+  const APPROX = {
+    HIDDEN: 32, // MLP hidden units
+    LEARNING_RATE: { linear: 0.01, mlp: 0.005 },
+    GAMMA: 0.9,
+    REPLAY_SIZE: 5000, // Transitions kept for replay
+    BATCH_SIZE: 32,
+    TARGET_SYNC: 250, // Training steps between target network copies
+    REWARD_SCALE: 0.01, // Rewards per decision run into the hundreds; keep TD targets small
+    HUBER: 1 // TD errors beyond this are clipped in the gradient
+  };
+
+  // Input vector, in this order. Counts are scaled to roughly 0..1.
+  const FEATURES = [
+    "queue_north", "queue_south", "queue_east", "queue_west",
+    "left_north", "left_south", "left_east", "left_west",
+    "pressure_ns", "pressure_ew",
+    "time_since_switch",
+    "phase_NS", "phase_EW", "phase_NS_LEFT", "phase_EW_LEFT",
+    "in_transition",
+    "amb_active", "amb_north", "amb_south", "amb_east", "amb_west", "amb_eta",
+    "incoming_north", "incoming_south", "incoming_east", "incoming_west"
+  ];
+
+  // One output per action the agent may ever take; invalid ones are masked per tick
+  const OUTPUTS = ["EXTEND", "SWITCH", "NS", "EW", "NS_LEFT", "EW_LEFT"];
+
+  // Saved with every model and bumped whenever an input or output changes
+  // meaning under the same name; other versions are not loaded.
+  // 1 (files without one): amb_north .. amb_west are 0/1 ambulance flags
+  // 2: they carry the most urgent emergency type's priority
+  const MODEL_VERSION = 2;
+
+  const COUNT_SCALE = 10;
+  const MAX_PRIORITY = Math.max(...Object.values(Sim.EMERGENCY_TYPES).map(t => t.priority));
+
+  function features(env, observeNeighbours) {
+    const x = [];
+    Sim.LANES.forEach(lane => x.push(env.lanes[lane].queue / COUNT_SCALE));
+    Sim.LANES.forEach(lane => x.push(env.lanes[lane].leftQueue / COUNT_SCALE));
+    x.push(env.pressure.NS / COUNT_SCALE, env.pressure.EW / COUNT_SCALE);
+    x.push(Math.min(env.timeSinceSwitch, 90) / 60);
+    Object.keys(Sim.PHASES).forEach(phase => x.push(env.currentPhase === phase ? 1 : 0));
+    x.push(env.transition ? 1 : 0);
+
+    // Emergencies: any at all, per approach its priority (1 = most urgent type), ETA of the most urgent
+    const urgent = Sim.urgentEmergencies(env);
+    x.push(env.emergencies.length > 0 ? 1 : 0);
+    Sim.LANES.forEach(lane => {
+      const e = urgent.find(em => em.lane === lane);
+      x.push(e ? Sim.EMERGENCY_TYPES[e.type].priority / MAX_PRIORITY : 0);
+    });
+    x.push(urgent.length > 0 ? Math.min(Sim.emergencyETA(urgent[0]), 20) / COUNT_SCALE : 0);
+
+    Sim.LANES.forEach(lane => x.push(observeNeighbours && env.incoming ? env.incoming[lane] / COUNT_SCALE : 0));
+    return x;
+  }
+
+  // ---------- NETWORK ----------
+  // layers: [{ W: [out][in], b: [out] }], ReLU between layers, linear output
+  function createNetwork(sizes, rng) {
+    const layers = [];
+    for (let i = 1; i < sizes.length; i++) {
+      const scale = Math.sqrt(2 / sizes[i - 1]); // He initialisation
+      const W = [];
+      for (let o = 0; o < sizes[i]; o++) {
+        const row = [];
+        for (let k = 0; k < sizes[i - 1]; k++) row.push((rng() * 2 - 1) * scale);
+        W.push(row);
+      }
+      layers.push({ W: W, b: new Array(sizes[i]).fill(0) });
+    }
+    return layers;
+  }
+
+  function copyNetwork(layers) {
+    return layers.map(layer => ({ W: layer.W.map(row => row.slice()), b: layer.b.slice() }));
+  }
+
+  // Activations of every layer, input first and output last
+  function forward(layers, x) {
+    const acts = [x];
+    layers.forEach((layer, li) => {
+      const input = acts[acts.length - 1];
+      const hidden = li < layers.length - 1;
+      acts.push(layer.W.map((row, o) => {
+        let v = layer.b[o];
+        for (let k = 0; k < row.length; k++) v += row[k] * input[k];
+        return hidden && v < 0 ? 0 : v;
+      }));
+    });
+    return acts;
+  }
+
+  function zeroGrads(layers) {
+    return layers.map(layer => ({ W: layer.W.map(row => new Array(row.length).fill(0)), b: new Array(layer.b.length).fill(0) }));
+  }
+
+  // Accumulate the gradient of one output (d loss / d output = g)
+  function backward(layers, acts, output, g, grads) {
+    let delta = new Array(layers[layers.length - 1].b.length).fill(0);
+    delta[output] = g;
+    for (let li = layers.length - 1; li >= 0; li--) {
+      const layer = layers[li];
+      const input = acts[li];
+      const next = li > 0 ? new Array(input.length).fill(0) : null;
+      for (let o = 0; o < delta.length; o++) {
+        const d = delta[o];
+        if (d === 0) continue;
+        grads[li].b[o] += d;
+        const row = layer.W[o];
+        const gRow = grads[li].W[o];
+        for (let k = 0; k < row.length; k++) {
+          gRow[k] += d * input[k];
+          if (next) next[k] += d * row[k];
+        }
+      }
+      // ReLU: no gradient through units that were off
+      if (next) delta = next.map((v, k) => (input[k] > 0 ? v : 0));
+    }
+  }
+
+  function applyGrads(layers, grads, rate) {
+    layers.forEach((layer, li) => {
+      layer.b.forEach((_, o) => { layer.b[o] -= rate * grads[li].b[o]; });
+      layer.W.forEach((row, o) => {
+        const gRow = grads[li].W[o];
+        for (let k = 0; k < row.length; k++) row[k] -= rate * gRow[k];
+      });
+    });
+  }
+
+  // ---------- AGENT ----------
+  // options: { type: "linear" | "mlp", hidden, epsilon, rng }
+  function createApproxAgent(options = {}) {
+    const type = options.type === "linear" ? "linear" : "mlp";
+    const rng = options.rng || Math.random;
+    const sizes = type === "linear"
+      ? [FEATURES.length, OUTPUTS.length]
+      : [FEATURES.length, options.hidden || APPROX.HIDDEN, OUTPUTS.length];
+    const net = createNetwork(sizes, rng);
+    return {
+      type: type,
+      sizes: sizes,
+      net: net,
+      target: copyNetwork(net), // Frozen copy for TD targets
+      epsilon: options.epsilon === undefined ? 0.05 : options.epsilon,
+      rng: rng,
+      replay: [], // Ring buffer of { x, a, r, discount, x2, valid2 }
+      replayNext: 0,
+      updates: 0, // Training steps so far
+      lastLoss: 0,
+      timing: Object.assign({}, TrafficAgent.DEFAULT_TIMING), // Same decision windows as the Q-table agent
+      window: null,
+      windows: [],
+      prevReward: 0,
+      prevCounts: {},
+      rewardWeights: null, // As in TrafficAgent: REWARDS to learn from (null = as scored)
+      lastChoice: null, // Why the last action was chosen (decision events)
+      observeNeighbours: false
+    };
+  }
+
+  // Independent copy (benchmark / grid nodes) with an empty replay memory
+  function cloneApproxAgent(agent, epsilon = agent.epsilon, rng = agent.rng) {
+    const copy = createApproxAgent({ type: agent.type, hidden: agent.sizes[1], epsilon: epsilon, rng: rng });
+    copy.sizes = agent.sizes.slice();
+    copy.net = copyNetwork(agent.net);
+    copy.target = copyNetwork(agent.net);
+    copy.updates = agent.updates;
+    copy.timing = Object.assign({}, agent.timing);
+    copy.rewardWeights = agent.rewardWeights && Object.assign({}, agent.rewardWeights);
+    copy.observeNeighbours = agent.observeNeighbours;
+    return copy;
+  }
+
+  function resetApproxAgent(agent) {
+    agent.window = null;
+    agent.windows = [];
+    agent.prevReward = 0;
+    agent.prevCounts = {};
+  }
+
+  function qValues(agent, x) {
+    const acts = forward(agent.net, x);
+    return acts[acts.length - 1];
+  }
+
+  function validOutputs(env) {
+    return TrafficAgent.validActions(env).map(a => OUTPUTS.indexOf(a));
+  }
+
+  // Decision due this tick? { x, valid }, or null (decision timing as in agent.js)
+  function observe(agent, env) {
+    TrafficAgent.trackReward(agent, env, APPROX.GAMMA);
+    if (!TrafficAgent.decisionDue(agent, env)) return null;
+    return { x: features(env, agent.observeNeighbours), valid: validOutputs(env) };
+  }
+
+  // Epsilon-greedy over the valid outputs; agent.lastChoice as in TrafficAgent.chooseAction
+  function act(agent, observation) {
+    const valid = observation.valid;
+    const q = qValues(agent, observation.x);
+    const greedy = OUTPUTS[valid.reduce((best, i) => (q[i] > q[best] ? i : best), valid[0])];
+    const action = agent.rng() < agent.epsilon ? OUTPUTS[valid[Math.floor(agent.rng() * valid.length)]] : greedy;
+    const values = {};
+    valid.forEach(i => { values[OUTPUTS[i]] = q[i]; });
+    const features = {};
+    FEATURES.forEach((name, i) => { features[name] = observation.x[i]; });
+    agent.lastChoice = {
+      features: features,
+      values: values,
+      greedy: greedy,
+      mode: action === greedy ? "exploit" : "explore",
+      rate: agent.epsilon
+    };
+    return action;
+  }
+
+  // Store the window that ended here, train on a replayed minibatch, open a window for this decision
+  function learn(agent, observation, action, env) {
+    const w = TrafficAgent.nextWindow(agent, env, observation.x, action);
+    if (!w) return;
+    remember(agent, {
+      x: w.state,
+      a: OUTPUTS.indexOf(w.action),
+      r: w.discounted * APPROX.REWARD_SCALE,
+      discount: Math.pow(APPROX.GAMMA, w.ticks),
+      x2: observation.x,
+      valid2: observation.valid
+    });
+    if (agent.replay.length >= APPROX.BATCH_SIZE) trainBatch(agent);
+  }
+
+  function remember(agent, transition) {
+    if (agent.replay.length < APPROX.REPLAY_SIZE) {
+      agent.replay.push(transition);
+    } else {
+      agent.replay[agent.replayNext] = transition;
+    }
+    agent.replayNext = (agent.replayNext + 1) % APPROX.REPLAY_SIZE;
+  }
+
+  // One SGD step on a random minibatch, Huber loss on the taken action's output
+  function trainBatch(agent) {
+    const grads = zeroGrads(agent.net);
+    let loss = 0;
+    for (let i = 0; i < APPROX.BATCH_SIZE; i++) {
+      const t = agent.replay[Math.floor(agent.rng() * agent.replay.length)];
+      const next = forward(agent.target, t.x2);
+      const nextQ = next[next.length - 1];
+      const target = t.r + t.discount * Math.max(...t.valid2.map(k => nextQ[k]));
+
+      const acts = forward(agent.net, t.x);
+      const err = acts[acts.length - 1][t.a] - target;
+      loss += Math.abs(err) <= APPROX.HUBER ? err * err / 2 : APPROX.HUBER * (Math.abs(err) - APPROX.HUBER / 2);
+      backward(agent.net, acts, t.a, Math.max(-APPROX.HUBER, Math.min(APPROX.HUBER, err)), grads);
+    }
+    applyGrads(agent.net, grads, APPROX.LEARNING_RATE[agent.type] / APPROX.BATCH_SIZE);
+    agent.lastLoss = loss / APPROX.BATCH_SIZE;
+    agent.updates++;
+    if (agent.updates % APPROX.TARGET_SYNC === 0) agent.target = copyNetwork(agent.net);
+  }
+
+  // Same contract as TrafficAgent.qLearningAgent: true when it took a decision this tick
+  function approxAgent(agent, env) {
+    const observation = observe(agent, env);
+    if (observation === null) return false;
+    const action = act(agent, observation);
+    learn(agent, observation, action, env);
+    Sim.applyAction(env, action, "DQN");
+    return true;
+  }
+
+  // ---------- EXPORT / IMPORT ----------
+  // Stored as APPROX next to (or instead of) the Q-table in exports
+  function serializeModel(agent) {
+    return {
+      version: MODEL_VERSION,
+      type: agent.type,
+      sizes: agent.sizes,
+      features: FEATURES,
+      outputs: OUTPUTS,
+      updates: agent.updates,
+      epsilon: agent.epsilon,
+      net: agent.net
+    };
+  }
+
+  function loadModel(agent, model) {
+    if (!model || !Array.isArray(model.net) || !Array.isArray(model.sizes)) {
+      throw new Error("Invalid model format.");
+    }
+    if ((model.version || 1) !== MODEL_VERSION) {
+      throw new Error(`Model format version ${model.version || 1} cannot be loaded (this version reads ${MODEL_VERSION}).`);
+    }
+    if (JSON.stringify(model.features) !== JSON.stringify(FEATURES) || JSON.stringify(model.outputs) !== JSON.stringify(OUTPUTS)) {
+      throw new Error("Model was trained on a different feature / action layout.");
+    }
+    agent.type = model.type === "linear" ? "linear" : "mlp";
+    agent.sizes = model.sizes.slice();
+    agent.net = copyNetwork(model.net);
+    agent.target = copyNetwork(model.net);
+    agent.updates = model.updates || 0;
+    if (model.epsilon !== undefined) agent.epsilon = model.epsilon;
+    agent.replay = [];
+    agent.replayNext = 0;
+    resetApproxAgent(agent);
+  }
+
+  // Standalone model file, laid out like TrafficAgent.serializeAgent without the table
+  function serializeApproxAgent(agent, totalSessionTime, extra = {}) {
+    return Object.assign({
+      APPROX: serializeModel(agent),
+      EPSILON: agent.epsilon,
+      TIMING: agent.timing,
+      REWARDS: Sim.REWARDS,
+      CLEARANCE: Sim.CLEARANCE,
+      DETECTION: Sim.DETECTION,
+      TOTAL_SESSION_TIME: totalSessionTime,
+      timestamp: new Date().toISOString()
+    }, extra);
+  }
+
+  // Restore from an exported file. Returns the stored session time (if any).
+  function loadApproxAgent(agent, data) {
+    if (!data || !data.APPROX) throw new Error("Invalid model file format.");
+    loadModel(agent, data.APPROX);
+    if (data.EPSILON !== undefined) agent.epsilon = data.EPSILON;
+    if (data.TIMING) TrafficAgent.setTiming(agent, data.TIMING);
+    if (data.REWARDS) Object.assign(Sim.REWARDS, data.REWARDS);
+    // Files from before clearance intervals were trained without them
+    Object.assign(Sim.CLEARANCE, data.CLEARANCE || { YELLOW: 0, ALL_RED: 0 });
+    // Files from before advance detection only saw emergencies once on screen
+    Object.assign(Sim.DETECTION, data.DETECTION || { DISTANCE: 0 });
+    return data.TOTAL_SESSION_TIME;
+  }
+
+  return {
+    APPROX,
+    FEATURES,
+    OUTPUTS,
+    MODEL_VERSION,
+    features,
+    createApproxAgent,
+    cloneApproxAgent,
+    resetApproxAgent,
+    qValues,
+    observe,
+    act,
+    learn,
+    approxAgent,
+    serializeModel,
+    loadModel,
+    serializeApproxAgent,
+    loadApproxAgent
+  };
+});
@@ -0,0 +1,180 @@
+// ---------- CONTROLLER BENCHMARK ----------
+// Runs every controller against the same pre-generated traffic trace per
+// seed, then summarises each metric with a 95% confidence interval.
+// With preemption "compare" every controller also runs with emergency
+// pre-emption on top (row "<name> +preempt"), so learned priority can be
+// set against the classic rule on identical traffic.
+(function (root, factory) {
+  if (typeof module === "object" && module.exports) {
+    module.exports = factory(require("./rng.js"), require("./sim.js"), require("./agent.js"), require("./approx.js"), require("./controllers.js"), require("./metrics.js"));
+  } else {
+    root.TrafficBenchmark = factory(root.TrafficRng, root.TrafficSim, root.TrafficAgent, root.TrafficApprox, root.TrafficControllers, root.TrafficMetrics);
+  }
+})(this, function (TrafficRng, TrafficSim, TrafficAgent, TrafficApprox, TrafficControllers, TrafficMetrics) {
+
+  const METRICS = [
+    { key: "avgReward", label: "Avg / sec", digits: 2 },
+    { key: "totalWait", label: "Total wait", digits: 0 },
+    { key: "avgDelay", label: "Avg delay (s)", digits: 1 },
+    { key: "p95Delay", label: "P95 delay (s)", digits: 0 },
+    { key: "stopsPerVehicle", label: "Stops / veh", digits: 2 },
+    { key: "throughputPerHour", label: "Veh / h", digits: 0 },
+    { key: "ambResponse", label: "Emerg. response (s)", digits: 1 },
+    { key: "crossed", label: "Emerg. crossed", digits: 1 },
+    { key: "crashed", label: "Emerg. crashed", digits: 1 },
+    { key: "waited", label: "Emerg. waited", digits: 1 },
+    { key: "preemptions", label: "Pre-emptions", digits: 1 },
+    { key: "carCrashes", label: "Car crashes", digits: 1 },
+    { key: "switches", label: "Switches", digits: 1 }
+  ];
+
+  // Two-sided 95% Student-t critical values by degrees of freedom
+  const T_95 = [
+    [1, 12.706], [2, 4.303], [3, 3.182], [4, 2.776], [5, 2.571], [6, 2.447],
+    [7, 2.365], [8, 2.306], [9, 2.262], [10, 2.228], [12, 2.179], [15, 2.131],
+    [20, 2.086], [30, 2.042], [60, 2.000]
+  ];
+
+  function tCritical(df) {
+    if (df > 60) return 1.96;
+    let value = T_95[0][1];
+    for (const [d, t] of T_95) {
+      if (df >= d) value = t; // Conservative: nearest tabulated df below
+    }
+    return value;
+  }
+
+  // Mean and 95% confidence half-width of a sample
+  function confidenceInterval(values) {
+    const n = values.length;
+    const mean = values.reduce((a, b) => a + b, 0) / n;
+    if (n < 2) return { mean: mean, ci95: 0, n: n };
+    const variance = values.reduce((a, v) => a + (v - mean) * (v - mean), 0) / (n - 1);
+    return { mean: mean, ci95: tCritical(n - 1) * Math.sqrt(variance / n), n: n };
+  }
+
+  const PREEMPT_SUFFIX = " +preempt";
+
+  // Run one controller over one trace and collect its metrics
+  function runOnTrace(def, trace, context, envOptions = {}) {
+    const env = TrafficSim.createEnv(Object.assign({ seed: trace.seed, trace: trace }, envOptions));
+    const controller = TrafficControllers.stepper(def.create(context));
+
+    while (env.time < trace.duration) {
+      TrafficSim.step(env, controller);
+    }
+
+    const metrics = TrafficMetrics.summarize(env);
+    return {
+      controller: def.name + (env.preemption ? PREEMPT_SUFFIX : ""),
+      seed: trace.seed,
+      avgReward: env.cumulativeReward / env.time,
+      totalWait: env.totalWait,
+      avgDelay: metrics.avgDelay,
+      p95Delay: metrics.p95Delay,
+      stopsPerVehicle: metrics.stopsPerVehicle,
+      throughputPerHour: metrics.throughputPerHour,
+      ambResponse: metrics.emergency.avgResponse,
+      crossed: env.emergencyStats.crossed,
+      crashed: env.emergencyStats.crashed,
+      waited: env.emergencyStats.waited,
+      preemptions: env.emergencyStats.preemptions,
+      carCrashes: env.carCrashes,
+      switches: env.switches,
+      rewardCounts: Object.assign({}, env.rewardCounts) // Per REWARDS term, to re-score with other weights
+    };
+  }
+
+  function summarize(runs, controllerNames) {
+    return controllerNames.map(name => {
+      const own = runs.filter(r => r.controller === name);
+      const row = { controller: name, n: own.length };
+      METRICS.forEach(m => {
+        row[m.key] = confidenceInterval(own.map(r => r[m.key]));
+      });
+      return row;
+    });
+  }
+
+  // options: { hours, seeds, baseSeed, controllers: [names], agent, approxAgent, turning, demand (demand.js profile),
+  //            preemption ("off" | "on" | "compare", default "off"), onProgress(done, total) }
+  // The AI and DQN run greedily and without learning on copies of options.agent / options.approxAgent,
+  // so every seed scores the same fixed policy and the live models are untouched.
+  async function runBenchmark(options) {
+    const hours = options.hours || 1;
+    const seedCount = options.seeds || 5;
+    const baseSeed = options.baseSeed || TrafficRng.randomSeed();
+    const defs = (options.controllers || TrafficControllers.getControllers().map(c => c.name))
+      .map(name => {
+        const def = TrafficControllers.getController(name);
+        if (!def) throw new Error(`Unknown controller: ${name}`);
+        return def;
+      });
+    const duration = Math.round(hours * 3600);
+    const preemption = options.preemption || "off";
+    const modes = preemption === "compare" ? [false, true] : [preemption === "on"];
+    const names = [];
+    defs.forEach(def => modes.forEach(on => names.push(def.name + (on ? PREEMPT_SUFFIX : ""))));
+    const total = seedCount * names.length;
+    const runs = [];
+
+    for (let s = 0; s < seedCount; s++) {
+      const trace = TrafficSim.generateTrace(TrafficRng.deriveSeed(baseSeed, `bench-${s}`), duration, { turning: options.turning, demand: options.demand });
+      for (const def of defs) {
+        for (const on of modes) {
+          const context = {
+            frozen: true,
+            agent: options.agent
+              ? TrafficAgent.cloneAgent(options.agent, 0, TrafficRng.createRng(TrafficRng.deriveSeed(trace.seed, "agent")))
+              : TrafficAgent.createQAgent(0),
+            approxAgent: options.approxAgent
+              ? TrafficApprox.cloneApproxAgent(options.approxAgent, 0, TrafficRng.createRng(TrafficRng.deriveSeed(trace.seed, "approx")))
+              : TrafficApprox.createApproxAgent({ epsilon: 0, rng: TrafficRng.createRng(TrafficRng.deriveSeed(trace.seed, "approx")) })
+          };
+          runs.push(runOnTrace(def, trace, context, { turning: options.turning, preemption: on }));
+          if (options.onProgress) options.onProgress(runs.length, total);
+          // Yield so the page stays responsive between runs
+          await new Promise(resolve => setTimeout(resolve, 0));
+        }
+      }
+    }
+
+    return {
+      config: {
+        hours: hours,
+        seeds: seedCount,
+        baseSeed: baseSeed,
+        turning: !!options.turning,
+        demand: options.demand ? options.demand.scenario : null, // null = flat ARRIVAL_PROBABILITY
+        clearance: Object.assign({}, TrafficSim.CLEARANCE),
+        detection: Object.assign({}, TrafficSim.DETECTION),
+        preemption: preemption === "off" ? null : Object.assign({ mode: preemption }, TrafficControllers.PREEMPTION),
+        controllers: defs.map(d => d.name)
+      },
+      summary: summarize(runs, names),
+      runs: runs,
+      timestamp: new Date().toISOString()
+    };
+  }
+
+  // Summary table as CSV: one row per controller, mean and ci95 per metric
+  function toCSV(result) {
+    const header = ["controller", "n"];
+    METRICS.forEach(m => header.push(`${m.key}_mean`, `${m.key}_ci95`));
+    const lines = [header.join(",")];
+    result.summary.forEach(row => {
+      const cells = [row.controller, row.n];
+      METRICS.forEach(m => cells.push(row[m.key].mean, row[m.key].ci95));
+      lines.push(cells.join(","));
+    });
+    return lines.join("\n") + "\n";
+  }
+
+  return {
+    METRICS,
+    confidenceInterval,
+    runOnTrace,
+    runBenchmark,
+    toCSV
+  };
+});
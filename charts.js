@@ -0,0 +1,485 @@
+// ---------- LIVE CHARTS ----------
+// Session history of the dashboard numbers (avg reward, queues, pressure,
+// phase, Q-values) and a canvas renderer that can zoom over all of it.
+(function (root, factory) {
+  if (typeof module === "object" && module.exports) {
+    module.exports = factory(require("./sim.js"));
+  } else {
+    root.TrafficCharts = factory(root.TrafficSim);
+  }
+})(this, function (TrafficSim) {
+
+  const MAX_SAMPLES = 20000; // Beyond this every other sample is dropped, so the whole session stays covered
+  const MAX_Q_POINTS = 2000; // Per state
+  const MIN_SPAN = 30; // Seconds, deepest zoom
+
+  const LANE_COLORS = { north: "#4fc3f7", south: "#81c784", east: "#ffb74d", west: "#e57373" };
+  const PHASE_COLORS = { NS: "#4CAF50", EW: "#FFC107", NS_LEFT: "#26a69a", EW_LEFT: "#ff7043", CLEAR: "#555" };
+  const ACTION_COLORS = ["#4fc3f7", "#e57373", "#81c784", "#ffb74d", "#ba68c8"];
+
+  // ---------- HISTORY ----------
+  function createHistory() {
+    const queues = {};
+    TrafficSim.LANES.forEach(lane => { queues[lane] = []; });
+    return {
+      time: 0, // Seconds recorded this session
+      stride: 1, // Seconds between stored samples
+      t: [],
+      reward: [],
+      queues: queues,
+      pressureNS: [],
+      pressureEW: [],
+      phase: [], // Phase name, or "CLEAR" during yellow / all-red
+      resets: [], // Times of simulation resets
+      q: {}, // state -> { t: [], values: [{ action: value }] }, appended when the values change
+      state: null // Latest observed state
+    };
+  }
+
+  // sample: { reward, queues: { lane: n }, pressure: { NS, EW }, phase, state, Q }
+  function record(history, sample) {
+    const t = history.time++;
+    history.state = sample.state;
+    if (sample.Q) recordQ(history, t, sample.Q);
+    if (t % history.stride !== 0) return;
+
+    history.t.push(t);
+    history.reward.push(sample.reward);
+    TrafficSim.LANES.forEach(lane => history.queues[lane].push(sample.queues[lane]));
+    history.pressureNS.push(sample.pressure.NS);
+    history.pressureEW.push(sample.pressure.EW);
+    history.phase.push(sample.phase);
+
+    if (history.t.length > MAX_SAMPLES) thin(history);
+  }
+
+  function markReset(history) {
+    history.resets.push(history.time);
+  }
+
+  // Halve the resolution of the whole history
+  function thin(history) {
+    const even = arr => arr.filter((_, i) => i % 2 === 0);
+    history.t = even(history.t);
+    history.reward = even(history.reward);
+    TrafficSim.LANES.forEach(lane => { history.queues[lane] = even(history.queues[lane]); });
+    history.pressureNS = even(history.pressureNS);
+    history.pressureEW = even(history.pressureEW);
+    history.phase = even(history.phase);
+    history.stride *= 2;
+  }
+
+  function recordQ(history, t, Q) {
+    Object.keys(Q).forEach(state => {
+      const values = Q[state];
+      const series = history.q[state] = history.q[state] || { t: [], values: [] };
+      const last = series.values[series.values.length - 1];
+      if (last && Object.keys(values).every(a => values[a] === last[a])) return;
+
+      series.t.push(t);
+      series.values.push(Object.assign({}, values));
+      if (series.t.length > MAX_Q_POINTS) {
+        // Keep the newest point so the current value is always exact
+        const keep = (_, i) => i % 2 === 0 || i === series.t.length - 1;
+        series.t = series.t.filter(keep);
+        series.values = series.values.filter(keep);
+      }
+    });
+  }
+
+  // ---------- VIEW (zoom / pan) ----------
+  // view: { span, end } in seconds; span null = whole session, end null = follow the live edge
+  function visibleRange(history, view) {
+    const now = Math.max(1, history.time);
+    if (view.span === null) return { start: 0, end: now };
+    const end = view.end === null ? now : Math.min(view.end, now);
+    return { start: Math.max(0, end - view.span), end: end };
+  }
+
+  // factor < 1 zooms in around the point at anchor (0..1 across the plot)
+  function zoomView(history, view, factor, anchor = 1) {
+    const range = visibleRange(history, view);
+    const span = range.end - range.start;
+    const newSpan = Math.max(MIN_SPAN, span * factor);
+    if (newSpan >= history.time) {
+      view.span = null;
+      view.end = null;
+      return;
+    }
+    const at = range.start + anchor * span;
+    const end = at + (1 - anchor) * newSpan;
+    view.span = newSpan;
+    view.end = end >= history.time ? null : Math.max(newSpan, end);
+  }
+
+  function panView(history, view, seconds) {
+    if (view.span === null) return;
+    const range = visibleRange(history, view);
+    const end = Math.max(view.span, range.end + seconds);
+    view.end = end >= history.time ? null : end;
+  }
+
+  // ---------- RENDERING ----------
+  const PAD = { left: 56, right: 12, top: 6, bottom: 22 };
+  const ROWS = 5;
+
+  // Canvas x (pixels) -> 0..1 across the plot area, for zoom anchors
+  function plotFraction(canvasX, width) {
+    return Math.max(0, Math.min(1, (canvasX - PAD.left) / (width - PAD.left - PAD.right)));
+  }
+
+  // First index with t[i] >= value
+  function lowerBound(t, value) {
+    let lo = 0;
+    let hi = t.length;
+    while (lo < hi) {
+      const mid = (lo + hi) >> 1;
+      if (t[mid] < value) lo = mid + 1;
+      else hi = mid;
+    }
+    return lo;
+  }
+
+  function formatSeconds(seconds) {
+    const s = Math.floor(seconds);
+    const h = Math.floor(s / 3600);
+    const m = Math.floor((s % 3600) / 60);
+    const pad = n => String(n).padStart(2, "0");
+    return h > 0 ? `${h}:${pad(m)}:${pad(s % 60)}` : `${m}:${pad(s % 60)}`;
+  }
+
+  // options: { width, height, qState (null = current state), qLabel }
+  function drawCharts(ctx, history, view, options = {}) {
+    const width = options.width || ctx.canvas.width;
+    const height = options.height || ctx.canvas.height;
+    const range = visibleRange(history, view);
+    const plotW = width - PAD.left - PAD.right;
+    const rowH = (height - PAD.top - PAD.bottom) / ROWS;
+    const x = t => PAD.left + (t - range.start) / (range.end - range.start) * plotW;
+    const box = row => ({ top: PAD.top + row * rowH + 14, bottom: PAD.top + (row + 1) * rowH - 4 });
+
+    ctx.clearRect(0, 0, width, height);
+    ctx.font = "10px monospace";
+    ctx.textBaseline = "alphabetic";
+
+    // Visible samples (plus one either side so lines reach the edges)
+    const i0 = Math.max(0, lowerBound(history.t, range.start) - 1);
+    const i1 = Math.min(history.t.length, lowerBound(history.t, range.end) + 1);
+    const slice = arr => arr.slice(i0, i1);
+    const t = slice(history.t);
+
+    drawLines(ctx, box(0), x, t, [{ label: "avg/sec", color: "#ffffff", values: slice(history.reward) }], "AVG REWARD / SEC");
+    drawLines(ctx, box(1), x, t, TrafficSim.LANES.map(lane => ({
+      label: lane[0].toUpperCase(), color: LANE_COLORS[lane], values: slice(history.queues[lane])
+    })), "QUEUE PER LANE");
+    drawLines(ctx, box(2), x, t, [
+      { label: "NS", color: PHASE_COLORS.NS, values: slice(history.pressureNS) },
+      { label: "EW", color: PHASE_COLORS.EW, values: slice(history.pressureEW) }
+    ], "PRESSURE");
+    drawPhases(ctx, box(3), x, t, slice(history.phase), range.end);
+
+    const qState = options.qState || history.state;
+    drawQValues(ctx, box(4), x, history.q[qState], range, `Q-VALUES ${options.qLabel || ""}${qState || "-"}`);
+
+    // Resets across all rows
+    ctx.strokeStyle = "rgba(255,255,255,0.25)";
+    ctx.setLineDash([3, 3]);
+    history.resets.forEach(r => {
+      if (r <= range.start || r >= range.end) return;
+      ctx.beginPath();
+      ctx.moveTo(x(r), PAD.top);
+      ctx.lineTo(x(r), height - PAD.bottom);
+      ctx.stroke();
+    });
+    ctx.setLineDash([]);
+
+    // Time axis
+    ctx.fillStyle = "#888";
+    ctx.textAlign = "center";
+    for (let i = 0; i <= 4; i++) {
+      const at = range.start + (range.end - range.start) * i / 4;
+      ctx.fillText(formatSeconds(at), Math.min(width - 24, Math.max(PAD.left + 12, x(at))), height - 6);
+    }
+    ctx.textAlign = "left";
+  }
+
+  // ---------- LEARNING CURVE ----------
+  // One point per finished episode (summaries from episodes.js).
+  // curve: { episodes, average (moving avg reward/sec per episode), span, checkpoints: [{ episode, best }] }
+  function drawLearningCurve(ctx, curve, options = {}) {
+    const width = options.width || ctx.canvas.width;
+    const height = options.height || ctx.canvas.height;
+    const rows = 4;
+    const episodes = curve.episodes;
+    const last = Math.max(2, episodes.length ? episodes[episodes.length - 1].episode : 2);
+    const plotW = width - PAD.left - PAD.right;
+    const rowH = (height - PAD.top - PAD.bottom) / rows;
+    const x = n => PAD.left + (n - 1) / (last - 1) * plotW;
+    const box = row => ({ top: PAD.top + row * rowH + 14, bottom: PAD.top + (row + 1) * rowH - 4 });
+
+    ctx.clearRect(0, 0, width, height);
+    ctx.font = "10px monospace";
+    ctx.textBaseline = "alphabetic";
+    if (episodes.length === 0) {
+      ctx.fillStyle = "#888";
+      ctx.fillText("No finished episodes yet", PAD.left, PAD.top + 20);
+      return;
+    }
+
+    const t = episodes.map(e => e.episode);
+    const column = key => episodes.map(e => e[key] || 0);
+    drawLines(ctx, box(0), x, t, [
+      { label: "episode", color: "#ffffff", values: column("avgReward") },
+      { label: `avg of ${curve.span}`, color: LANE_COLORS.north, values: curve.average }
+    ], "AVG REWARD / SEC");
+    drawLines(ctx, box(1), x, t, [{ label: "total", color: LANE_COLORS.east, values: column("wait") }], "WAIT");
+    drawLines(ctx, box(2), x, t, [
+      { label: "crossed", color: LANE_COLORS.south, values: column("crossed") },
+      { label: "crashed", color: LANE_COLORS.west, values: column("crashed") },
+      { label: "waited", color: PHASE_COLORS.EW, values: column("waited") }
+    ], "EMERGENCIES");
+    drawLines(ctx, box(3), x, t, [{ label: "rate", color: ACTION_COLORS[4], values: column("epsilon") }], "EXPLORE RATE");
+
+    // Checkpoints across all rows, the best one solid
+    curve.checkpoints.forEach(c => {
+      ctx.strokeStyle = c.best ? PHASE_COLORS.NS : "rgba(255,255,255,0.25)";
+      ctx.setLineDash(c.best ? [] : [3, 3]);
+      ctx.beginPath();
+      ctx.moveTo(x(c.episode), PAD.top);
+      ctx.lineTo(x(c.episode), height - PAD.bottom);
+      ctx.stroke();
+    });
+    ctx.setLineDash([]);
+
+    // Episode axis
+    ctx.fillStyle = "#888";
+    ctx.textAlign = "center";
+    for (let i = 0; i <= 4; i++) {
+      const at = Math.round(1 + (last - 1) * i / 4);
+      ctx.fillText(`#${at}`, Math.min(width - 24, Math.max(PAD.left + 12, x(at))), height - 6);
+    }
+    ctx.textAlign = "left";
+  }
+
+  // ---------- DEMAND PROFILE ----------
+  // Arrival probability per approach over one period of a scenario, from the
+  // run's start (demand.js sampleProfile), with the run's current time marked.
+  // options: { period, now (simulated seconds), clock(seconds) -> label }
+  function drawDemandProfile(ctx, profile, options) {
+    const width = ctx.canvas.width;
+    const height = ctx.canvas.height;
+    const plotW = width - PAD.left - PAD.right;
+    const step = options.period / profile.times.length;
+    const t = profile.times.map((_, i) => i * step);
+    const x = s => PAD.left + s / options.period * plotW;
+    const b = { top: PAD.top + 14, bottom: height - PAD.bottom };
+
+    ctx.clearRect(0, 0, width, height);
+    ctx.font = "10px monospace";
+    ctx.textBaseline = "alphabetic";
+    drawLines(ctx, b, x, t, Object.keys(profile.rates).map(lane => ({
+      label: lane[0].toUpperCase(), color: LANE_COLORS[lane], values: profile.rates[lane]
+    })), "RATE");
+
+    const now = options.now % options.period;
+    ctx.strokeStyle = "#fff";
+    ctx.beginPath();
+    ctx.moveTo(x(now), b.top);
+    ctx.lineTo(x(now), b.bottom);
+    ctx.stroke();
+
+    // Clock axis
+    ctx.fillStyle = "#888";
+    ctx.textAlign = "center";
+    for (let i = 0; i <= 4; i++) {
+      const at = options.period * i / 4;
+      ctx.fillText(options.clock(at), Math.min(width - 18, Math.max(PAD.left + 12, x(at))), height - 6);
+    }
+    ctx.textAlign = "left";
+  }
+
+  // ---------- Q-TABLE HEAT MAP ----------
+  // One row per state, one cell per action: green above zero, red below,
+  // brighter the larger |Q| (square-root scale against the largest value).
+  // Grey = never visited, red outline = diverging row, white outline = current state.
+  const HEAT = { top: 18, row: 14, label: 220, legend: 70 };
+
+  // rows: TrafficAgent.inspectTable() output; options: { actions, current }.
+  // Resizes the canvas to fit every row.
+  function drawQHeatmap(ctx, rows, options) {
+    const actions = options.actions;
+    ctx.canvas.height = HEAT.top + Math.max(1, rows.length) * HEAT.row + 4;
+    const width = ctx.canvas.width;
+    const cellW = (width - HEAT.label - HEAT.legend) / Math.max(1, actions.length);
+    let scale = 0;
+    rows.forEach(r => Object.values(r.values).forEach(v => {
+      if (isFinite(v)) scale = Math.max(scale, Math.abs(v));
+    }));
+
+    ctx.clearRect(0, 0, width, ctx.canvas.height);
+    ctx.font = "10px monospace";
+    ctx.textBaseline = "middle";
+    ctx.fillStyle = "#aaa";
+    actions.forEach((a, i) => ctx.fillText(a, HEAT.label + i * cellW + 4, HEAT.top / 2));
+    ctx.fillText(`|Q| max ${formatValue(scale)}`, width - HEAT.legend + 4, HEAT.top / 2);
+
+    rows.forEach((r, k) => {
+      const y = HEAT.top + k * HEAT.row;
+      ctx.fillStyle = r.state === options.current ? "#fff" : "#aaa";
+      ctx.fillText(r.state.length > 34 ? r.state.slice(0, 33) + "…" : r.state, 2, y + HEAT.row / 2);
+
+      actions.forEach((a, i) => {
+        const x = HEAT.label + i * cellW;
+        const v = r.values[a];
+        if (v === undefined) return; // Not an action of this state
+        if (r.visits === 0) ctx.fillStyle = "#333";
+        else if (!isFinite(v)) ctx.fillStyle = "#f0f";
+        else {
+          const t = scale > 0 ? Math.sqrt(Math.abs(v) / scale) : 0;
+          ctx.fillStyle = v >= 0 ? `rgba(76,175,80,${0.1 + 0.9 * t})` : `rgba(229,115,115,${0.1 + 0.9 * t})`;
+        }
+        ctx.fillRect(x + 1, y + 1, cellW - 2, HEAT.row - 2);
+        if (a === r.greedy && r.visits > 0) {
+          ctx.fillStyle = "#fff";
+          ctx.fillRect(x + 4, y + HEAT.row / 2 - 1, 3, 3);
+        }
+        if (a === r.locked) {
+          ctx.strokeStyle = PHASE_COLORS.EW;
+          ctx.strokeRect(x + 1.5, y + 1.5, cellW - 3, HEAT.row - 3);
+        }
+      });
+
+      if (r.diverging || r.state === options.current) {
+        ctx.strokeStyle = r.diverging ? "#f44336" : "#fff";
+        ctx.strokeRect(0.5, y + 0.5, HEAT.label + actions.length * cellW - 1, HEAT.row - 1);
+      }
+      ctx.fillStyle = "#888";
+      ctx.fillText(r.visits === 0 ? "unvisited" : r.diverging ? "diverging" : "", width - HEAT.legend + 4, y + HEAT.row / 2);
+    });
+    ctx.textBaseline = "alphabetic";
+  }
+
+  function drawFrame(ctx, b, title, legend, min, max) {
+    ctx.fillStyle = "#aaa";
+    ctx.fillText(title, PAD.left, b.top - 4);
+    let lx = PAD.left + ctx.measureText(title).width + 12;
+    legend.forEach(item => {
+      ctx.fillStyle = item.color;
+      ctx.fillText(item.label, lx, b.top - 4);
+      lx += ctx.measureText(item.label).width + 8;
+    });
+
+    ctx.strokeStyle = "rgba(255,255,255,0.1)";
+    ctx.strokeRect(PAD.left, b.top, ctx.canvas.width - PAD.left - PAD.right, b.bottom - b.top);
+    if (min === undefined) return;
+    ctx.fillStyle = "#888";
+    ctx.textAlign = "right";
+    ctx.fillText(formatValue(max), PAD.left - 4, b.top + 9);
+    ctx.fillText(formatValue(min), PAD.left - 4, b.bottom);
+    ctx.textAlign = "left";
+  }
+
+  function formatValue(v) {
+    return Math.abs(v) >= 100 || Number.isInteger(v) ? v.toFixed(0) : v.toFixed(2);
+  }
+
+  function valueScale(b, seriesList) {
+    let min = Infinity;
+    let max = -Infinity;
+    seriesList.forEach(s => s.values.forEach(v => {
+      if (v < min) min = v;
+      if (v > max) max = v;
+    }));
+    if (min === Infinity) { min = 0; max = 1; }
+    if (max === min) { max += 1; min -= 1; }
+    return { min: min, max: max, y: v => b.bottom - (v - min) / (max - min) * (b.bottom - b.top) };
+  }
+
+  function drawLines(ctx, b, x, t, seriesList, title) {
+    const scale = valueScale(b, seriesList);
+    drawFrame(ctx, b, title, seriesList, scale.min, scale.max);
+    // Skip points that would land on the same pixel column
+    const step = Math.max(1, Math.floor(t.length / (ctx.canvas.width - PAD.left - PAD.right)));
+    clipTo(ctx, b);
+    seriesList.forEach(s => {
+      ctx.strokeStyle = s.color;
+      ctx.lineWidth = 1;
+      ctx.beginPath();
+      for (let i = 0; i < t.length; i += step) {
+        if (i === 0) ctx.moveTo(x(t[i]), scale.y(s.values[i]));
+        else ctx.lineTo(x(t[i]), scale.y(s.values[i]));
+      }
+      ctx.stroke();
+    });
+    ctx.restore();
+  }
+
+  function clipTo(ctx, b) {
+    ctx.save();
+    ctx.beginPath();
+    ctx.rect(PAD.left, b.top, ctx.canvas.width - PAD.left - PAD.right, b.bottom - b.top);
+    ctx.clip();
+  }
+
+  function drawPhases(ctx, b, x, t, phases, end) {
+    const seen = [];
+    phases.forEach(p => { if (seen.indexOf(p) < 0) seen.push(p); });
+    drawFrame(ctx, b, "PHASE", seen.map(p => ({ label: p, color: PHASE_COLORS[p] || "#888" })));
+    for (let i = 0; i < t.length; i++) {
+      const x0 = Math.max(PAD.left, x(t[i]));
+      const x1 = Math.min(ctx.canvas.width - PAD.right, x(i + 1 < t.length ? t[i + 1] : end));
+      if (x1 <= x0) continue;
+      ctx.fillStyle = PHASE_COLORS[phases[i]] || "#888";
+      ctx.fillRect(x0, b.top + 2, x1 - x0 + 0.5, b.bottom - b.top - 4);
+    }
+  }
+
+  // Step plot: a Q-value holds until the next update of that state
+  function drawQValues(ctx, b, x, series, range, title) {
+    if (!series || series.t.length === 0) {
+      drawFrame(ctx, b, title, []);
+      return;
+    }
+    const actions = Object.keys(series.values[series.values.length - 1]);
+    const lines = actions.map((a, i) => ({
+      label: a,
+      color: ACTION_COLORS[i % ACTION_COLORS.length],
+      values: series.values.filter((_, k) => series.t[k] <= range.end).map(v => v[a])
+    }));
+    const scale = valueScale(b, lines);
+    drawFrame(ctx, b, title, lines, scale.min, scale.max);
+
+    clipTo(ctx, b);
+    lines.forEach(line => {
+      ctx.strokeStyle = line.color;
+      ctx.beginPath();
+      line.values.forEach((v, k) => {
+        const px = x(series.t[k]);
+        if (k === 0) {
+          ctx.moveTo(px, scale.y(v));
+        } else {
+          ctx.lineTo(px, scale.y(line.values[k - 1]));
+          ctx.lineTo(px, scale.y(v));
+        }
+      });
+      if (line.values.length > 0) ctx.lineTo(x(range.end), scale.y(line.values[line.values.length - 1]));
+      ctx.stroke();
+    });
+    ctx.restore();
+  }
+
+  return {
+    MAX_SAMPLES,
+    createHistory,
+    record,
+    markReset,
+    visibleRange,
+    zoomView,
+    panView,
+    plotFraction,
+    drawCharts,
+    drawLearningCurve,
+    drawDemandProfile,
+    drawQHeatmap
+  };
+});
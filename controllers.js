@@ -0,0 +1,390 @@
+// ---------- CONTROLLER REGISTRY ----------
+// Every traffic controller the page and the benchmark can run.
+(function (root, factory) {
+  if (typeof module === "object" && module.exports) {
+    module.exports = factory(require("./sim.js"), require("./agent.js"), require("./approx.js"));
+  } else {
+    root.TrafficControllers = factory(root.TrafficSim, root.TrafficAgent, root.TrafficApprox);
+  }
+})(this, function (Sim, TrafficAgent, TrafficApprox) {
+
+  const registry = [];
+
+  // create(context) returns a controller:
+  //   tag                               log prefix
+  //   observe(env)                      observation, or null when no decision is due this tick
+  //   act(observation, env)             "EXTEND", "SWITCH" (next phase in the cycle) or a phase name
+  //   learn(observation, action, env)   optional, called before the action is applied
+  //   serialize() / deserialize(data)   optional, state worth keeping in an export
+  //   explain()                         optional, why the last act() chose what it did:
+  //                                     { state | features, values, greedy, mode, rate }
+  // context.agent is the Q-agent the controller may use, context.approxAgent
+  // the function-approximation one (approx.js). With context.frozen the
+  // learners score a fixed policy: learn only keeps the decision timing.
+  // info: { label (mode button text), description }
+  function registerController(name, create, info = {}) {
+    const existing = registry.findIndex(c => c.name === name);
+    const def = { name: name, create: create, label: info.label || name, description: info.description || "" };
+    if (existing >= 0) registry[existing] = def;
+    else registry.push(def);
+    return def;
+  }
+
+  function getControllers() {
+    return registry.slice();
+  }
+
+  function getController(name) {
+    return registry.find(c => c.name === name) || null;
+  }
+
+  // One tick of a controller. Returns the action taken, or null if none was due.
+  // With env.preemption on, an emergency within PREEMPTION.HORIZON takes over:
+  // the controller still observes (learners keep their reward window open)
+  // but does not act until the emergency is over the stop line.
+  function decide(controller, env) {
+    const observation = controller.observe(env);
+    const emergency = env.preemption ? preemptingEmergency(env) : null;
+    if (emergency) return preempt(controller, env, emergency);
+    if (observation === null) return null;
+    const action = controller.act(observation, env);
+    if (controller.learn) controller.learn(observation, action, env);
+    env.hooks.event(decisionEvent(controller, action, env));
+    Sim.applyAction(env, action, controller.tag);
+    return action;
+  }
+
+  // Structured record of a decision, taken before the action is applied.
+  // rewards: the REWARDS terms of the last complete tick. Controllers
+  // without explain() are rule-based (mode "rule"); explanation overrides it.
+  function decisionEvent(controller, action, env, explanation) {
+    return Object.assign({
+      type: "decision",
+      time: env.time,
+      controller: controller.tag,
+      phase: env.currentPhase,
+      action: action,
+      target: action === "EXTEND" ? env.currentPhase : action === "SWITCH" ? Sim.nextPhase(env) : action,
+      mode: "rule"
+    }, explanation || (controller.explain ? controller.explain() : {}), {
+      rewards: Object.assign({}, env.lastRewards)
+    });
+  }
+
+  // ---------- EMERGENCY PRE-EMPTION ----------
+  // Classic signal pre-emption, on top of whichever controller runs: once the
+  // most urgent emergency is HORIZON seconds from the stop line its through
+  // phase gets the green, skipping MIN_GREEN_TIME but never a clearance, and
+  // keeps it until the vehicle is over the line.
+  const PREEMPTION = {
+    HORIZON: 10 // Seconds of ETA (enough for yellow + all-red and a queue to start moving)
+  };
+
+  function preemptingEmergency(env) {
+    const e = Sim.urgentEmergencies(env)[0];
+    return e && Sim.emergencyETA(e) <= PREEMPTION.HORIZON ? e : null;
+  }
+
+  // Returns the phase forced this tick, or null while holding / waiting for a clearance
+  function preempt(controller, env, emergency) {
+    const phase = Sim.emergencyPhase(emergency);
+    if (env.transition || env.currentPhase === phase) return null;
+    const info = Sim.EMERGENCY_TYPES[emergency.type];
+    env.hooks.event(decisionEvent(controller, phase, env, {
+      mode: "preempt",
+      state: `${info.icon} ${emergency.lane.toUpperCase()} ETA ${Sim.emergencyETA(emergency).toFixed(1)}s`
+    }));
+    Sim.preemptPhase(env, phase);
+    return phase;
+  }
+
+  // Controller as the per-tick callback TrafficSim.step expects
+  function stepper(controller) {
+    return env => decide(controller, env);
+  }
+
+  // ---------- HELPERS ----------
+  // Vehicle queues a phase serves: through lanes and left-turn pockets
+  function servedChains(env, phase) {
+    const p = Sim.PHASES[phase];
+    return p.through.map(lane => env.lanes[lane].vehicles)
+      .concat(p.left.map(lane => env.lanes[lane].leftVehicles));
+  }
+
+  function phaseQueue(env, phase) {
+    return servedChains(env, phase).reduce((total, chain) => total + chain.length, 0);
+  }
+
+  // Cars waiting on the approach a movement feeds (grid only; open road otherwise)
+  function downstreamQueue(env, exit) {
+    const next = env.downstream && env.downstream[exit];
+    return next ? next.lanes[exit].queue + next.lanes[exit].leftQueue : 0;
+  }
+
+  // Max-pressure weight: per movement, vehicles waiting minus vehicles already queued where they go
+  function phasePressure(env, phase) {
+    let total = 0;
+    servedChains(env, phase).forEach(chain => {
+      const byExit = {};
+      chain.forEach(v => {
+        const exit = Sim.exitLane(v.lane, v.move);
+        byExit[exit] = (byExit[exit] || 0) + 1;
+      });
+      Object.keys(byExit).forEach(exit => { total += byExit[exit] - downstreamQueue(env, exit); });
+    });
+    return total;
+  }
+
+  // Phase with the highest score; the current phase wins ties
+  function bestPhase(env, score) {
+    let best = env.currentPhase;
+    let bestScore = score(env.currentPhase);
+    Sim.phaseCycle(env).forEach(phase => {
+      const s = score(phase);
+      if (s > bestScore) {
+        best = phase;
+        bestScore = s;
+      }
+    });
+    return best;
+  }
+
+  // ---------- FIXED CYCLE ----------
+  function fixedCycle(cycleSeconds) {
+    return () => ({
+      tag: "STATIC",
+      observe: env => (env.timeSinceSwitch >= cycleSeconds ? {} : null),
+      act: () => "SWITCH"
+    });
+  }
+
+  // ---------- ACTUATED (GAP-OUT) ----------
+  // Holds the green while the served lanes keep a vehicle on the detector;
+  // once they have been empty for GAP seconds (gap-out) or the green reaches
+  // MAX_GREEN (max-out) it moves on to the next phase with demand.
+  const ACTUATED = {
+    GAP: 3,
+    MAX_GREEN: 60
+  };
+
+  function actuated() {
+    const params = Object.assign({}, ACTUATED);
+    let phase = null;
+    let lastDemand = 0;
+
+    return {
+      tag: "ACTUATED",
+      observe(env) {
+        if (env.currentPhase !== phase) {
+          phase = env.currentPhase;
+          lastDemand = env.time;
+        }
+        if (phaseQueue(env, phase) > 0) lastDemand = env.time;
+        if (!Sim.canSwitch(env)) return null;
+
+        const maxedOut = env.timeSinceSwitch >= params.MAX_GREEN;
+        if (!maxedOut && env.time - lastDemand < params.GAP) return null;
+        return { maxedOut: maxedOut };
+      },
+      act(observation, env) {
+        // Next phase in the cycle that has someone waiting
+        const cycle = Sim.phaseCycle(env);
+        const start = cycle.indexOf(env.currentPhase);
+        for (let i = 1; i < cycle.length; i++) {
+          const candidate = cycle[(start + i) % cycle.length];
+          if (phaseQueue(env, candidate) > 0) return candidate;
+        }
+        return "EXTEND";
+      },
+      serialize: () => Object.assign({}, params),
+      deserialize(data) {
+        Object.keys(params).forEach(key => {
+          if (typeof data[key] === "number") params[key] = data[key];
+        });
+      }
+    };
+  }
+
+  // ---------- MAX-PRESSURE / LONGEST QUEUE FIRST ----------
+  // Both go to the phase with the highest weight once a switch is allowed.
+  // A green that has just cleared its queue always weighs less than the red
+  // side, so the current phase is first extended while its lanes still bring
+  // a new vehicle every GAP seconds, up to MAX_GREEN.
+  // On a single intersection nothing is queued downstream, so max-pressure
+  // weights are plain queue lengths and the two make the same choices; they
+  // only differ in a grid.
+  const GREEDY = {
+    GAP: 2,
+    MAX_GREEN: 60
+  };
+
+  function greedyPhase(tag, score) {
+    return () => {
+      const params = Object.assign({}, GREEDY);
+      let phase = null;
+      let lastArrival = 0;
+
+      return {
+        tag: tag,
+        observe(env) {
+          if (env.currentPhase !== phase) {
+            phase = env.currentPhase;
+            lastArrival = env.time;
+          }
+          servedChains(env, phase).forEach(chain => chain.forEach(v => {
+            lastArrival = Math.max(lastArrival, v.arrivedAt);
+          }));
+          if (!Sim.canSwitch(env)) return null;
+
+          const extending = env.timeSinceSwitch < params.MAX_GREEN && env.time - lastArrival < params.GAP;
+          return extending ? null : {};
+        },
+        act(observation, env) {
+          const best = bestPhase(env, p => score(env, p));
+          return best === env.currentPhase ? "EXTEND" : best;
+        },
+        serialize: () => Object.assign({}, params),
+        deserialize(data) {
+          Object.keys(params).forEach(key => {
+            if (typeof data[key] === "number") params[key] = data[key];
+          });
+        }
+      };
+    };
+  }
+
+  // ---------- WEBSTER FIXED-TIME PLAN ----------
+  // Fixed-time plan with Webster's optimal cycle C = (1.5 L + 5) / (1 - Y),
+  // greens split in proportion to each phase's critical flow ratio. Flows are
+  // measured as the run goes (per approach, split by the turn ratios) and the
+  // plan is recomputed at the start of every cycle.
+  // With MAX_PASS discharge Webster's C is shorter than MIN_GREEN_TIME on
+  // every phase, so the cycle is stretched until the lightest phase gets its
+  // minimum and the busier ones keep their share on top of it.
+  const WEBSTER = {
+    STARTUP_LOST: 2, // Seconds lost per phase besides clearance
+    MAX_CYCLE: 120,
+    MAX_Y: 0.9 // Webster's formula breaks down near saturation
+  };
+
+  function websterPlan(env, arrivals, elapsed) {
+    const cycle = Sim.phaseCycle(env);
+    const saturation = Sim.MAX_PASS; // Vehicles per second off one discharging queue
+    const lostPerPhase = env.clearance.YELLOW + env.clearance.ALL_RED + WEBSTER.STARTUP_LOST;
+    const lost = lostPerPhase * cycle.length;
+
+    // Arrival rate per lane, before any measurements: the base probability
+    const rate = lane => (elapsed > 0 ? arrivals[lane] / elapsed : Sim.ARRIVAL_PROBABILITY);
+    const leftShare = lane => {
+      if (!env.turning) return 0;
+      const r = env.turnRatios[lane];
+      return r.left / (r.left + r.straight + r.right);
+    };
+
+    const ratios = cycle.map(phase => {
+      const p = Sim.PHASES[phase];
+      const flows = p.through.map(lane => rate(lane) * (1 - leftShare(lane)))
+        .concat(p.left.map(lane => rate(lane) * leftShare(lane)));
+      return Math.max(0, ...flows) / saturation;
+    });
+    const Y = Math.min(WEBSTER.MAX_Y, Sim.sum(ratios));
+    const shares = ratios.map(r => (Y > 0 ? r / Sim.sum(ratios) : 1 / cycle.length));
+    const minEffective = Math.max(0, Sim.MIN_GREEN_TIME - lostPerPhase);
+    const stretched = lost + Math.max(0, ...shares.filter(s => s > 0).map(s => minEffective / s));
+    const length = Math.min(WEBSTER.MAX_CYCLE, Math.max((1.5 * lost + 5) / (1 - Y), stretched));
+
+    const greens = {};
+    cycle.forEach((phase, i) => {
+      greens[phase] = Math.max(Sim.MIN_GREEN_TIME, Math.round((length - lost) * shares[i] + lostPerPhase));
+    });
+    return { cycle: Sim.sum(Object.values(greens)), greens: greens };
+  }
+
+  function webster() {
+    let arrivals = { north: 0, south: 0, east: 0, west: 0 };
+    let elapsed = 0;
+    let plan = null;
+
+    return {
+      tag: "WEBSTER",
+      observe(env) {
+        Sim.LANES.forEach(lane => {
+          const recent = env.lanes[lane].recentArrivals;
+          arrivals[lane] += recent[recent.length - 1] || 0;
+        });
+        elapsed++;
+
+        if (!plan) plan = websterPlan(env, arrivals, 0);
+        if (env.transition || env.timeSinceSwitch < plan.greens[env.currentPhase]) return null;
+        return {};
+      },
+      act(observation, env) {
+        const next = Sim.nextPhase(env);
+        if (next === Sim.phaseCycle(env)[0]) {
+          plan = websterPlan(env, arrivals, elapsed);
+          env.hooks.log(`[WEBSTER] Cycle ${plan.cycle}s: ` +
+            Object.keys(plan.greens).map(p => `${p} ${plan.greens[p]}s`).join(" / "), "normal");
+        }
+        return "SWITCH";
+      },
+      serialize: () => ({ arrivals: Object.assign({}, arrivals), elapsed: elapsed, plan: plan }),
+      deserialize(data) {
+        if (data.arrivals) arrivals = Object.assign(arrivals, data.arrivals);
+        if (typeof data.elapsed === "number") elapsed = data.elapsed;
+        if (data.plan) plan = data.plan;
+      }
+    };
+  }
+
+  // ---------- BUILT-IN CONTROLLERS ----------
+  registerController("AI", ctx => ({
+    tag: "Q-LEARN",
+    observe: env => TrafficAgent.observe(ctx.agent, env),
+    act: observation => TrafficAgent.act(ctx.agent, observation),
+    learn: (observation, action, env) => (ctx.frozen
+      ? TrafficAgent.nextWindow(ctx.agent, env, observation.state, action)
+      : TrafficAgent.learn(ctx.agent, observation, action, env)),
+    explain: () => ctx.agent.lastChoice
+  }), { description: "Q-learning agent" });
+  registerController("DQN", ctx => ({
+    tag: "DQN",
+    observe: env => TrafficApprox.observe(ctx.approxAgent, env),
+    act: observation => TrafficApprox.act(ctx.approxAgent, observation),
+    learn: (observation, action, env) => (ctx.frozen
+      ? TrafficAgent.nextWindow(ctx.approxAgent, env, observation.x, action)
+      : TrafficApprox.learn(ctx.approxAgent, observation, action, env)),
+    explain: () => ctx.approxAgent.lastChoice
+  }), { description: "Q-learning on continuous features (linear / MLP) with replay and a target network" });
+  registerController("20s", fixedCycle(20), { description: "Fixed 20s cycle" });
+  registerController("30s", fixedCycle(30), { description: "Fixed 30s cycle" });
+  registerController("Actuated", actuated, {
+    label: "ACT",
+    description: `Gap-out actuated control (${ACTUATED.GAP}s gap, ${ACTUATED.MAX_GREEN}s max green)`
+  });
+  registerController("MaxPressure", greedyPhase("MAX-PRESSURE", phasePressure), {
+    label: "MP",
+    description: `Max-pressure: serve the phase with the largest queued-minus-downstream weight (${GREEDY.GAP}s gap, ${GREEDY.MAX_GREEN}s max green)`
+  });
+  registerController("LongestQueue", greedyPhase("LQF", phaseQueue), {
+    label: "LQF",
+    description: `Longest queue first (${GREEDY.GAP}s gap, ${GREEDY.MAX_GREEN}s max green)`
+  });
+  registerController("Webster", webster, {
+    label: "WEB",
+    description: "Webster-optimal fixed-time plan from measured flows"
+  });
+
+  return {
+    ACTUATED,
+    GREEDY,
+    WEBSTER,
+    PREEMPTION,
+    registerController,
+    getControllers,
+    getController,
+    decide,
+    decisionEvent,
+    stepper,
+    websterPlan
+  };
+});
@@ -0,0 +1,288 @@
+// ---------- DEMAND PROFILES ----------
+// Arrival probability per approach as a function of the time of day, plus
+// scripted events, from a plain JSON scenario:
+//   { name, start: "07:00", approaches: { north: [["06:00", 0.1], ["08:00", 0.5]], east: 0.2 },
+//     events: [{ type: "closure", lanes: ["east"], at: "08:15", duration: 900 }] }
+// Times are seconds or "HH:MM[:SS]" clock times; the run starts at `start`
+// and the day repeats every `period` seconds. Curves are piecewise linear
+// and wrap around the day.
+(function (root, factory) {
+  if (typeof module === "object" && module.exports) {
+    module.exports = factory(require("./sim.js"));
+  } else {
+    root.TrafficDemand = factory(root.TrafficSim);
+  }
+})(this, function (Sim) {
+
+  const DAY = 86400;
+
+  // Scripted events: closure = no arrivals, surge = { rate } or { factor } on top of the curve
+  const EVENT_TYPES = ["closure", "surge"];
+
+  // The original demand: a flat ARRIVAL_PROBABILITY everywhere with random bursts
+  const DEFAULT_SCENARIO = {
+    name: "Flat",
+    approaches: { north: Sim.ARRIVAL_PROBABILITY, south: Sim.ARRIVAL_PROBABILITY, east: Sim.ARRIVAL_PROBABILITY, west: Sim.ARRIVAL_PROBABILITY },
+    bursts: true
+  };
+
+  const PRESETS = {
+    flat: DEFAULT_SCENARIO,
+    arterial: {
+      name: "Arterial",
+      description: "Busy north-south arterial crossing a quiet side street",
+      approaches: { north: 0.35, south: 0.35, east: 0.08, west: 0.08 },
+      bursts: true
+    },
+    commuter: {
+      name: "Commuter day",
+      description: "Morning peak towards the centre on NS, evening peak out on EW",
+      start: "06:00",
+      approaches: {
+        north: [["00:00", 0.05], ["06:00", 0.1], ["08:00", 0.45], ["10:00", 0.15], ["16:00", 0.15], ["18:00", 0.2], ["22:00", 0.05]],
+        south: [["00:00", 0.05], ["06:00", 0.1], ["08:00", 0.4], ["10:00", 0.15], ["16:00", 0.15], ["18:00", 0.2], ["22:00", 0.05]],
+        east: [["00:00", 0.05], ["06:00", 0.08], ["08:00", 0.15], ["10:00", 0.12], ["16:00", 0.15], ["17:30", 0.45], ["19:30", 0.15], ["22:00", 0.05]],
+        west: [["00:00", 0.05], ["06:00", 0.08], ["08:00", 0.15], ["10:00", 0.12], ["16:00", 0.15], ["17:30", 0.4], ["19:30", 0.15], ["22:00", 0.05]]
+      },
+      bursts: false
+    },
+    stadium: {
+      name: "Stadium night",
+      description: "Normal evening traffic, then the crowd arrives from the west",
+      start: "18:00",
+      approaches: { north: 0.15, south: 0.15, east: 0.15, west: 0.15 },
+      bursts: true,
+      events: [
+        { type: "surge", lanes: ["west"], at: "18:30", duration: 1200, rate: 0.7 },
+        { type: "surge", lanes: ["north", "south"], at: "18:40", duration: 600, factor: 2 }
+      ]
+    },
+    incident: {
+      name: "Lane closure",
+      description: "East approach closed for 15 minutes, its traffic shifts to the west",
+      start: "08:00",
+      approaches: { north: 0.2, south: 0.2, east: 0.2, west: 0.2 },
+      bursts: true,
+      events: [
+        { type: "closure", lanes: ["east"], at: "08:10", duration: 900 },
+        { type: "surge", lanes: ["west"], at: "08:10", duration: 900, factor: 1.8 }
+      ]
+    }
+  };
+
+  // ---------- DEFINITIONS ----------
+  // Seconds from a number or "HH:MM[:SS]"
+  function parseTime(value, where) {
+    if (typeof value === "number" && isFinite(value) && value >= 0) return value;
+    const match = typeof value === "string" && /^(\d{1,2}):(\d{2})(?::(\d{2}))?$/.exec(value);
+    if (!match) throw new Error(`${where}: expected seconds or "HH:MM", got ${JSON.stringify(value)}`);
+    return Number(match[1]) * 3600 + Number(match[2]) * 60 + Number(match[3] || 0);
+  }
+
+  // "HH:MM", or "HH:MM:SS" off the minute
+  function formatClock(seconds) {
+    const s = Math.floor(seconds) % DAY;
+    const pad = n => String(n).padStart(2, "0");
+    return `${pad(Math.floor(s / 3600))}:${pad(Math.floor(s / 60) % 60)}${s % 60 ? ":" + pad(s % 60) : ""}`;
+  }
+
+  function checkRate(value, where) {
+    if (typeof value !== "number" || !(value >= 0 && value <= 1)) throw new Error(`${where}: rate must be a probability between 0 and 1`);
+    return value;
+  }
+
+  // A constant becomes a single point; points are sorted by time
+  function validateCurve(curve, where, period) {
+    if (typeof curve === "number") return [[0, checkRate(curve, where)]];
+    if (!Array.isArray(curve) || curve.length === 0) throw new Error(`${where}: expected a rate or a non-empty list of [time, rate] points`);
+    const points = curve.map((p, i) => {
+      if (!Array.isArray(p) || p.length !== 2) throw new Error(`${where}, point ${i + 1}: expected [time, rate]`);
+      const t = parseTime(p[0], `${where}, point ${i + 1}`);
+      if (t >= period) throw new Error(`${where}, point ${i + 1}: time is past the ${period}s period`);
+      return [t, checkRate(p[1], `${where}, point ${i + 1}`)];
+    });
+    return points.sort((a, b) => a[0] - b[0]);
+  }
+
+  function validateEvent(e, i, period) {
+    const where = `Event ${i + 1} (${e && e.type})`;
+    if (!e || !EVENT_TYPES.includes(e.type)) throw new Error(`${where}: unknown type, expected one of ${EVENT_TYPES.join(", ")}`);
+    const lanes = e.lanes || (e.lane ? [e.lane] : Sim.LANES);
+    lanes.forEach(lane => {
+      if (!Sim.LANES.includes(lane)) throw new Error(`${where}: unknown approach ${lane}`);
+    });
+    const copy = { type: e.type, lanes: lanes.slice(), at: parseTime(e.at, where), duration: e.duration };
+    if (copy.at >= period) throw new Error(`${where}: starts past the ${period}s period`);
+    if (typeof copy.duration !== "number" || !(copy.duration > 0)) throw new Error(`${where}: duration must be a positive number of seconds`);
+    if (e.type === "surge") {
+      if (e.rate !== undefined) copy.rate = checkRate(e.rate, where);
+      else if (typeof e.factor === "number" && e.factor >= 0) copy.factor = e.factor;
+      else throw new Error(`${where}: a surge needs a rate or a non-negative factor`);
+    }
+    if (e.label) copy.label = String(e.label);
+    return copy;
+  }
+
+  // Throws on anything the profile could not evaluate; returns a normalised copy
+  // (times in seconds, every approach a sorted curve). Approaches left out get ARRIVAL_PROBABILITY.
+  function validateScenario(def) {
+    if (!def || typeof def !== "object") throw new Error("Scenario must be a JSON object");
+    const period = def.period === undefined ? DAY : def.period;
+    if (typeof period !== "number" || !(period > 0)) throw new Error("period must be a positive number of seconds");
+    const approaches = def.approaches || {};
+    Object.keys(approaches).forEach(lane => {
+      if (!Sim.LANES.includes(lane)) throw new Error(`Unknown approach ${lane}, expected one of ${Sim.LANES.join(", ")}`);
+    });
+
+    const curves = {};
+    Sim.LANES.forEach(lane => {
+      curves[lane] = validateCurve(approaches[lane] === undefined ? Sim.ARRIVAL_PROBABILITY : approaches[lane], `Approach ${lane}`, period);
+    });
+    const copy = {
+      name: def.name ? String(def.name) : "Custom",
+      start: def.start === undefined ? 0 : parseTime(def.start, "start") % period,
+      period: period,
+      approaches: curves,
+      bursts: def.bursts !== false,
+      events: (def.events || []).map((e, i) => validateEvent(e, i, period))
+    };
+    if (def.description) copy.description = String(def.description);
+    return copy;
+  }
+
+  // Normalised scenario back in the file format, with clock times (for editing and saving)
+  function toDefinition(scenario) {
+    const clock = t => (Number.isInteger(t) && t < DAY ? formatClock(t) : t);
+    const approaches = {};
+    Sim.LANES.forEach(lane => {
+      const points = scenario.approaches[lane];
+      approaches[lane] = points.length === 1 ? points[0][1] : points.map(p => [clock(p[0]), p[1]]);
+    });
+    const def = { name: scenario.name };
+    if (scenario.description) def.description = scenario.description;
+    if (scenario.start) def.start = clock(scenario.start);
+    if (scenario.period !== DAY) def.period = scenario.period;
+    def.approaches = approaches;
+    def.bursts = scenario.bursts;
+    if (scenario.events.length) def.events = scenario.events.map(e => Object.assign({}, e, { at: clock(e.at) }));
+    return def;
+  }
+
+  function scenarioId(def) {
+    return JSON.stringify(validateScenario(def || DEFAULT_SCENARIO));
+  }
+
+  function sameScenario(a, b) {
+    return scenarioId(a) === scenarioId(b);
+  }
+
+  // ---------- EVALUATION ----------
+  // Time of day (seconds into the period) at simulated second `time`
+  function clockTime(scenario, time) {
+    return (scenario.start + time) % scenario.period;
+  }
+
+  // Linear between points, wrapping from the last point of the day to the first
+  function curveRate(points, t, period) {
+    if (points.length === 1) return points[0][1];
+    let i = 0;
+    while (i < points.length && points[i][0] <= t) i++;
+    const before = i === 0 ? [points[points.length - 1][0] - period, points[points.length - 1][1]] : points[i - 1];
+    const after = i === points.length ? [points[0][0] + period, points[0][1]] : points[i];
+    const span = after[0] - before[0];
+    return span > 0 ? before[1] + (after[1] - before[1]) * (t - before[0]) / span : before[1];
+  }
+
+  // Events running at clock time t (an event may run past midnight)
+  function activeEvents(scenario, time) {
+    const t = clockTime(scenario, time);
+    return scenario.events.filter(e => {
+      const into = (t - e.at + scenario.period) % scenario.period;
+      return into < e.duration;
+    });
+  }
+
+  function rateAt(scenario, lane, time) {
+    let rate = curveRate(scenario.approaches[lane], clockTime(scenario, time), scenario.period);
+    const events = activeEvents(scenario, time).filter(e => e.lanes.includes(lane));
+    if (events.some(e => e.type === "closure")) return 0;
+    events.forEach(e => {
+      rate = e.rate !== undefined ? Math.max(rate, e.rate) : rate * e.factor;
+    });
+    return Math.min(1, rate);
+  }
+
+  // The demand sim.js createEnv takes (options.demand): { scenario, bursts, rate(lane, time) }
+  function createProfile(def) {
+    const scenario = validateScenario(def || DEFAULT_SCENARIO);
+    return {
+      scenario: scenario,
+      bursts: scenario.bursts,
+      rate: (lane, time) => rateAt(scenario, lane, time)
+    };
+  }
+
+  // Events that start or end at simulated second `time`: [{ event, started }]
+  function changesAt(scenario, time) {
+    const now = new Set(activeEvents(scenario, time));
+    const before = new Set(time > 0 ? activeEvents(scenario, time - 1) : []);
+    const changes = [];
+    scenario.events.forEach(e => {
+      if (now.has(e) && !before.has(e)) changes.push({ event: e, started: true });
+      if (!now.has(e) && before.has(e)) changes.push({ event: e, started: false });
+    });
+    return changes;
+  }
+
+  // e.g. "Closure EAST 08:10-08:25"
+  function describeEvent(e) {
+    const what = e.label || (e.type === "closure" ? "Closure" : e.rate !== undefined ? `Surge to ${e.rate}` : `Surge ×${e.factor}`);
+    return `${what} ${e.lanes.map(l => l.toUpperCase()).join("/")} ${formatClock(e.at)}-${formatClock(e.at + e.duration)}`;
+  }
+
+  // Short human-readable summary, e.g. "Commuter day (from 06:00, 0.05-0.45, 2 events)"
+  function describe(scenario) {
+    const rates = [].concat(...Sim.LANES.map(lane => scenario.approaches[lane].map(p => p[1])));
+    const low = Math.min(...rates);
+    const high = Math.max(...rates);
+    const parts = [`from ${formatClock(scenario.start)}`, low === high ? `${low}` : `${low}-${high}`];
+    if (scenario.bursts) parts.push("bursts");
+    if (scenario.events.length) parts.push(`${scenario.events.length} event${scenario.events.length > 1 ? "s" : ""}`);
+    return `${scenario.name} (${parts.join(", ")})`;
+  }
+
+  // Rate per approach at `samples` evenly spaced times over one period (for charts),
+  // starting at the run's start: { times: [clock seconds], rates: { lane: [...] } }
+  function sampleProfile(scenario, samples = 288) {
+    const step = scenario.period / samples;
+    const times = [];
+    const rates = {};
+    Sim.LANES.forEach(lane => { rates[lane] = []; });
+    for (let i = 0; i < samples; i++) {
+      times.push(clockTime(scenario, i * step));
+      Sim.LANES.forEach(lane => rates[lane].push(rateAt(scenario, lane, i * step)));
+    }
+    return { times: times, rates: rates };
+  }
+
+  return {
+    DAY,
+    EVENT_TYPES,
+    DEFAULT_SCENARIO,
+    PRESETS,
+    parseTime,
+    formatClock,
+    validateScenario,
+    toDefinition,
+    scenarioId,
+    sameScenario,
+    clockTime,
+    activeEvents,
+    rateAt,
+    createProfile,
+    changesAt,
+    describeEvent,
+    describe,
+    sampleProfile
+  };
+});
@@ -0,0 +1,258 @@
+// ---------- STATE ENCODER ----------
+// Turns the environment into the string key of a Q-table row. Which features
+// go into the key, and their bin edges, come from a plain JSON definition:
+//   { features: [{ type: "phase" }, { type: "queues", edges: [1, 4, 8] }, ...] }
+// Exports record the definition so a table is only loaded against the
+// encoder it was built with.
+(function (root, factory) {
+  if (typeof module === "object" && module.exports) {
+    module.exports = factory(require("./sim.js"));
+  } else {
+    root.TrafficEncoder = factory(root.TrafficSim);
+  }
+})(this, function (Sim) {
+
+  // Bin index of a value: edges are ascending lower bounds of bins 1..n
+  function bin(value, edges) {
+    let i = 0;
+    while (i < edges.length && value >= edges[i]) i++;
+    return i;
+  }
+
+  // Three-way comparison of two axes (the original pressure / neighbour labels)
+  function axisLabel(diff, threshold) {
+    return diff > threshold ? "HIGH_NS" : diff < -threshold ? "HIGH_EW" : "BALANCED";
+  }
+
+  // ---------- FEATURES ----------
+  // encode(env, feature, options) returns the feature's token (null = left
+  // out of the key); size(feature, options) the number of distinct tokens.
+  // options: { turning, observeNeighbours }
+  const FEATURES = {
+    // Current phase
+    phase: {
+      encode: env => env.currentPhase,
+      size: (f, o) => (o.turning ? 4 : 2)
+    },
+    // Arrival-window pressure NS vs EW: { threshold }
+    pressure: {
+      encode: (env, f) => axisLabel(env.pressure.NS - env.pressure.EW, f.threshold),
+      size: () => 3
+    },
+    // Queue per approach (through + left pocket), N.S.E.W: { edges }
+    queues: {
+      encode: (env, f) => "Q" + Sim.LANES.map(lane => bin(env.lanes[lane].queue + env.lanes[lane].leftQueue, f.edges)).join("."),
+      size: f => Math.pow(f.edges.length + 1, Sim.LANES.length)
+    },
+    // Seconds since the last switch: { edges }
+    timeSinceSwitch: {
+      encode: (env, f) => "T" + bin(env.timeSinceSwitch, f.edges),
+      size: f => f.edges.length + 1
+    },
+    // Ambulances only (the most urgent one), optionally with its approach, distance to the
+    // stop line (lane widths on screen; D_U while still upstream) and ETA (seconds): { approach, distanceEdges, etaEdges }
+    // Fire trucks and police only show in `emergencies`, so tables from before them keep their meaning.
+    ambulance: {
+      encode(env, f) {
+        const isAmbulance = e => e.type === "ambulance";
+        const e = Sim.urgentEmergencies(env).find(isAmbulance) || env.emergencies.find(isAmbulance); // Else one still in the box
+        if (!e) return "NONE";
+        let token = "AMB";
+        if (f.approach) token += "_" + e.lane[0].toUpperCase();
+        if (f.distanceEdges) token += "_D" + (e.vehicle ? bin(Sim.distanceToStop(e.vehicle), f.distanceEdges) : "U");
+        if (f.etaEdges) token += "_E" + bin(Sim.emergencyETA(e), f.etaEdges);
+        return token;
+      },
+      size: f => 1 + (f.approach ? Sim.LANES.length : 1) * (f.distanceEdges ? f.distanceEdges.length + 2 : 1) *
+        (f.etaEdges ? f.etaEdges.length + 1 : 1)
+    },
+    // Up to `max` emergencies short of the stop line, most urgent first, by approach and
+    // optionally type and ETA bin, e.g. EV_NF.EA (fire truck north, ambulance east)
+    // or EV_NF0.EA1 with etaEdges: { types, max, etaEdges }
+    emergencies: {
+      encode(env, f) {
+        const list = Sim.urgentEmergencies(env).slice(0, f.max);
+        if (list.length === 0) return "EV_NONE";
+        return "EV_" + list.map(e => e.lane[0].toUpperCase() + (f.types ? e.type[0].toUpperCase() : "") +
+          (f.etaEdges ? bin(Sim.emergencyETA(e), f.etaEdges) : "")).join(".");
+      },
+      size(f) {
+        const slot = Sim.LANES.length * (f.types ? Object.keys(Sim.EMERGENCY_TYPES).length : 1) * (f.etaEdges ? f.etaEdges.length + 1 : 1);
+        let n = 1;
+        for (let k = 1; k <= f.max; k++) n += Math.pow(slot, k);
+        return n;
+      }
+    },
+    // Turning only: which axis has a busy left-turn pocket: { threshold }
+    leftPockets: {
+      encode(env, f) {
+        if (!env.turning) return null;
+        const leftNS = env.lanes.north.leftQueue + env.lanes.south.leftQueue >= f.threshold;
+        const leftEW = env.lanes.east.leftQueue + env.lanes.west.leftQueue >= f.threshold;
+        return leftNS && leftEW ? "LBOTH" : leftNS ? "LNS" : leftEW ? "LEW" : "LNONE";
+      },
+      size: (f, o) => (o.turning ? 4 : 1)
+    },
+    // Grid with neighbour observation only: which axis upstream nodes are about to send more cars on: { threshold }
+    neighbours: {
+      encode(env, f, o) {
+        if (!o.observeNeighbours || !env.incoming) return null;
+        const diff = (env.incoming.north + env.incoming.south) - (env.incoming.east + env.incoming.west);
+        return "NB_" + axisLabel(diff, f.threshold);
+      },
+      size: (f, o) => (o.observeNeighbours ? 3 : 1)
+    }
+  };
+
+  // Reproduces the original hand-written keys, e.g. NS_HIGH_EW_AMB
+  const DEFAULT_ENCODER = {
+    features: [
+      { type: "phase" },
+      { type: "pressure", threshold: 3 },
+      { type: "ambulance" },
+      { type: "leftPockets", threshold: 3 },
+      { type: "neighbours", threshold: 3 }
+    ]
+  };
+
+  const PRESETS = {
+    classic: DEFAULT_ENCODER,
+    queues: {
+      features: [
+        { type: "phase" },
+        { type: "queues", edges: [1, 4, 8] },
+        { type: "ambulance", approach: true },
+        { type: "leftPockets", threshold: 3 },
+        { type: "neighbours", threshold: 3 }
+      ]
+    },
+    detailed: {
+      features: [
+        { type: "phase" },
+        { type: "queues", edges: [1, 4, 8] },
+        { type: "pressure", threshold: 3 },
+        { type: "timeSinceSwitch", edges: [30, 45] },
+        { type: "ambulance", approach: true, etaEdges: [4, 10] },
+        { type: "leftPockets", threshold: 3 },
+        { type: "neighbours", threshold: 3 }
+      ]
+    },
+    priority: {
+      features: [
+        { type: "phase" },
+        { type: "queues", edges: [1, 4, 8] },
+        { type: "emergencies", types: true, max: 2, etaEdges: [5] },
+        { type: "leftPockets", threshold: 3 },
+        { type: "neighbours", threshold: 3 }
+      ]
+    }
+  };
+
+  // ---------- DEFINITIONS ----------
+  function checkEdges(edges, where) {
+    if (!Array.isArray(edges) || edges.length === 0 || edges.some(e => typeof e !== "number" || !isFinite(e))) {
+      throw new Error(`${where}: edges must be a non-empty array of numbers`);
+    }
+    for (let i = 1; i < edges.length; i++) {
+      if (edges[i] <= edges[i - 1]) throw new Error(`${where}: edges must be ascending`);
+    }
+  }
+
+  // Throws on anything encode() could not handle; returns a normalised copy
+  function validateEncoder(def) {
+    if (!def || !Array.isArray(def.features) || def.features.length === 0) {
+      throw new Error("Encoder needs a non-empty features array");
+    }
+    const seen = new Set();
+    const features = def.features.map((f, i) => {
+      const where = `Feature ${i + 1} (${f && f.type})`;
+      if (!f || !FEATURES[f.type]) throw new Error(`${where}: unknown type, expected one of ${Object.keys(FEATURES).join(", ")}`);
+      if (seen.has(f.type)) throw new Error(`${where}: listed twice`);
+      seen.add(f.type);
+
+      const copy = { type: f.type };
+      if (f.type === "pressure" || f.type === "leftPockets" || f.type === "neighbours") {
+        copy.threshold = f.threshold === undefined ? 3 : f.threshold;
+        if (typeof copy.threshold !== "number" || !(copy.threshold >= 0)) throw new Error(`${where}: threshold must be a non-negative number`);
+      }
+      if (f.type === "queues" || f.type === "timeSinceSwitch") {
+        checkEdges(f.edges, where);
+        copy.edges = f.edges.slice();
+      }
+      if (f.type === "ambulance") {
+        if (f.approach) copy.approach = true;
+        if (f.distanceEdges !== undefined) {
+          checkEdges(f.distanceEdges, where);
+          copy.distanceEdges = f.distanceEdges.slice();
+        }
+      }
+      if (f.type === "emergencies") {
+        if (f.types) copy.types = true;
+        copy.max = f.max === undefined ? 2 : f.max;
+        if (!Number.isInteger(copy.max) || copy.max < 1 || copy.max > Sim.LANES.length) {
+          throw new Error(`${where}: max must be a whole number from 1 to ${Sim.LANES.length}`);
+        }
+      }
+      if ((f.type === "ambulance" || f.type === "emergencies") && f.etaEdges !== undefined) {
+        checkEdges(f.etaEdges, where);
+        copy.etaEdges = f.etaEdges.slice();
+      }
+      return copy;
+    });
+    return { features: features };
+  }
+
+  // Canonical form for comparisons
+  function encoderId(def) {
+    return JSON.stringify(validateEncoder(def || DEFAULT_ENCODER));
+  }
+
+  // Tables exported before encoders existed carry no definition: they used the default
+  function sameEncoder(a, b) {
+    return encoderId(a) === encoderId(b);
+  }
+
+  function encode(env, def, options = {}) {
+    const tokens = [];
+    def.features.forEach(f => {
+      const token = FEATURES[f.type].encode(env, f, options);
+      if (token !== null) tokens.push(token);
+    });
+    return tokens.join("_");
+  }
+
+  // Upper bound on distinct keys (not every combination is reachable)
+  function stateCount(def, options = {}) {
+    return def.features.reduce((n, f) => n * FEATURES[f.type].size(f, options), 1);
+  }
+
+  // Short human-readable summary, e.g. "phase + queues[1,4,8] + ambulance(approach)"
+  function describe(def) {
+    return def.features.map(f => {
+      let text = f.type;
+      if (f.edges) text += `[${f.edges.join(",")}]`;
+      if (f.threshold !== undefined) text += `(${f.threshold})`;
+      if (f.type === "ambulance") {
+        const opts = [];
+        if (f.approach) opts.push("approach");
+        if (f.distanceEdges) opts.push(`dist[${f.distanceEdges.join(",")}]`);
+        if (f.etaEdges) opts.push(`eta[${f.etaEdges.join(",")}]`);
+        if (opts.length) text += `(${opts.join(", ")})`;
+      }
+      if (f.type === "emergencies") text += `(${f.types ? "types, " : ""}max ${f.max}${f.etaEdges ? `, eta[${f.etaEdges.join(",")}]` : ""})`;
+      return text;
+    }).join(" + ");
+  }
+
+  return {
+    FEATURES,
+    DEFAULT_ENCODER,
+    PRESETS,
+    validateEncoder,
+    encoderId,
+    sameEncoder,
+    encode,
+    stateCount,
+    describe
+  };
+});
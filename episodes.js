@@ -0,0 +1,146 @@
+// ---------- EPISODIC TRAINING ----------
+// Training split into fixed-length episodes: a summary per episode (the
+// learning curve) and a snapshot of the model every `checkpointEvery`
+// episodes, scored by the mean avg reward/sec of the episodes since the
+// previous one, so training can roll back to its best point.
+(function (root, factory) {
+  if (typeof module === "object" && module.exports) {
+    module.exports = factory(require("./sim.js"), require("./metrics.js"));
+  } else {
+    root.TrafficEpisodes = factory(root.TrafficSim, root.TrafficMetrics);
+  }
+})(this, function (TrafficSim, TrafficMetrics) {
+
+  const EPISODES = {
+    CHECKPOINT_EVERY: 10,
+    MAX_CHECKPOINTS: 10 // Oldest go first; the best one is always kept
+  };
+
+  // Summary columns, in CSV order
+  const COLUMNS = ["episode", "controller", "seed", "scenario", "time", "reward", "avgReward", "wait", "avgDelay", "los",
+    "crossed", "crashed", "waited", "carCrashes", "switches", "epsilon"];
+
+  // options: { episodeLength (simulated seconds, 0 = endless), checkpointEvery }
+  function createTrainingLog(options = {}) {
+    return {
+      episodeLength: options.episodeLength || 0,
+      checkpointEvery: options.checkpointEvery || EPISODES.CHECKPOINT_EVERY,
+      episodes: [],
+      checkpoints: []
+    };
+  }
+
+  // One environment or an array of them (grid nodes, summed).
+  // extra: { controller, seed, scenario (demand scenario name), epsilon (exploration rate at the end, null if none) }
+  function summarizeEpisode(envs, extra = {}) {
+    const list = Array.isArray(envs) ? envs : [envs];
+    const total = key => list.reduce((a, env) => a + key(env), 0);
+    const time = list[0] ? list[0].time : 0;
+    const reward = total(env => env.cumulativeReward);
+    const metrics = TrafficMetrics.summarize(list);
+    return {
+      controller: extra.controller || null,
+      seed: extra.seed !== undefined ? extra.seed : null,
+      scenario: extra.scenario || null,
+      time: time,
+      reward: reward,
+      avgReward: time > 0 ? reward / time : 0,
+      wait: total(env => env.totalWait),
+      avgDelay: metrics.avgDelay,
+      los: metrics.los,
+      crossed: total(env => env.emergencyStats.crossed),
+      crashed: total(env => env.emergencyStats.crashed),
+      waited: total(env => env.emergencyStats.waited),
+      carCrashes: total(env => env.carCrashes),
+      switches: total(env => env.switches),
+      epsilon: extra.epsilon !== undefined ? extra.epsilon : null,
+      rewardCounts: TrafficSim.sumTerms(list.map(env => env.rewardCounts)) // Per REWARDS term (JSON only), see reweighEpisodes
+    };
+  }
+
+  function meanReward(episodes) {
+    return episodes.reduce((a, e) => a + e.avgReward, 0) / episodes.length;
+  }
+
+  // Appends the summary (numbering it) and, when a checkpoint is due, stores
+  // snapshot() — a JSON-safe copy of the model. Returns the new checkpoint or null.
+  function recordEpisode(log, summary, snapshot) {
+    summary.episode = log.episodes.length + 1;
+    log.episodes.push(summary);
+    if (!snapshot || summary.episode % log.checkpointEvery !== 0) return null;
+
+    const checkpoint = {
+      episode: summary.episode,
+      score: meanReward(log.episodes.slice(-log.checkpointEvery)),
+      timestamp: new Date().toISOString(),
+      data: snapshot()
+    };
+    log.checkpoints.push(checkpoint);
+
+    if (log.checkpoints.length > EPISODES.MAX_CHECKPOINTS) {
+      const best = bestCheckpoint(log);
+      log.checkpoints.splice(log.checkpoints.findIndex(c => c !== best), 1);
+    }
+    return checkpoint;
+  }
+
+  // Highest score; the later one wins ties
+  function bestCheckpoint(log) {
+    return log.checkpoints.reduce((best, c) => (!best || c.score >= best.score ? c : best), null);
+  }
+
+  // Mean avg reward/sec over the trailing `span` episodes, per episode
+  function movingAverage(episodes, span) {
+    let sum = 0;
+    return episodes.map((e, i) => {
+      sum += e.avgReward;
+      if (i >= span) sum -= episodes[i - span].avgReward;
+      return sum / Math.min(i + 1, span);
+    });
+  }
+
+  // Reward and avg reward/sec of every episode under other REWARDS weights
+  function reweighEpisodes(log, weights) {
+    return log.episodes.map(e => {
+      const reward = TrafficSim.weighRewards(e.rewardCounts || {}, weights);
+      return { episode: e.episode, reward: reward, avgReward: e.time > 0 ? reward / e.time : 0 };
+    });
+  }
+
+  // The history without the model snapshots (for export)
+  function summarizeLog(log) {
+    const best = bestCheckpoint(log);
+    return {
+      episodeLength: log.episodeLength,
+      checkpointEvery: log.checkpointEvery,
+      episodes: log.episodes,
+      checkpoints: log.checkpoints.map(c => ({ episode: c.episode, score: c.score, timestamp: c.timestamp, best: c === best }))
+    };
+  }
+
+  // Quoted when it holds a separator (free-text scenario names)
+  function csvCell(value) {
+    if (value === null || value === undefined) return "";
+    const text = String(value);
+    return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+  }
+
+  function toCSV(log) {
+    const lines = [COLUMNS.join(",")];
+    log.episodes.forEach(e => lines.push(COLUMNS.map(key => csvCell(e[key])).join(",")));
+    return lines.join("\n") + "\n";
+  }
+
+  return {
+    EPISODES,
+    COLUMNS,
+    createTrainingLog,
+    summarizeEpisode,
+    recordEpisode,
+    bestCheckpoint,
+    movingAverage,
+    reweighEpisodes,
+    summarizeLog,
+    toCSV
+  };
+});
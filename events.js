@@ -0,0 +1,79 @@
+// ---------- EVENT STREAM ----------
+// Everything the page reports during a session as structured records:
+// controller decisions (see controllers.js decisionEvent) and the log
+// messages (switches, alerts, system notes). The log panel renders and
+// filters them; the stream exports as JSON Lines.
+(function (root, factory) {
+  if (typeof module === "object" && module.exports) {
+    module.exports = factory();
+  } else {
+    root.TrafficEvents = factory();
+  }
+})(this, function () {
+
+  const MAX_EVENTS = 50000; // Oldest are dropped beyond this (counted in log.dropped)
+
+  // Filter groups of the log panel
+  const TYPES = {
+    decision: "Decisions",
+    switch: "Switches",
+    alert: "Alerts",
+    info: "System"
+  };
+
+  function createEventLog() {
+    return { events: [], dropped: 0 };
+  }
+
+  function record(log, event) {
+    log.events.push(event);
+    if (log.events.length > MAX_EVENTS) {
+      const excess = log.events.length - MAX_EVENTS;
+      log.events.splice(0, excess);
+      log.dropped += excess;
+    }
+    return event;
+  }
+
+  function formatNumber(v) {
+    return Math.abs(v) >= 100 || Number.isInteger(v) ? v.toFixed(0) : v.toFixed(2);
+  }
+
+  // e.g. "CAR_PASSED +2 · CAR_WAITING -7"
+  function describeRewards(rewards) {
+    const terms = Object.keys(rewards);
+    if (terms.length === 0) return "no reward";
+    return terms.map(t => `${t} ${rewards[t] > 0 ? "+" : ""}${formatNumber(rewards[t])}`).join(" · ");
+  }
+
+  // Headline and detail line of a decision for the log panel
+  function describeDecision(e) {
+    const move = e.action === "EXTEND" ? `EXTEND ${e.target}` : `${e.action === "SWITCH" ? "SWITCH to" : "GO"} ${e.target}`;
+    const headline = `[${e.controller}] ${move}${e.mode !== "rule" ? ` (${e.mode})` : ""}`;
+    const detail = [];
+    if (e.state) detail.push(e.state);
+    if (e.values) detail.push("Q " + Object.keys(e.values).map(a => `${a} ${formatNumber(e.values[a])}`).join(" / "));
+    detail.push(`last tick: ${describeRewards(e.rewards)}`);
+    return { headline: headline, detail: detail.join(" · ") };
+  }
+
+  // types: { type: shown } (missing = shown)
+  function filterEvents(log, types) {
+    return log.events.filter(e => types[e.type] !== false);
+  }
+
+  function toJSONL(events) {
+    return events.map(e => JSON.stringify(e)).join("\n") + (events.length ? "\n" : "");
+  }
+
+  return {
+    MAX_EVENTS,
+    TYPES,
+    createEventLog,
+    record,
+    describeRewards,
+    describeDecision,
+    filterEvents,
+    toJSONL
+  };
+});
@@ -0,0 +1,169 @@
+// ---------- MULTI-INTERSECTION GRID ----------
+// N×M intersections, each a normal sim.js environment. Cars discharged by one
+// intersection drive on to the neighbouring one and join its queue.
+(function (root, factory) {
+  if (typeof module === "object" && module.exports) {
+    module.exports = factory(require("./rng.js"), require("./sim.js"));
+  } else {
+    root.TrafficGrid = factory(root.TrafficRng, root.TrafficSim);
+  }
+})(this, function (TrafficRng, TrafficSim) {
+
+  const TRAVEL_TIME = 5; // Seconds from one stop line to the next
+
+  // Lanes are named by the side cars come from, so a car keeps its lane name
+  // along the way: "north" traffic moves down and feeds the node below.
+  const FLOW = {
+    north: [1, 0],
+    south: [-1, 0],
+    east: [0, -1],
+    west: [0, 1]
+  };
+
+  // options: { rows, cols, seed, turning, demand (entry approaches only), log(msg, type), event(e),
+  //            trace (events tagged with a node id, see nodeTrace), traceLoop, record, detection, preemption }
+  function createGrid(options = {}) {
+    const rows = Math.max(1, options.rows || 1);
+    const cols = Math.max(1, options.cols || 1);
+    const seed = options.seed !== undefined && options.seed !== null && options.seed !== ""
+      ? String(options.seed)
+      : TrafficRng.randomSeed();
+    const nodes = [];
+
+    const inside = (r, c) => r >= 0 && r < rows && c >= 0 && c < cols;
+
+    for (let r = 0; r < rows; r++) {
+      for (let c = 0; c < cols; c++) {
+        // Outside demand only enters on approaches with no upstream neighbour
+        const entryLanes = TrafficSim.LANES.filter(lane => !inside(r - FLOW[lane][0], c - FLOW[lane][1]));
+        const id = `${r},${c}`;
+        const env = TrafficSim.createEnv({
+          seed: TrafficRng.deriveSeed(seed, `node-${id}`),
+          entryLanes: entryLanes,
+          turning: options.turning,
+          demand: options.demand,
+          trace: options.trace ? nodeTrace(options.trace, id) : null,
+          traceLoop: options.traceLoop,
+          record: options.record,
+          detection: options.detection,
+          preemption: options.preemption,
+          log: options.log ? (msg, type) => options.log(`[${id}] ${msg}`, type) : undefined,
+          event: options.event ? e => options.event(Object.assign({ node: id }, e)) : undefined
+        });
+        env.id = id;
+        env.row = r;
+        env.col = c;
+        env.exited = 0; // Cars that left the network from this node
+        env.incoming = { north: 0, south: 0, east: 0, west: 0 }; // Upstream cars heading here
+        nodes.push(env);
+      }
+    }
+
+    const at = (r, c) => (inside(r, c) ? nodes[r * cols + c] : null);
+    nodes.forEach(env => {
+      env.upstream = {};
+      env.downstream = {};
+      TrafficSim.LANES.forEach(lane => {
+        env.upstream[lane] = at(env.row - FLOW[lane][0], env.col - FLOW[lane][1]);
+        env.downstream[lane] = at(env.row + FLOW[lane][0], env.col + FLOW[lane][1]);
+      });
+    });
+
+    return {
+      rows: rows,
+      cols: cols,
+      seed: seed,
+      nodes: nodes,
+      transit: [], // { from, to, lane, count, departAt, arriveAt }
+      time: 0
+    };
+  }
+
+  // The arrivals of one intersection. Untagged traces (single-intersection
+  // recordings) feed the top-left node.
+  function nodeTrace(trace, id) {
+    const tagged = trace.events.some(e => e.node !== undefined);
+    const events = trace.events
+      .filter(e => (tagged ? String(e.node) === id : id === "0,0"))
+      .map(e => ({ t: e.t, lane: e.lane, type: e.type, move: e.move }));
+    return { seed: trace.seed, duration: trace.duration, events: events };
+  }
+
+  // controllerFor(env, index) returns the controller for that intersection
+  function stepGrid(grid, controllerFor) {
+    // 1. Cars that finished the link join the next queue
+    grid.transit = grid.transit.filter(car => {
+      if (car.arriveAt > grid.time) return true;
+      car.to.inflow[car.lane] += car.count;
+      return false;
+    });
+
+    // 2. Every intersection runs its own tick and controller
+    grid.nodes.forEach((env, i) => TrafficSim.step(env, controllerFor(env, i)));
+
+    // 3. Discharged cars drive on (or leave the network at the edge)
+    grid.nodes.forEach(env => {
+      TrafficSim.LANES.forEach(lane => {
+        const passed = env.lastPassed[lane];
+        if (passed === 0) return;
+        const next = env.downstream[lane];
+        if (next) {
+          grid.transit.push({ from: env, to: next, lane: lane, count: passed, departAt: grid.time, arriveAt: grid.time + TRAVEL_TIME });
+        } else {
+          env.exited += passed;
+        }
+      });
+    });
+
+    updateIncoming(grid);
+    grid.time++;
+  }
+
+  // What each node can observe of its neighbours: cars on the link towards it
+  // plus the upstream queue that is being released (green) right now.
+  function updateIncoming(grid) {
+    grid.nodes.forEach(env => {
+      TrafficSim.LANES.forEach(lane => {
+        const up = env.upstream[lane];
+        env.incoming[lane] = up && up.lanes[lane].green ? up.lanes[lane].queue : 0;
+      });
+    });
+    grid.transit.forEach(car => {
+      car.to.incoming[car.lane] += car.count;
+    });
+  }
+
+  // Network-wide totals for the score cards / summaries
+  function gridTotals(grid) {
+    const totals = { reward: 0, wait: 0, exited: 0, switches: 0, crossed: 0, crashed: 0, waited: 0, conflicts: 0, preemptions: 0, carCrashes: 0 };
+    totals.byType = {}; // Emergency type -> crossed / crashed / waited, as in env.emergencyStats
+    Object.keys(TrafficSim.EMERGENCY_TYPES).forEach(type => {
+      totals.byType[type] = TrafficSim.sumTerms(grid.nodes.map(env => env.emergencyStats.byType[type]));
+    });
+    // Per REWARDS term, as in each env
+    totals.rewardTotals = TrafficSim.sumTerms(grid.nodes.map(env => env.rewardTotals));
+    totals.rewardCounts = TrafficSim.sumTerms(grid.nodes.map(env => env.rewardCounts));
+    totals.lastRewards = TrafficSim.sumTerms(grid.nodes.map(env => env.lastRewards));
+    grid.nodes.forEach(env => {
+      totals.reward += env.cumulativeReward;
+      totals.wait += env.totalWait;
+      totals.exited += env.exited;
+      totals.switches += env.switches;
+      totals.crossed += env.emergencyStats.crossed;
+      totals.crashed += env.emergencyStats.crashed;
+      totals.waited += env.emergencyStats.waited;
+      totals.conflicts += env.emergencyStats.conflicts;
+      totals.preemptions += env.emergencyStats.preemptions;
+      totals.carCrashes += env.carCrashes;
+    });
+    return totals;
+  }
+
+  return {
+    TRAVEL_TIME,
+    createGrid,
+    stepGrid,
+    gridTotals,
+    nodeTrace
+  };
+});
@@ -19,9 +19,17 @@ let trainingDirHandle = null;
 
 let isPaused = false;
 let simSpeed = 1;
-let controlMode = "AI"; // "AI", "20s", "30s"
+let controlMode = "AI"; // Name of a TrafficControllers entry
+let controllers = []; // Instances of that controller, one per intersection
 let totalSessionTime = parseInt(localStorage.getItem("TOTAL_SESSION_TIME")) || 5000;
 // Starting at 1h 23m 20s (5000s) if no saved time exists
+let simSeed = new URLSearchParams(location.search).get("seed") || ""; // "" = random seed per reset
+let gridRows = 1; // > 1 x 1 switches to the multi-intersection network
+let gridCols = 1;
+let observeNeighbours = false; // Grid AI: independent vs coordinated Q-learning
+let turningEnabled = false; // Left/right turns with protected left phases
+let preemptionEnabled = false; // Force the green for emergencies on top of any controller
+let lastTickAt = Date.now(); // For smooth animation between ticks
 
 
 // ---------- VISUAL CONFIG ----------
@@ -32,509 +40,352 @@ const LIGHT_OFFSET = 65; // Stop line distance
 const CAR_WIDTH = 12;
 const CAR_LENGTH = 20;
 
+// ---------- SHARED LOGIC (sim.js / agent.js) ----------
+const { REWARDS } = TrafficSim;
+const agent = TrafficAgent.createQAgent();
+let approxAgent = TrafficApprox.createApproxAgent(); // Function-approximation agent (DQN mode)
+
 // ---------- ENVIRONMENT STATE (Logic) ----------
 let env = {};
-
-// Valid traffic phases
-const PHASES = {
-  NS: ["north", "south"],
-  EW: ["east", "west"]
-};
-
-// Logic Parameters
-const ARRIVAL_PROBABILITY = 0.2; // Base (low) probability
-const MAX_PASS = 3; // Increased pass rate due to smaller cars
-const MIN_GREEN_TIME = 20; // Seconds
+let grid = null; // Multi-intersection network, null for the single crossroads
+let gridAgents = []; // One Q-agent per grid intersection
+let gridApproxAgents = []; // One function-approximation agent per grid intersection
+let trainingLog = TrafficEpisodes.createTrainingLog(); // Episode summaries and checkpoints (episodes.js)
+let demand = TrafficDemand.createProfile(); // Arrival rates over time and scripted events (demand.js)
+let arrivalTrace = null; // Loaded arrival trace, replayed instead of the demand model (traces.js)
+const tracePlayback = { loop: false, speed: 1, scale: 1 };
+let recording = null; // Last ticks of the single intersection (recorder.js); not kept for a grid
+let tickDecision = null; // Decision event of the tick being recorded
+let replay = null; // { recording, index, playing, cache, view } while the canvas shows a recording
+const eventLog = TrafficEvents.createEventLog(); // Decisions and log messages (events.js)
+const logFilter = {}; // Event type -> shown in the log panel
+Object.keys(TrafficEvents.TYPES).forEach(type => { logFilter[type] = true; });
 
 // Visual State
-let visualCars = [];
-const VISUAL_SPAWN_RATE = 0.008;
-
-// ---------- Q-LEARNING CONFIG ----------
-const ACTIONS = ["EXTEND", "SWITCH"];
-let EPSILON = 0.05;  // Exploration rate (5% random actions)
-const ALPHA = 0.1;    // Learning rate
-const GAMMA = 0.9;    // Discount factor (future reward importance)
-
-let Q = {};           // Q-table: state -> { EXTEND: value, SWITCH: value }
-let prevState = null; // Track previous state for learning
-let prevAction = null;
-let prevReward = 0;
-
-// ---------- PENALTY / REWARD CONFIG ----------
-const REWARDS = {
-  CAR_PASSED: 1,
-  CAR_WAITING: -1,
-  AMBULANCE_PASSED: 5,
-  AMBULANCE_WAITING: -200,
-  AMBULANCE_CRASH: -500,
-  PHASE_SWITCH: -2,
-  OVER_EXTEND_PUNISHMENT: -0.5
-};
-
-// ---------- CLASS: VISUAL CAR ----------
-class VisualCar {
-  constructor(lane, isAmbulance = false) {
-    this.lane = lane;
-    this.isAmbulance = isAmbulance;
-    // Base speeds multiplied by simSpeed
-    this.baseSpeed = isAmbulance ? 4 : (2 + Math.random() * 1.5);
-    this.speed = this.baseSpeed * simSpeed;
-    this.stopped = false;
-    this.color = isAmbulance ? "#ffffff" : `hsl(${Math.random() * 360}, 70%, 50%)`;
-
-    // Set start position and direction based on lane
-    // Random offset to simulate 2 lanes (side-by-side packing)
-    const laneOffset = (Math.random() - 0.5) * 20;
-
-    // Ambulance spawns closer to the edge for instant visibility
-    const startDist = this.isAmbulance ? 30 : 50;
-    const endDist = this.isAmbulance ? 430 : 450;
-
-    if (lane === "north") { // Coming from Top, moving Down
-      this.x = CENTER - LANE_WIDTH / 2 + laneOffset;
-      this.y = -startDist;
-      this.dx = 0;
-      this.dy = 1;
-    } else if (lane === "south") { // Coming from Bottom, moving Up
-      this.x = CENTER + LANE_WIDTH / 2 + laneOffset;
-      this.y = endDist;
-      this.dx = 0;
-      this.dy = -1;
-    } else if (lane === "east") { // Coming from Right, moving Left
-      this.x = endDist;
-      this.y = CENTER - LANE_WIDTH / 2 + laneOffset;
-      this.dx = -1;
-      this.dy = 0;
-    } else if (lane === "west") { // Coming from Left, moving Right
-      this.x = -startDist;
-      this.y = CENTER + LANE_WIDTH / 2 + laneOffset;
-      this.dx = 1;
-      this.dy = 0;
-    }
-  }
-
-  update() {
-    // 1. Check Traffic Light
-    // Defensive check: ensure env.lanes and lane exist
-    if (!env.lanes || !env.lanes[this.lane]) {
-      return; // Skip update if environment not ready
-    }
-    const stopLine = this.getStopLine();
-    const distToStop = this.getDistTo(stopLine);
-    const isRed = !env.lanes[this.lane].green;
-
-    // 2. Check Car in front
-    const carInFront = this.getCarInFront();
-    const distToCar = carInFront ? this.getDistToCar(carInFront) : Infinity;
-
-    // Logic: Stop if at red light OR too close to car in front
-    let targetSpeed = this.speed;
-
-    // Stop at red light
-    // Ambulance ignores red lights
-    if (!this.isAmbulance && isRed && distToStop > 0 && distToStop < 60) {
-      targetSpeed = 0;
-    }
-    // Already passed stop line? Don't stop for red light.
-    if (distToStop <= 0 && isRed) {
-      // Keep going
-    }
-
-    // Stop behind car
-    if (distToCar < 50) {
-      targetSpeed = 0;
-    }
-
-    // Simple physics
-    if (this.stopped) {
-      if (targetSpeed > 0) this.stopped = false;
-    } else {
-      if (targetSpeed === 0) this.stopped = true;
-    }
+let visualRng = Math.random; // Cosmetic randomness (car colors), reseeded on reset
 
-    // Move
-    if (!this.stopped) {
-      this.speed = this.baseSpeed * simSpeed; // Sync speed with multiplier
-      this.x += this.dx * this.speed;
-      this.y += this.dy * this.speed;
-    }
-  }
+// ---------- VEHICLE RENDERING ----------
+// The sim owns every vehicle; the canvas only draws them. Positions are
+// interpolated from where they were when the current batch of ticks started.
+let drawFrom = new Map(); // vehicle -> path position at the start of the batch
+const vehicleColors = new WeakMap();
 
-  draw(ctx) {
-    ctx.save();
-    ctx.translate(this.x, this.y);
+// The intersection on the canvas: the live env, or the replayed frame
+function shownEnv() {
+  return replay ? replay.view : env;
+}
 
-    // Rotate based on direction
-    if (this.dx === 1) ctx.rotate(0); // Right
-    if (this.dx === -1) ctx.rotate(Math.PI); // Left
-    if (this.dy === 1) ctx.rotate(Math.PI / 2); // Down
-    if (this.dy === -1) ctx.rotate(-Math.PI / 2); // Up
+function snapshotVehicles() {
+  drawFrom = grid && !replay ? new Map() : new Map(TrafficSim.allVehicles(shownEnv()).map(v => [v, v.s]));
+}
 
-    // Car Body
-    ctx.fillStyle = this.color;
-    ctx.shadowBlur = 5;
-    ctx.shadowColor = "rgba(0,0,0,0.5)";
-    ctx.beginPath();
-    ctx.roundRect(-CAR_LENGTH / 2, -CAR_WIDTH / 2, CAR_LENGTH, CAR_WIDTH, 4);
-    ctx.fill();
-    ctx.shadowBlur = 0;
+function drawVehicles() {
+  const frac = Math.min(1, (Date.now() - lastTickAt) / 1000);
+  // Vehicles removed during the batch still finish their way off screen
+  const list = new Set([...drawFrom.keys(), ...TrafficSim.allVehicles(shownEnv())]);
+  list.forEach(v => {
+    if (v.crashed) return;
+    const from = drawFrom.has(v) ? drawFrom.get(v) : v.startS;
+    const p = TrafficSim.pathPoint(v.lane, v.move, from + (v.s - from) * frac);
+    if (!vehicleColors.has(v)) vehicleColors.set(v, `hsl(${visualRng() * 360}, 70%, 50%)`);
+    drawVehicle(CENTER + p.x * LANE_WIDTH, CENTER + p.y * LANE_WIDTH, Math.atan2(p.hy, p.hx),
+      EMERGENCY_LOOK[v.kind] ? EMERGENCY_LOOK[v.kind].body : vehicleColors.get(v), v.kind);
+  });
+}
 
-    // Roof (darker)
-    ctx.fillStyle = "rgba(0,0,0,0.3)";
-    ctx.fillRect(-CAR_LENGTH / 4, -CAR_WIDTH / 2 + 2, CAR_LENGTH / 2, CAR_WIDTH - 4);
+// Body, markings and the two beacon flashes per emergency type (null = dark)
+const EMERGENCY_LOOK = {
+  ambulance: { body: "#ffffff", mark: "#ff0000", beacon: ["rgba(255, 0, 0, 0.5)", null] },
+  fire: { body: "#d32f2f", mark: "#ffffff", beacon: ["rgba(255, 0, 0, 0.6)", "rgba(255, 160, 0, 0.5)"] },
+  police: { body: "#1a237e", mark: "#ffffff", beacon: ["rgba(255, 0, 0, 0.5)", "rgba(33, 150, 243, 0.6)"] }
+};
 
-    // Headlights
-    ctx.fillStyle = "#ffeb3b";
-    ctx.fillRect(CAR_LENGTH / 2 - 2, -CAR_WIDTH / 2 + 2, 2, 6);
-    ctx.fillRect(CAR_LENGTH / 2 - 2, CAR_WIDTH / 2 - 8, 2, 6);
+function drawVehicle(x, y, heading, color, kind) {
+  ctx.save();
+  ctx.translate(x, y);
+  ctx.rotate(heading);
 
-    // Brake lights
-    ctx.fillStyle = "#f44336";
-    ctx.fillRect(-CAR_LENGTH / 2, -CAR_WIDTH / 2 + 2, 2, 6);
-    ctx.fillRect(-CAR_LENGTH / 2, CAR_WIDTH / 2 - 8, 2, 6);
+  // Car Body
+  ctx.fillStyle = color;
+  ctx.shadowBlur = 5;
+  ctx.shadowColor = "rgba(0,0,0,0.5)";
+  ctx.beginPath();
+  ctx.roundRect(-CAR_LENGTH / 2, -CAR_WIDTH / 2, CAR_LENGTH, CAR_WIDTH, 4);
+  ctx.fill();
+  ctx.shadowBlur = 0;
 
-    // Ambulance Markings
-    if (this.isAmbulance) {
-      ctx.fillStyle = "#ff0000";
+  // Roof (darker)
+  ctx.fillStyle = "rgba(0,0,0,0.3)";
+  ctx.fillRect(-CAR_LENGTH / 4, -CAR_WIDTH / 2 + 2, CAR_LENGTH / 2, CAR_WIDTH - 4);
+
+  // Headlights
+  ctx.fillStyle = "#ffeb3b";
+  ctx.fillRect(CAR_LENGTH / 2 - 2, -CAR_WIDTH / 2 + 2, 2, 6);
+  ctx.fillRect(CAR_LENGTH / 2 - 2, CAR_WIDTH / 2 - 8, 2, 6);
+
+  // Brake lights
+  ctx.fillStyle = "#f44336";
+  ctx.fillRect(-CAR_LENGTH / 2, -CAR_WIDTH / 2 + 2, 2, 6);
+  ctx.fillRect(-CAR_LENGTH / 2, CAR_WIDTH / 2 - 8, 2, 6);
+
+  // Emergency Markings
+  const look = EMERGENCY_LOOK[kind];
+  if (look) {
+    ctx.fillStyle = look.mark;
+    if (kind === "ambulance") {
       ctx.fillRect(-2, -CAR_WIDTH / 2 + 2, 4, CAR_WIDTH - 4); // Cross vertical
       ctx.fillRect(-CAR_LENGTH / 4, -2, CAR_LENGTH / 2, 4);   // Cross horizontal
-
-      // Flashing light (visual only, based on time)
-      if (Math.floor(Date.now() / 200) % 2 === 0) {
-        ctx.fillStyle = "rgba(255, 0, 0, 0.5)";
-        ctx.beginPath();
-        ctx.arc(0, 0, 15, 0, Math.PI * 2);
-        ctx.fill();
-      }
+    } else {
+      ctx.fillRect(-CAR_LENGTH / 2 + 2, -1, CAR_LENGTH - 4, 2); // Stripe
     }
 
-    ctx.restore();
-  }
-
-  // Helpers
-  getStopLine() {
-    if (this.lane === "north") return { x: this.x, y: CENTER - LIGHT_OFFSET };
-    if (this.lane === "south") return { x: this.x, y: CENTER + LIGHT_OFFSET };
-    if (this.lane === "east") return { x: CENTER + LIGHT_OFFSET, y: this.y };
-    if (this.lane === "west") return { x: CENTER - LIGHT_OFFSET, y: this.y };
-  }
-
-  getDistTo(point) {
-    if (this.lane === "north") return point.y - this.y;
-    if (this.lane === "south") return this.y - point.y;
-    if (this.lane === "east") return this.x - point.x;
-    if (this.lane === "west") return point.x - this.x;
-    return Infinity;
-  }
-
-  getCarInFront() {
-    // Find closest car in same lane that is 'ahead'
-    let closest = null;
-    let minDist = Infinity;
-
-    visualCars.forEach(c => {
-      if (c === this) return;
-      if (c.lane !== this.lane) return;
-
-      const dist = this.getDistToCar(c);
-      if (dist > 0 && dist < minDist) {
-        minDist = dist;
-        closest = c;
-      }
-    });
-    return closest;
+    // Flashing light (visual only, based on time)
+    const beacon = look.beacon[Math.floor(Date.now() / 200) % 2];
+    if (beacon) {
+      ctx.fillStyle = beacon;
+      ctx.beginPath();
+      ctx.arc(0, 0, 15, 0, Math.PI * 2);
+      ctx.fill();
+    }
   }
 
-  getDistToCar(other) {
-    if (this.lane === "north") return other.y - this.y;
-    if (this.lane === "south") return this.y - other.y;
-    if (this.lane === "east") return this.x - other.x;
-    if (this.lane === "west") return other.x - this.x;
-    return Infinity;
-  }
+  ctx.restore();
 }
 
-// ---------- RESET ----------
-function resetEnv() {
-  env = {
-    lanes: {
-      north: { queue: 0, green: true },
-      south: { queue: 0, green: true },
-      east: { queue: 0, green: false },
-      west: { queue: 0, green: false }
-    },
-    currentPhase: "NS",
-    time: 0,
-    totalWait: 0, // Accumulator for total waiting time (queue sum over time)
-    timeSinceSwitch: 0, // Track time since last phase change
-    visualQueue: { north: 0, south: 0, east: 0, west: 0 }, // Buffer for visual spawns
-    pressure: { NS: 0, EW: 0 }, // Computed incoming pressure
-    bursts: { north: 0, south: 0, east: 0, west: 0 }, // Remaining burst ticks
-    cumulativeReward: 0, // RL Reward tracking
-    emergency: { active: false, lane: null, timeRemaining: 0, spawnVisual: false, didWait: false, crashed: false }, // Ambulance state
-    emergencyStats: { crossed: 0, crashed: 0, waited: 0 }
-  };
-  visualCars = []; // Clear cars on reset
-
-  if (logPanel) logPanel.innerHTML = ''; // Clear log
-  logAI("Simulation Reset", "normal");
-
-  // Initialize recent arrivals for tracking
-  for (let lane in env.lanes) {
-    env.lanes[lane].recentArrivals = [];
-  }
-
-  // Reset Q-learning state variables
-  prevState = null;
-  prevAction = null;
-  prevReward = 0;
+// ---------- LIVE CHARTS ----------
+// One sample per simulated second (charts.js); the panel redraws after each
+// batch of ticks, so at 5x it scrolls five times as fast.
+const LIVE_SPAN = 300; // Seconds shown while following at 1x
+const chartCanvas = document.getElementById("charts-canvas");
+const chartCtx = chartCanvas ? chartCanvas.getContext("2d") : null;
+const chartHistory = TrafficCharts.createHistory();
+let chartView = { span: LIVE_SPAN, end: null, auto: true }; // auto: follow live edge, span scales with speed
+let chartStateCount = 0;
+
+function recordChartSample() {
+  const nodes = grid ? grid.nodes : [env];
+  const node = nodes[0]; // Grid: phase and Q-values of intersection 0,0
+  const nodeAgent = grid ? gridAgents[0] : agent;
+  const reward = nodes.reduce((a, e) => a + e.cumulativeReward, 0);
+  const queues = {};
+  TrafficSim.LANES.forEach(lane => {
+    queues[lane] = nodes.reduce((a, e) => a + e.lanes[lane].queue + e.lanes[lane].leftQueue, 0);
+  });
 
-  // Update UI
-  updateStats();
+  TrafficCharts.record(chartHistory, {
+    reward: node.time > 0 ? reward / node.time : 0,
+    queues: queues,
+    pressure: {
+      NS: nodes.reduce((a, e) => a + e.pressure.NS, 0),
+      EW: nodes.reduce((a, e) => a + e.pressure.EW, 0)
+    },
+    phase: node.transition ? "CLEAR" : node.currentPhase,
+    state: TrafficAgent.getState(node, nodeAgent.observeNeighbours, nodeAgent.encoder),
+    Q: nodeAgent.Q
+  });
 }
 
-resetEnv();
-
-// ---------- PHASE CONTROL ----------
-// ---------- PHASE CONTROL ----------
-function setPhase(phase) {
-  if (env.timeSinceSwitch < MIN_GREEN_TIME) {
-    return; // Not allowed to switch yet
-  }
-
-  if (env.currentPhase === phase) return;
-
-  env.currentPhase = phase;
-  env.timeSinceSwitch = 0; // Reset timer
-
-  logAI(`[SWITCH] Switched to ${phase}`, "switch");
-
-  // Reward Penalty for switching (Removed if ambulance is waiting)
-  if (!env.emergency || !env.emergency.active) {
-    env.cumulativeReward += REWARDS.PHASE_SWITCH;
+function drawChartsPanel() {
+  const panel = document.getElementById("charts-panel");
+  if (!chartCtx || !panel || panel.hidden) return;
+  if (chartView.auto) chartView.span = LIVE_SPAN * simSpeed;
+
+  // Keep the state picker in sync with the states seen so far
+  const select = document.getElementById("chart-q-state");
+  const states = Object.keys(chartHistory.q).sort();
+  if (select && states.length !== chartStateCount) {
+    chartStateCount = states.length;
+    const selected = select.value;
+    select.innerHTML = `<option value="">Current state</option>` +
+      states.map(s => `<option value="${s}">${s}</option>`).join("");
+    select.value = selected;
   }
 
-  for (let lane in env.lanes) {
-    env.lanes[lane].green = PHASES[phase].includes(lane);
-  }
+  TrafficCharts.drawCharts(chartCtx, chartHistory, chartView, {
+    qState: select ? select.value : "",
+    qLabel: grid ? `[${grid.nodes[0].id}] ` : ""
+  });
 }
 
-// ---------- LOGIC STEP (1 sec tick) ----------
-// ---------- LOGIC STEP (1 sec tick) ----------
-function step() {
-  // Skip if paused
-  if (isPaused) return;
-
-  // --- EMERGENCY SPAWN LOGIC ---
-  if (!env.emergency.active && Math.random() < 0.03) {
-    const lanes = ["north", "south", "east", "west"];
-    env.emergency.active = true;
-
-    env.emergency.lane = lanes[Math.floor(Math.random() * lanes.length)];
-    env.emergency.timeRemaining = 5; // Reduced to match visual speed better
-    env.emergency.spawnVisual = true; // Trigger visual spawn
-    env.emergency.didWait = false;
-    env.emergency.crashed = false;
-    logAI(`[ALERT] 🚑 Ambulance approaching on ${env.emergency.lane.toUpperCase()}!`, "alert");
-  }
-
-  // --- EMERGENCY ACTIVE LOGIC ---
-  if (env.emergency.active) {
-    const embLane = env.emergency.lane;
-
-    // Check if visual car is gone (sync alert with visual)
-    // We skip this check on the very first frame where spawnVisual is true
-    const visualExists = visualCars.some(c => c.isAmbulance);
-    if (!env.emergency.spawnVisual && !visualExists) {
-      // Emergency Ended (Left screen)
-      if (!env.emergency.crashed) {
-        env.emergencyStats.crossed++;
-        if (env.emergency.didWait) env.emergencyStats.waited++;
-      }
-
-      env.emergency.active = false;
-      env.emergency.lane = null;
-      updateStats(); // Force update
-      return; // End emergency logic immediately
-    }
-
-    const isGreen = env.lanes[embLane].green;
-
-    // Track Waiting
-    if (!isGreen) {
-      env.emergency.didWait = true;
-    }
-
-    // 1. Reward Shaping
-    if (isGreen) {
-      env.cumulativeReward += REWARDS.AMBULANCE_PASSED; // Good job, letting it through
-    } else {
-      env.cumulativeReward += REWARDS.AMBULANCE_WAITING; // Bad, blocking emergency! (Increased penalty)
-
-      // 2. Collision Risk Calculation
-      // If ambulance is on RED, and the crossing street is GREEN
-      // We simulate a risk check. 
-      // Note: In a real physics engine we'd check overlapping cars. 
-      // Here we use a probabalistic model as requested.
-
-      // Check if crossing traffic exists
-      let crossingHasTraffic = false;
-      if (embLane === 'north' || embLane === 'south') {
-        // Crossing is EW. Check if EW has green (implied by isGreen=false for NS, but let's be safe) and has queue?
-        // Actually, if NS is RED, EW is likely GREEN.
-        // We check if EW has queue or recent arrivals. 
-        if (env.lanes.east.queue > 0 || env.lanes.west.queue > 0) crossingHasTraffic = true;
-      } else {
-        // Crossing is NS
-        if (env.lanes.north.queue > 0 || env.lanes.south.queue > 0) crossingHasTraffic = true;
-      }
-
-      if (crossingHasTraffic && Math.random() < 0.3) {
-        logAI(`[CRASH] 💥 Ambulance collided!`, "alert"); // Red alert?
-        env.cumulativeReward += REWARDS.AMBULANCE_CRASH;
+function initCharts() {
+  if (!chartCanvas) return;
+  const fraction = e => TrafficCharts.plotFraction(e.offsetX / chartCanvas.clientWidth * chartCanvas.width, chartCanvas.width);
+
+  // Wheel zooms around the cursor, drag pans, double-click goes back to live
+  chartCanvas.addEventListener("wheel", e => {
+    e.preventDefault();
+    chartView.auto = false;
+    TrafficCharts.zoomView(chartHistory, chartView, e.deltaY > 0 ? 1.25 : 0.8, fraction(e));
+    drawChartsPanel();
+  }, { passive: false });
+
+  let dragX = null;
+  chartCanvas.addEventListener("mousedown", e => { dragX = e.offsetX; });
+  window.addEventListener("mouseup", () => { dragX = null; });
+  chartCanvas.addEventListener("mousemove", e => {
+    if (dragX === null) return;
+    const range = TrafficCharts.visibleRange(chartHistory, chartView);
+    const seconds = (dragX - e.offsetX) / chartCanvas.clientWidth * (range.end - range.start);
+    dragX = e.offsetX;
+    chartView.auto = false;
+    TrafficCharts.panView(chartHistory, chartView, seconds);
+    drawChartsPanel();
+  });
+  chartCanvas.addEventListener("dblclick", () => {
+    chartView = { span: LIVE_SPAN, end: null, auto: true };
+    drawChartsPanel();
+  });
 
-        env.emergencyStats.crashed++;
-        env.emergency.crashed = true;
+  document.getElementById("chartLiveBtn").onclick = () => {
+    chartView = { span: LIVE_SPAN, end: null, auto: true };
+    drawChartsPanel();
+  };
+  document.getElementById("chartAllBtn").onclick = () => {
+    chartView = { span: null, end: null, auto: false };
+    drawChartsPanel();
+  };
+  document.getElementById("chart-q-state").onchange = drawChartsPanel;
+  document.getElementById("chartsToggle").addEventListener("click", drawChartsPanel);
+}
 
-        // End emergency on crash? Or just mark it?
-        // Usually crash stops the ambulance.
-        env.emergency.active = false;
-        env.emergency.lane = null;
-        // Access visual cars to remove the ambulance?
-        visualCars = visualCars.filter(c => !c.isAmbulance);
-        updateStats();
-        return;
+// ---------- RESET ----------
+// options: { seed (default: the Random Seed setting), keepAgents (grid: carry on
+// with the per-intersection tables instead of fresh copies, between episodes) }
+function resetEnv(options = {}) {
+  const seed = options.seed !== undefined ? options.seed : simSeed;
+  if (gridRows * gridCols > 1) {
+    const keep = options.keepAgents && gridAgents.length === gridRows * gridCols;
+    grid = TrafficGrid.createGrid({
+      rows: gridRows, cols: gridCols, seed: seed, turning: turningEnabled, demand: demand,
+      trace: playbackTrace(seed), traceLoop: tracePlayback.loop, record: true, preemption: preemptionEnabled,
+      log: logAI, event: logEvent
+    });
+    env = grid.nodes[0]; // Reference clock for the log
+    // Every intersection learns on its own copy of the loaded table
+    gridAgents = grid.nodes.map((node, i) => {
+      const rng = TrafficRng.createRng(TrafficRng.deriveSeed(grid.seed, `agent-${node.id}`));
+      if (keep) {
+        TrafficAgent.resetAgent(gridAgents[i]);
+        gridAgents[i].rng = rng;
+        return gridAgents[i];
       }
-    }
-
-    // Timeout failsafe (only if stuck for very long, e.g. 60s)
-    env.emergency.timeRemaining--;
-    if (env.emergency.timeRemaining <= -55) { // Allow 5s initial + 55s extra
-      // Force kill if stuck
-      env.emergency.active = false;
-      env.emergency.lane = null;
-      // Cleanup visual if stuck?
-      visualCars = visualCars.filter(c => !c.isAmbulance);
-      updateStats();
-    }
-  }
-
-  for (let lane in env.lanes) {
-    let arrived = 0;
-    let spawnRate = ARRIVAL_PROBABILITY;
-
-    // Burst Logic
-    if (env.bursts[lane] > 0) {
-      spawnRate = 0.8; // High traffic during burst
-      env.bursts[lane]--;
-    } else {
-      // Chance to start a burst (0.8% chance)
-      if (Math.random() < 0.008) {
-        env.bursts[lane] = 10 + Math.floor(Math.random() * 10); // 10-20s burst
+      const nodeAgent = TrafficAgent.cloneAgent(agent, agent.epsilon, rng);
+      nodeAgent.observeNeighbours = observeNeighbours;
+      return nodeAgent;
+    });
+    gridApproxAgents = grid.nodes.map((node, i) => {
+      const rng = TrafficRng.createRng(TrafficRng.deriveSeed(grid.seed, `approx-${node.id}`));
+      if (keep) {
+        TrafficApprox.resetApproxAgent(gridApproxAgents[i]);
+        gridApproxAgents[i].rng = rng;
+        return gridApproxAgents[i];
       }
-    }
-
-    if (Math.random() < spawnRate) {
-      env.lanes[lane].queue += 1;
-      env.visualQueue[lane] += 1; // Queue up a visual car
-      arrived = 1;
-    }
-
-    // 1. Track Arrivals (Rolling Window)
-    env.lanes[lane].recentArrivals.push(arrived);
-    const windowSize = Math.max(5, 5 * simSpeed);
-    if (env.lanes[lane].recentArrivals.length > windowSize) {
-      env.lanes[lane].recentArrivals.shift(); // Scale window with speed
-    }
-  }
-
-  // 2. Compute Pressure
-  env.pressure.NS = sum(env.lanes.north.recentArrivals) + sum(env.lanes.south.recentArrivals);
-  env.pressure.EW = sum(env.lanes.east.recentArrivals) + sum(env.lanes.west.recentArrivals);
-
-
-  for (let lane in env.lanes) {
-    if (env.lanes[lane].green) {
-      const passed = Math.min(MAX_PASS, env.lanes[lane].queue);
-      env.lanes[lane].queue -= passed;
-
-      // Reward Throughput: +1 per car passed
-      env.cumulativeReward += (passed * REWARDS.CAR_PASSED);
-    }
+      const nodeAgent = TrafficApprox.cloneApproxAgent(approxAgent, approxAgent.epsilon, rng);
+      nodeAgent.observeNeighbours = observeNeighbours;
+      return nodeAgent;
+    });
+    grid.nodes.forEach(node => { node.arrivalWindow = Math.max(5, 5 * simSpeed); });
+  } else {
+    grid = null;
+    gridAgents = [];
+    gridApproxAgents = [];
+    env = TrafficSim.createEnv({
+      seed: seed,
+      turning: turningEnabled,
+      demand: demand,
+      trace: playbackTrace(seed),
+      traceLoop: tracePlayback.loop,
+      record: true, // For the trace export
+      preemption: preemptionEnabled,
+      log: logAI,
+      event: logEvent
+    });
+    env.arrivalWindow = Math.max(5, 5 * simSpeed); // Scale window with speed
   }
+  const runSeed = grid ? grid.seed : env.seed;
+  recording = grid ? null : TrafficRecorder.createRecording({ seed: runSeed, turning: turningEnabled });
+  drawFrom = new Map(); // Clear cars on reset
+  TrafficCharts.markReset(chartHistory);
+  visualRng = TrafficRng.createRng(TrafficRng.deriveSeed(runSeed, "visual"));
 
-  if (controlMode === "AI") {
-    qLearningAgent(); // 👈 Q-Learning AI decides here
-  } else if (controlMode === "20s") {
-    staticCycleAgent(20);
-  } else if (controlMode === "30s") {
-    staticCycleAgent(30);
-  }
+  if (logPanel) logPanel.innerHTML = ''; // Clear log
+  logAI(`Simulation Reset (seed ${runSeed}${grid ? `, grid ${grid.rows}×${grid.cols}` : ""}, ${arrivalTrace ? `trace ${arrivalTrace.name}` : `${demand.scenario.name} demand`})`, "normal");
 
-  // Data Logging: Accumulate current queues into total wait
-  const totalQueue = env.lanes.north.queue + env.lanes.south.queue + env.lanes.east.queue + env.lanes.west.queue;
-  env.totalWait += totalQueue;
+  // Reset Q-learning state variables (exploration gets its own stream)
+  TrafficAgent.resetAgent(agent);
+  agent.rng = TrafficRng.createRng(TrafficRng.deriveSeed(runSeed, "agent"));
+  TrafficApprox.resetApproxAgent(approxAgent);
+  approxAgent.rng = TrafficRng.createRng(TrafficRng.deriveSeed(runSeed, "approx"));
 
-  // Update Reward: -1 per waiting car
-  env.cumulativeReward += (totalQueue * REWARDS.CAR_WAITING);
+  const seedInput = document.getElementById("setting-seed");
+  if (seedInput) seedInput.placeholder = simSeed ? "random" : `random (${runSeed})`;
 
-  // Soft punishment for over-extending (Prevents infinite holding)
-  if (env.timeSinceSwitch > 30) {
-    env.cumulativeReward += REWARDS.OVER_EXTEND_PUNISHMENT;
-  }
+  createControllers(); // Controllers keep per-run state (timers, measured flows)
+  showEncoder(); // State count depends on turning / grid
 
-  env.time++;
-  totalSessionTime++; // Increment persistent timer
-  env.timeSinceSwitch++;
+  // Update UI
   updateStats();
 }
 
+resetEnv();
 
+// ---------- LOGIC STEP (1 sec tick) ----------
+function tick() {
+  // Skip if paused (or replaying: the live run waits)
+  if (isPaused || replay) return;
 
-// ---------- Q-LEARNING FUNCTIONS ----------
-
-// Discretize the environment state into a string key
-function getState() {
-  const diff = env.pressure.NS - env.pressure.EW;
-  let pressureDiff = diff > 3 ? "HIGH_NS" : diff < -3 ? "HIGH_EW" : "BALANCED";
-  const ambulance = env.emergency.active ? "AMB" : "NONE";
-  return `${env.currentPhase}_${pressureDiff}_${ambulance}`;
-}
-
-// Initialize Q-values for a new state
-function initQ(state) {
-  if (!Q[state]) {
-    Q[state] = { EXTEND: 0, SWITCH: 0 };
+  if (grid) {
+    TrafficGrid.stepGrid(grid, (node, i) => e => runController(e, i));
+    totalSessionTime++;
+  } else {
+    const startTime = env.time;
+    tickDecision = null;
+    TrafficSim.step(env, runController);
+    if (env.time > startTime) totalSessionTime++; // Increment persistent timer
+    TrafficRecorder.recordFrame(recording, TrafficRecorder.captureFrame(env, tickDecision));
   }
+  if (env.trace) logTraceEnd(env.time);
+  else logScenarioChanges(env.time - 1);
+  recordChartSample();
+  lastTickAt = Date.now();
+  if (trainingLog.episodeLength > 0 && env.time >= trainingLog.episodeLength) endEpisode();
+  updateStats();
 }
 
-// Choose action using epsilon-greedy policy
-function chooseAction(state) {
-  initQ(state);
-  // Exploration: random action
-  if (Math.random() < EPSILON) {
-    return Math.random() < 0.5 ? "EXTEND" : "SWITCH";
-  }
-  // Exploitation: best known action
-  return Q[state].EXTEND >= Q[state].SWITCH ? "EXTEND" : "SWITCH";
+function runController(env, index = 0) {
+  const action = TrafficControllers.decide(controllers[index], env);
+  if (action !== null && controlMode === "AI" && !grid) logExplorationRate(env.time);
 }
 
-// Update Q-value using Bellman equation
-function updateQ(pState, action, reward, nState) {
-  initQ(pState);
-  initQ(nState);
-  const bestNext = Math.max(Q[nState].EXTEND, Q[nState].SWITCH);
-  Q[pState][action] += ALPHA * (reward + GAMMA * bestNext - Q[pState][action]);
+// Fresh instances of the selected controller (the AI ones share the live tables)
+function createControllers() {
+  const def = TrafficControllers.getController(controlMode);
+  const nodes = grid ? grid.nodes : [env];
+  controllers = nodes.map((node, i) => def.create({
+    agent: grid ? gridAgents[i] : agent,
+    approxAgent: grid ? gridApproxAgents[i] : approxAgent
+  }));
 }
 
+
 // Persistence: Save Q-table and Settings to localStorage
 function saveQ() {
   try {
-    localStorage.setItem("TRAFFIC_Q_TABLE", JSON.stringify(Q));
+    localStorage.setItem("TRAFFIC_Q_TABLE", JSON.stringify(agent.Q));
     localStorage.setItem("TOTAL_SESSION_TIME", totalSessionTime);
     localStorage.setItem("TRAFFIC_REWARDS", JSON.stringify(REWARDS));
-    localStorage.setItem("TRAFFIC_EPSILON", EPSILON);
+    localStorage.setItem("TRAFFIC_CLEARANCE", JSON.stringify(TrafficSim.CLEARANCE));
+    localStorage.setItem("TRAFFIC_DETECTION", JSON.stringify(TrafficSim.DETECTION));
+    localStorage.setItem("TRAFFIC_PREEMPTION", JSON.stringify(emergencyMetadata().preemption || { enabled: false }));
+    localStorage.setItem("TRAFFIC_EPSILON", agent.epsilon);
+    localStorage.setItem("TRAFFIC_LEARNING", JSON.stringify(agent.learning));
+    localStorage.setItem("TRAFFIC_TIMING", JSON.stringify(agent.timing));
+    localStorage.setItem("TRAFFIC_EXPLORATION", JSON.stringify(Object.assign({ time: agent.explorationTime }, agent.exploration)));
+    localStorage.setItem("TRAFFIC_VISITS", JSON.stringify(agent.visits));
+    localStorage.setItem("TRAFFIC_Q2", JSON.stringify(agent.Q2));
+    localStorage.setItem("TRAFFIC_ENCODER", JSON.stringify(agent.encoder));
+    localStorage.setItem("TRAFFIC_DEMAND", JSON.stringify(TrafficDemand.toDefinition(demand.scenario)));
+    localStorage.setItem("TRAFFIC_APPROX", JSON.stringify(TrafficApprox.serializeModel(approxAgent)));
   } catch (e) {
     console.warn("Could not save to localStorage:", e);
   }
@@ -543,87 +394,106 @@ function saveQ() {
 // Persistence: Load Q-table and Settings from localStorage
 function loadQ() {
   try {
+    // The encoder first: the stored keys were produced by it (none stored = default)
+    const encoderData = localStorage.getItem("TRAFFIC_ENCODER");
+    if (encoderData) {
+      agent.encoder = TrafficEncoder.validateEncoder(JSON.parse(encoderData));
+      console.log("State encoder loaded:", TrafficEncoder.describe(agent.encoder));
+    }
+
     const data = localStorage.getItem("TRAFFIC_Q_TABLE");
     if (data) {
-      Q = JSON.parse(data);
-      console.log("Q-table loaded:", Object.keys(Q).length, "states");
+      agent.Q = JSON.parse(data);
+      console.log("Q-table loaded:", Object.keys(agent.Q).length, "states");
     }
 
-    const rewardsData = localStorage.getItem("TRAFFIC_REWARDS");
-    if (rewardsData) {
-      Object.assign(REWARDS, JSON.parse(rewardsData));
-      console.log("Rewards config loaded");
+    const learningData = localStorage.getItem("TRAFFIC_LEARNING");
+    if (learningData) {
+      TrafficAgent.setLearning(agent, JSON.parse(learningData));
+      console.log("Learning loaded:", TrafficAgent.describeLearning(agent.learning));
     }
 
-    const epsilonData = localStorage.getItem("TRAFFIC_EPSILON");
-    if (epsilonData) {
-      EPSILON = parseFloat(epsilonData);
-      console.log("Epsilon loaded:", EPSILON);
+    const timingData = localStorage.getItem("TRAFFIC_TIMING");
+    if (timingData) {
+      TrafficAgent.setTiming(agent, JSON.parse(timingData));
+      TrafficAgent.setTiming(approxAgent, agent.timing);
     }
-  } catch (e) {
-    console.warn("Could not load Q-table or settings:", e);
-  }
-}
 
-// Static Cycle Agent: Switches phases based on a fixed timer
-function staticCycleAgent(cycleSeconds) {
-  // Only switch at exactly cycleSeconds
-  if (env.timeSinceSwitch >= cycleSeconds) {
-    const nextPhase = env.currentPhase === "NS" ? "EW" : "NS";
-    setPhase(nextPhase);
-    logAI(`[STATIC] Cycle limit reached (${cycleSeconds}s). Switching to ${nextPhase}`, "switch");
-  }
-}
+    const q2Data = localStorage.getItem("TRAFFIC_Q2");
+    if (q2Data) agent.Q2 = JSON.parse(q2Data);
 
-// Q-Learning Agent (replaces simpleAIAgent)
-function qLearningAgent() {
-  // Only make decisions after MIN_GREEN_TIME
-  if (env.timeSinceSwitch < MIN_GREEN_TIME) {
-    return; // Can't act yet
-  }
+    const explorationData = localStorage.getItem("TRAFFIC_EXPLORATION");
+    if (explorationData) {
+      const exploration = JSON.parse(explorationData);
+      TrafficAgent.setExploration(agent, exploration);
+      agent.explorationTime = exploration.time || 0;
+      console.log("Exploration loaded:", TrafficAgent.describeExploration(agent.exploration));
+    }
 
-  const currentState = getState();
-  const action = chooseAction(currentState);
+    const visitsData = localStorage.getItem("TRAFFIC_VISITS");
+    if (visitsData) agent.visits = JSON.parse(visitsData);
 
-  // Calculate immediate reward (change since last step)
-  const currentReward = env.cumulativeReward - prevReward;
+    const demandData = localStorage.getItem("TRAFFIC_DEMAND");
+    if (demandData) {
+      demand = TrafficDemand.createProfile(JSON.parse(demandData));
+      console.log("Demand scenario loaded:", TrafficDemand.describe(demand.scenario));
+    }
 
-  // Update Q-table from previous step
-  if (prevState !== null && prevAction !== null) {
-    updateQ(prevState, prevAction, currentReward, currentState);
-  }
+    const episodesData = localStorage.getItem("TRAFFIC_EPISODES");
+    if (episodesData) {
+      trainingLog = Object.assign(TrafficEpisodes.createTrainingLog(), JSON.parse(episodesData));
+      console.log("Training log loaded:", trainingLog.episodes.length, "episodes");
+    }
 
-  // Execute action
-  if (action === "SWITCH") {
-    const otherPhase = env.currentPhase === "NS" ? "EW" : "NS";
-    setPhase(otherPhase);
-    logAI(`[Q-LEARN] Action: SWITCH to ${otherPhase}`, "switch");
-  } else {
-    // EXTEND: do nothing, keep current phase
-    // Log exploration occasionally
-    if (Math.random() < 0.1) {
-      logAI(`[Q-LEARN] Action: EXTEND ${env.currentPhase}`, "extend");
+    const approxData = localStorage.getItem("TRAFFIC_APPROX");
+    if (approxData) {
+      try {
+        TrafficApprox.loadModel(approxAgent, JSON.parse(approxData));
+        console.log("DQN model loaded:", approxAgent.type, approxAgent.updates, "updates");
+      } catch (e) {
+        console.warn("Stored DQN model not loaded:", e.message); // Saved by an older version
+      }
     }
-  }
 
-  // Store state for next update
-  prevState = currentState;
-  prevAction = action;
-  prevReward = env.cumulativeReward;
+    const rewardsData = localStorage.getItem("TRAFFIC_REWARDS");
+    if (rewardsData) {
+      Object.assign(REWARDS, JSON.parse(rewardsData));
+      console.log("Rewards config loaded");
+    }
 
-  // Auto-save to localStorage (session backup)
-  saveQ();
+    const clearanceData = localStorage.getItem("TRAFFIC_CLEARANCE");
+    if (clearanceData) {
+      Object.assign(TrafficSim.CLEARANCE, JSON.parse(clearanceData));
+      console.log("Clearance config loaded");
+    } else if (data) {
+      // A table saved before clearance intervals was trained without them
+      Object.assign(TrafficSim.CLEARANCE, { YELLOW: 0, ALL_RED: 0 });
+    }
+
+    const detectionData = localStorage.getItem("TRAFFIC_DETECTION");
+    if (detectionData) Object.assign(TrafficSim.DETECTION, JSON.parse(detectionData));
+    const preemptionData = localStorage.getItem("TRAFFIC_PREEMPTION");
+    if (preemptionData) {
+      const data = JSON.parse(preemptionData);
+      preemptionEnabled = !!data.enabled;
+      if (typeof data.HORIZON === "number") TrafficControllers.PREEMPTION.HORIZON = data.HORIZON;
+      console.log("Pre-emption config loaded:", preemptionEnabled ? "on" : "off");
+    }
+
+    const epsilonData = localStorage.getItem("TRAFFIC_EPSILON");
+    if (epsilonData) {
+      agent.epsilon = parseFloat(epsilonData);
+      approxAgent.epsilon = Math.min(1, agent.epsilon);
+      console.log("Epsilon loaded:", agent.epsilon);
+    }
+  } catch (e) {
+    console.warn("Could not load Q-table or settings:", e);
+  }
 }
 
 // Export Q-table to a JSON file
 async function exportQToFile() {
-  const data = {
-    Q: Q,
-    EPSILON: EPSILON,
-    REWARDS: REWARDS,
-    TOTAL_SESSION_TIME: totalSessionTime,
-    timestamp: new Date().toISOString()
-  };
+  const data = TrafficAgent.serializeAgent(exportedAgent(), totalSessionTime, runMetadata());
 
   const fileName = `traffic_q_table_${new Date().getTime()}.json`;
 
@@ -672,14 +542,67 @@ async function exportQToFile() {
   }
 
   // Fallback: Standard Download
-  const blob = new Blob([JSON.stringify(data, null, 2)], { type: "application/json" });
+  downloadFile(fileName, JSON.stringify(data, null, 2), "application/json");
+  logAI("[SYSTEM] Q-table exported via download", "normal");
+}
+
+// The table at the top level of an export. A grid stores every intersection
+// under GRID and the first one's table here, so the file still holds a
+// trained table when it is loaded without a grid.
+function exportedAgent() {
+  return grid ? gridAgents[0] : agent;
+}
+
+// Run settings stored next to the Q-table in exports
+function runMetadata() {
+  const model = TrafficApprox.serializeModel(grid ? gridApproxAgents[0] : approxAgent); // As exportedAgent()
+  if (!grid) return { SEED: env.seed, TURNING: turningEnabled, DEMAND: TrafficDemand.toDefinition(demand.scenario), TRACE: traceMetadata(), EMERGENCY: emergencyMetadata(), METRICS: TrafficMetrics.summarize(env), CONTROLLER: controllerMetadata(), APPROX: model };
+  return {
+    SEED: grid.seed,
+    TURNING: turningEnabled,
+    DEMAND: TrafficDemand.toDefinition(demand.scenario),
+    TRACE: traceMetadata(),
+    EMERGENCY: emergencyMetadata(),
+    METRICS: TrafficMetrics.summarize(grid.nodes),
+    CONTROLLER: controllerMetadata(),
+    APPROX: model,
+    GRID: {
+      rows: grid.rows,
+      cols: grid.cols,
+      observeNeighbours: observeNeighbours,
+      tables: gridAgents.map(a => a.Q), // Row-major, one per intersection
+      tables2: agent.learning.algorithm === "doubleQ" ? gridAgents.map(a => a.Q2) : undefined,
+      models: gridApproxAgents.map(a => TrafficApprox.serializeModel(a))
+    }
+  };
+}
+
+// Active control mode and the state of its instances (e.g. Webster flows)
+function controllerMetadata() {
+  return {
+    mode: controlMode,
+    state: controllers.map(c => (c.serialize ? c.serialize() : null))
+  };
+}
+
+function restoreController(data) {
+  if (!TrafficControllers.getController(data.mode)) return;
+  setControlMode(data.mode);
+  if (!data.state || data.state.length !== controllers.length) return;
+  controllers.forEach((c, i) => {
+    if (c.deserialize && data.state[i]) c.deserialize(data.state[i]);
+  });
+}
+
+// Save text through a temporary download link
+function downloadFile(fileName, text, type) {
+  const blob = new Blob([text], { type: type });
   const url = URL.createObjectURL(blob);
   const a = document.createElement("a");
   a.href = url;
   a.download = fileName;
   a.click();
   URL.revokeObjectURL(url);
-  logAI("[SYSTEM] Q-table exported via download", "normal");
 }
 
 // Import Q-table from a JSON file
@@ -691,15 +614,9 @@ function importQFromFile(event) {
   reader.onload = function (e) {
     try {
       const data = JSON.parse(e.target.result);
-      if (data.Q) {
-        Q = data.Q;
-        if (data.EPSILON !== undefined) EPSILON = data.EPSILON;
-        if (data.REWARDS) Object.assign(REWARDS, data.REWARDS);
-        if (data.TOTAL_SESSION_TIME !== undefined) totalSessionTime = data.TOTAL_SESSION_TIME;
-
-        logAI(`[SYSTEM] Imported Q-table (${Object.keys(Q).length} states)`, "normal");
-        console.log("Q-table imported successfully");
-        updateStats();
+      if (data.Q || data.APPROX) {
+        if (!applyModelData(data)) return;
+        console.log("Model imported successfully");
         // Sync to localStorage after import
         saveQ();
       } else {
@@ -707,40 +624,126 @@ function importQFromFile(event) {
       }
     } catch (err) {
       console.error("Error parsing JSON:", err);
-      alert("Error loading Q-table file.");
+      alert(`Error loading Q-table file: ${err.message}`);
     }
   };
   reader.readAsText(file);
 }
 
+// Load a Q-table and/or DQN model (export, train.js output or checkpoint) into
+// the live agents. Returns false if the user declined an encoder switch.
+function applyModelData(data) {
+  if (data.Q) {
+    // Never load keys against another encoder: switch to the file's one or stop
+    if (!TrafficEncoder.sameEncoder(data.ENCODER, agent.encoder)) {
+      const theirs = TrafficEncoder.validateEncoder(data.ENCODER || TrafficEncoder.DEFAULT_ENCODER);
+      if (!confirm(`This Q-table was built with a different state encoder:\n${TrafficEncoder.describe(theirs)}\n\nSwitch to that encoder?`)) return false;
+      setEncoder(theirs);
+    }
+    const sessionTime = TrafficAgent.loadAgent(agent, data);
+    if (sessionTime !== undefined) totalSessionTime = sessionTime;
+    setDecisionTiming(agent.timing);
+    gridAgents.forEach(a => {
+      TrafficAgent.setLearning(a, agent.learning);
+      TrafficAgent.setExploration(a, agent.exploration);
+      a.epsilon = agent.epsilon;
+    });
+    if (data.GRID && grid && data.GRID.tables.length === gridAgents.length) {
+      gridAgents.forEach((a, i) => {
+        a.Q = data.GRID.tables[i];
+        a.Q2 = data.GRID.tables2 ? data.GRID.tables2[i] : {};
+      });
+      logAI(`[SYSTEM] Restored ${gridAgents.length} grid tables`, "normal");
+    }
+    logAI(`[SYSTEM] Imported Q-table (${Object.keys(agent.Q).length} states, ${TrafficAgent.describeLearning(agent.learning)})`, "normal");
+    showLearning();
+    showExploration();
+  }
+  // DQN model files (train.js --agent) carry no table
+  if (data.APPROX) {
+    if (data.Q) {
+      TrafficApprox.loadModel(approxAgent, data.APPROX);
+    } else {
+      const sessionTime = TrafficApprox.loadApproxAgent(approxAgent, data);
+      if (sessionTime !== undefined) totalSessionTime = sessionTime;
+      setDecisionTiming(approxAgent.timing);
+    }
+    if (data.GRID && data.GRID.models && grid && data.GRID.models.length === gridApproxAgents.length) {
+      gridApproxAgents.forEach((a, i) => TrafficApprox.loadModel(a, data.GRID.models[i]));
+    }
+    document.getElementById("setting-approx").value = approxAgent.type;
+    logAI(`[SYSTEM] Imported DQN model (${approxAgent.type}, ${approxAgent.updates} updates)`, "normal");
+  }
+  if (data.CONTROLLER) restoreController(data.CONTROLLER);
+  showClearance(); // The file's clearance intervals
+  showDetection(); // The file's detection distance
+  createControllers(); // Controllers hold the agents they were created with
+  updateStats();
+  return true;
+}
+
+// ---------- EVENT LOG ----------
+// Every log line is also a structured event (events.js); the panel shows
+// the types ticked in its header, the export holds the whole stream.
 // Throttling for logs to prevent spam
 let lastLogTime = 0;
 function logAI(msg, type) {
-  if (!logPanel) return;
+  const eventType = type === "switch" || type === "alert" ? type : "info";
+  TrafficEvents.record(eventLog, { type: eventType, time: env.time, message: msg });
+  showLogEntry(eventType, msg, type);
+}
 
-  // Throttle extension logs (only allow every 5s)
-  if (type === "extend") {
+// Controller decision (controllers.js decisionEvent); EXTENDs are shown at most every 5s
+function logEvent(e) {
+  TrafficEvents.record(eventLog, e);
+  if (!e.node) tickDecision = e;
+  if (e.action === "EXTEND") {
     if (Date.now() - lastLogTime < 5000) return;
     lastLogTime = Date.now();
   }
+  const text = TrafficEvents.describeDecision(e);
+  const node = e.node ? `[${e.node}] ` : "";
+  showLogEntry("decision", `${node}${text.headline}<div class="log-detail">${text.detail}</div>`, e.action === "EXTEND" ? "extend" : "switch");
+}
 
+function showLogEntry(eventType, html, style) {
+  if (!logPanel) return;
   const div = document.createElement("div");
-  div.className = "log-entry";
-  if (type === "switch") div.classList.add("log-yellow");
-  if (type === "extend") div.classList.add("log-green");
-  if (type === "alert") div.classList.add("log-red");
+  div.className = `log-entry log-type-${eventType}`;
+  if (style === "switch") div.classList.add("log-yellow");
+  if (style === "extend") div.classList.add("log-green");
+  if (style === "alert") div.classList.add("log-red");
+  div.hidden = !logFilter[eventType];
 
-  div.innerHTML = `<span class="log-time">[${env.time}s]</span> ${msg}`;
+  div.innerHTML = `<span class="log-time">[${env.time}s]</span> ${html}`;
   logPanel.appendChild(div);
   logPanel.scrollTop = logPanel.scrollHeight;
 }
 
-function sum(arr) {
-  return arr.reduce((a, b) => a + b, 0);
+function initEventLog() {
+  const filters = document.getElementById("log-filters");
+  if (!filters) return;
+  filters.innerHTML = Object.keys(TrafficEvents.TYPES).map(type =>
+    `<label><input type="checkbox" value="${type}" checked> ${TrafficEvents.TYPES[type]}</label>`
+  ).join("");
+  filters.onchange = e => {
+    const type = e.target.value;
+    logFilter[type] = e.target.checked;
+    logPanel.querySelectorAll(`.log-type-${type}`).forEach(div => { div.hidden = !logFilter[type]; });
+  };
+  document.getElementById("logExportBtn").onclick = () => {
+    downloadFile(`traffic_events_${new Date().getTime()}.jsonl`, TrafficEvents.toJSONL(eventLog.events), "application/x-ndjson");
+    logAI(`[SYSTEM] Exported ${eventLog.events.length} events${eventLog.dropped ? ` (${eventLog.dropped} oldest dropped)` : ""}`, "normal");
+  };
 }
 
 // ---------- DRAW HOUSING & LIGHTS ----------
 function draw() {
+  if (grid && !replay) {
+    drawGrid();
+    return;
+  }
+
   ctx.fillStyle = "#1e2329";
   ctx.fillRect(0, 0, canvas.width, canvas.height);
 
@@ -761,8 +764,9 @@ function draw() {
   ctx.fillStyle = "#2a2a2a";
   ctx.fillRect(CENTER - ROAD_WIDTH / 2, CENTER - ROAD_WIDTH / 2, ROAD_WIDTH, ROAD_WIDTH);
 
-  // Visual Cars
-  visualCars.forEach(c => c.draw(ctx));
+  // Vehicles
+  drawVehicles();
+  drawCrash();
 
   // Lights (Overlay on top)
   drawLight("north", CENTER, CENTER - LIGHT_OFFSET);
@@ -772,9 +776,9 @@ function draw() {
 }
 
 function drawLight(lane, x, y) {
-  const isGreen = env.lanes[lane].green;
-  const queue = env.lanes[lane].queue;
-  const color = isGreen ? "#00ff88" : "#ff4444";
+  const shown = shownEnv();
+  const queue = shown.lanes[lane].queue;
+  const color = signalColor(shown.lanes[lane].green, shown.lanes[lane].yellow);
 
   ctx.shadowBlur = 15;
   ctx.shadowColor = color;
@@ -796,6 +800,51 @@ function drawLight(lane, x, y) {
     ctx.textBaseline = "middle";
     ctx.fillText(queue, x + 12, y - 12);
   }
+
+  if (shown.turning) drawLeftSignal(lane, x, y);
+}
+
+// Marks the last collision (box coordinates) for a few seconds
+function drawCrash() {
+  const crash = shownEnv().lastCrash;
+  if (!crash || shownEnv().time - crash.time > 3) return;
+  ctx.font = "24px Arial";
+  ctx.textAlign = "center";
+  ctx.textBaseline = "middle";
+  ctx.fillText("💥", CENTER + crash.x * LANE_WIDTH, CENTER + crash.y * LANE_WIDTH);
+}
+
+function signalColor(green, yellow) {
+  return green ? "#00ff88" : yellow ? "#ffb300" : "#ff4444";
+}
+
+// Protected-left signal next to the main light, on the driver's left
+function drawLeftSignal(lane, x, y) {
+  const d = TrafficSim.LANE_DIR[lane];
+  const lx = x + d.y * 22;
+  const ly = y - d.x * 22;
+  const l = shownEnv().lanes[lane];
+  const leftQueue = l.leftQueue;
+
+  ctx.fillStyle = signalColor(l.leftGreen, l.leftYellow);
+  ctx.beginPath();
+  ctx.arc(lx, ly, 6, 0, Math.PI * 2);
+  ctx.fill();
+  ctx.fillStyle = "#000";
+  ctx.font = "bold 8px Arial";
+  ctx.textAlign = "center";
+  ctx.textBaseline = "middle";
+  ctx.fillText("L", lx, ly);
+
+  if (leftQueue > 0) {
+    ctx.fillStyle = "#ccc";
+    ctx.beginPath();
+    ctx.arc(lx + 10, ly + 10, 7, 0, Math.PI * 2);
+    ctx.fill();
+    ctx.fillStyle = "#000";
+    ctx.font = "bold 9px Arial";
+    ctx.fillText(leftQueue, lx + 10, ly + 10);
+  }
 }
 
 function updateStats() {
@@ -803,36 +852,52 @@ function updateStats() {
     simTimer.innerText = formatTime(totalSessionTime);
   }
 
-  statsDiv.innerHTML = `
+  const totals = grid ? TrafficGrid.gridTotals(grid) : null;
+  const reward = grid ? totals.reward : env.cumulativeReward;
+  updateRewardBreakdown(grid ? totals : env);
+  const time = grid ? grid.time : env.time;
+  const ambStats = grid ? totals : env.emergencyStats;
+
+  statsDiv.innerHTML = grid ? gridStatsHTML(totals) : `
     <div><b>TIME:</b> ${env.time}s</div>
-    <div><b>PHASE:</b> <span style="color: ${env.currentPhase === 'NS' ? '#4CAF50' : '#FFC107'}">${env.currentPhase}</span></div>
+    <div><b>DEMAND:</b> ${demandHTML(env.time)}</div>
+    ${controlMode === "AI" ? `<div><b>EXPLORE:</b> ${TrafficAgent.STRATEGIES[agent.exploration.strategy]} ${formatRate(agent.lastRate)}</div>` : ""}
+    ${controlMode === "DQN" ? `<div><b>DQN:</b> ${approxAgent.type} | ${approxAgent.updates} updates | loss ${approxAgent.lastLoss.toFixed(3)}</div>` : ""}
+    <div><b>PHASE:</b> <span style="color: ${env.currentPhase.startsWith('NS') ? '#4CAF50' : '#FFC107'}">${env.currentPhase}</span>${clearanceHTML(env)}</div>
     <div><b>PRESSURE:</b> NS:${env.pressure.NS} | EW:${env.pressure.EW}</div>
     <div><b>TOTAL WAIT:</b> ${env.totalWait}</div>
+    <div><b>CAR CRASHES:</b> ${env.carCrashes}</div>
+    <div><b>SEED:</b> ${env.seed}</div>
     <hr style="border: 0; border-top: 1px solid rgba(255,255,255,0.1); margin: 8px 0;">
     <div style="display: grid; grid-template-columns: 1fr 1fr; gap: 5px;">
-      <div>N: <b>${env.lanes.north.queue}</b></div>
-      <div>S: <b>${env.lanes.south.queue}</b></div>
-      <div>E: <b>${env.lanes.east.queue}</b></div>
-      <div>W: <b>${env.lanes.west.queue}</b></div>
+      <div>N: <b>${env.lanes.north.queue}</b>${leftQueueHTML(env.lanes.north)}</div>
+      <div>S: <b>${env.lanes.south.queue}</b>${leftQueueHTML(env.lanes.south)}</div>
+      <div>E: <b>${env.lanes.east.queue}</b>${leftQueueHTML(env.lanes.east)}</div>
+      <div>W: <b>${env.lanes.west.queue}</b>${leftQueueHTML(env.lanes.west)}</div>
     </div>
-    ${env.emergency.active ? `<div style="margin-top:8px; color:#ff4444; font-weight:bold; animation: blink 1s infinite;">🚑 EMERGENCY: ${env.emergency.lane.toUpperCase()}</div>` : ''}
+    ${metricsHTML(TrafficMetrics.summarize(env))}
+    ${emergenciesHTML(env)}
   `;
 
   if (scoreEl) {
-    scoreEl.innerText = env.cumulativeReward.toFixed(2);
+    scoreEl.innerText = reward.toFixed(2);
     // Color code: Green if > -500, Yellow > -2000, Red otherwise
-    if (env.cumulativeReward > -500) scoreEl.style.color = "#4CAF50";
-    else if (env.cumulativeReward > -2000) scoreEl.style.color = "#FFC107";
+    if (reward > -500) scoreEl.style.color = "#4CAF50";
+    else if (reward > -2000) scoreEl.style.color = "#FFC107";
     else scoreEl.style.color = "#FF5252";
   }
 
-  if (statCrossed) statCrossed.innerText = env.emergencyStats ? env.emergencyStats.crossed : 0;
-  if (statCrashed) statCrashed.innerText = env.emergencyStats ? env.emergencyStats.crashed : 0;
-  if (statWaited) statWaited.innerText = env.emergencyStats ? env.emergencyStats.waited : 0;
+  // Totals, with the split per type on hover
+  [[statCrossed, "crossed"], [statCrashed, "crashed"], [statWaited, "waited"]].forEach(([el, key]) => {
+    if (!el) return;
+    el.innerText = ambStats[key];
+    el.title = Object.keys(TrafficSim.EMERGENCY_TYPES)
+      .map(type => `${TrafficSim.EMERGENCY_TYPES[type].icon} ${ambStats.byType[type][key]}`).join(" · ");
+  });
 
   // Calculate and display average reward per second
-  if (avgRewardEl && env.time > 0) {
-    const avgReward = (env.cumulativeReward / env.time).toFixed(2);
+  if (avgRewardEl && time > 0) {
+    const avgReward = (reward / time).toFixed(2);
     avgRewardEl.innerText = avgReward;
     // Color code: Green if > 0, Yellow if > -2, Red otherwise
     if (avgReward > 0) avgRewardEl.style.color = "#4CAF50";
@@ -841,91 +906,364 @@ function updateStats() {
   }
 }
 
-// ---------- ANIMATION LOOP (60fps) ----------
-function animate() {
-  // Spawn Visual Cars (Based on backlog)
-  const lanes = ["north", "south", "east", "west"];
-
-  // Check for Emergency Spawn
-  if (env.emergency && env.emergency.spawnVisual) {
-    const lane = env.emergency.lane;
-    visualCars.push(new VisualCar(lane, true)); // Spawn Ambulance
-    env.emergency.spawnVisual = false;
-  }
-
-  lanes.forEach(lane => {
-    if (env.visualQueue[lane] > 0) {
-      // Try to spawn
-      const startX = lane === "east" ? 450 : lane === "west" ? -50 : CENTER + (lane === "south" ? LANE_WIDTH / 2 : -LANE_WIDTH / 2);
-      const startY = lane === "north" ? -50 : lane === "south" ? 450 : CENTER + (lane === "west" ? LANE_WIDTH / 2 : -LANE_WIDTH / 2);
-
-      // Check overlap
-      let overlap = false;
-      for (let c of visualCars) {
-        if (Math.hypot(c.x - startX, c.y - startY) < 60) overlap = true;
-      }
+// Stacked share of each REWARDS term in the reward so far (by size), with
+// its total and the last tick's amount. source: an env or the grid totals.
+const REWARD_COLORS = {
+  CAR_PASSED: "#4CAF50",
+  CAR_WAITING: "#FFC107",
+  AMBULANCE_PASSED: "#00BCD4",
+  AMBULANCE_WAITING: "#FF5252",
+  AMBULANCE_CRASH: "#B71C1C",
+  CAR_CRASH: "#E040FB",
+  PHASE_SWITCH: "#2196F3",
+  OVER_EXTEND_PUNISHMENT: "#FF9800"
+};
+function updateRewardBreakdown(source) {
+  const bar = document.getElementById("reward-bar");
+  const list = document.getElementById("reward-terms");
+  if (!bar || !list) return;
+  const terms = Object.keys(REWARDS).filter(term => source.rewardCounts[term]);
+  const scale = terms.reduce((a, term) => a + Math.abs(source.rewardTotals[term]), 0) || 1;
+  bar.innerHTML = terms.map(term =>
+    `<span style="width:${(100 * Math.abs(source.rewardTotals[term]) / scale).toFixed(1)}%; background:${REWARD_COLORS[term]}" title="${term}"></span>`
+  ).join("");
+  list.innerHTML = terms.map(term => {
+    const last = source.lastRewards[term] || 0;
+    return `<div title="${source.rewardCounts[term]} ${TrafficSim.REWARD_UNITS[term]}">` +
+      `<i style="background:${REWARD_COLORS[term]}"></i><span>${term}</span><b>${source.rewardTotals[term].toFixed(0)}</b>` +
+      `<small>${last ? (last > 0 ? "+" : "") + last.toFixed(1) : ""}</small></div>`;
+  }).join("") || "No reward yet";
+}
 
-      if (!overlap) {
-        visualCars.push(new VisualCar(lane));
-        env.visualQueue[lane]--;
-      }
-    }
-  });
+// Scenario name and clock, flagged while a scripted event runs
+function demandHTML(time) {
+  const clock = TrafficDemand.formatClock(TrafficDemand.clockTime(demand.scenario, time));
+  const active = TrafficDemand.activeEvents(demand.scenario, time).length > 0;
+  return `${demand.scenario.name} ${clock}${active ? ' <span style="color:#ff4444">⚠</span>' : ""}`;
+}
 
-  // Update Cars
-  visualCars.forEach(c => c.update());
+// Yellow / all-red countdown while the lights change
+function clearanceHTML(e) {
+  if (!e.transition) return "";
+  const label = e.transition.stage === "yellow" ? "YELLOW" : "ALL RED";
+  return ` <span style="color:#ffb300">(${label})</span>`;
+}
 
-  // Clean up cars that left screen
-  visualCars = visualCars.filter(c =>
-    c.x > -100 && c.x < 500 && c.y > -100 && c.y < 500
-  );
+// Active emergencies, most urgent first with their ETA, how many arrived in conflict and the forced greens
+function emergenciesHTML(e) {
+  const conflicts = e.emergencyStats.conflicts ? `<div><b>CONFLICTS:</b> ${e.emergencyStats.conflicts}</div>` : "";
+  const preemptions = e.preemption ? `<div><b>PRE-EMPTIONS:</b> ${e.emergencyStats.preemptions}</div>` : "";
+  const urgent = TrafficSim.urgentEmergencies(e);
+  if (urgent.length === 0) return conflicts + preemptions;
+  const list = urgent.map(em => `${TrafficSim.EMERGENCY_TYPES[em.type].icon} ${TrafficSim.EMERGENCY_TYPES[em.type].label.toUpperCase()}: ${em.lane.toUpperCase()} ` +
+    `ETA ${Math.ceil(TrafficSim.emergencyETA(em))}s`);
+  return `${conflicts}${preemptions}<div style="margin-top:8px; color:#ff4444; font-weight:bold; animation: blink 1s infinite;">EMERGENCY: ${list.join(" · ")}</div>`;
+}
 
-  draw();
-  requestAnimationFrame(animate);
+// Left-turn pocket count next to a lane queue (turning mode only)
+function leftQueueHTML(lane) {
+  return env.turning ? ` <span style="color:#aaa">+L${lane.leftQueue}</span>` : "";
 }
 
-// ---------- EVENTS ----------
+function gridStatsHTML(totals) {
+  const nodes = grid.nodes.map(node => {
+    const q = node.lanes;
+    const count = l => l.queue + l.leftQueue;
+    const amb = node.emergencies.map(e => ` ${TrafficSim.EMERGENCY_TYPES[e.type].icon}`).join("");
+    return `<div>${node.id} <span style="color: ${node.currentPhase.startsWith('NS') ? '#4CAF50' : '#FFC107'}">${node.currentPhase}</span> ` +
+      `${count(q.north)}/${count(q.south)}/${count(q.east)}/${count(q.west)}${amb}</div>`;
+  }).join("");
+
+  return `
+    <div><b>TIME:</b> ${grid.time}s</div>
+    <div><b>DEMAND:</b> ${demandHTML(grid.time)}</div>
+    <div><b>GRID:</b> ${grid.rows}×${grid.cols} ${observeNeighbours ? "(coordinated)" : "(independent)"}</div>
+    <div><b>TOTAL WAIT:</b> ${totals.wait}</div>
+    <div><b>CAR CRASHES:</b> ${totals.carCrashes}</div>
+    ${totals.conflicts ? `<div><b>CONFLICTS:</b> ${totals.conflicts}</div>` : ""}
+    ${preemptionEnabled ? `<div><b>PRE-EMPTIONS:</b> ${totals.preemptions}</div>` : ""}
+    <div><b>EXITED:</b> ${totals.exited} | <b>ON LINKS:</b> ${grid.transit.reduce((a, c) => a + c.count, 0)}</div>
+    <div><b>SEED:</b> ${grid.seed}</div>
+    <hr style="border: 0; border-top: 1px solid rgba(255,255,255,0.1); margin: 8px 0;">
+    <div style="font-size: 11px;">NODE PHASE N/S/E/W</div>
+    <div style="max-height: 120px; overflow-y: auto;">${nodes}</div>
+    ${metricsHTML(TrafficMetrics.summarize(grid.nodes))}
+  `;
+}
 
+// Delay / LOS table per approach (see metrics.js)
+function metricsHTML(m) {
+  const rows = TrafficSim.LANES.map(lane => {
+    const a = m.approaches[lane];
+    return `<div>${lane[0].toUpperCase()}</div><div>${a.avgDelay.toFixed(1)}</div><div>${a.p95Delay}</div>` +
+      `<div><b>${a.los}</b></div><div>${a.maxQueue}</div><div>${a.stopsPerVehicle.toFixed(2)}</div>`;
+  }).join("");
 
-resetBtn.onclick = resetEnv;
+  return `
+    <hr style="border: 0; border-top: 1px solid rgba(255,255,255,0.1); margin: 8px 0;">
+    <div><b>DELAY:</b> ${m.avgDelay.toFixed(1)}s avg | ${m.p95Delay}s p95 | LOS <b>${m.los}</b></div>
+    <div><b>THROUGHPUT:</b> ${Math.round(m.throughputPerHour)} veh/h | ${m.stopsPerVehicle.toFixed(2)} stops/veh</div>
+    <div><b>EMERG. RESPONSE:</b> ${m.emergency.avgResponse.toFixed(1)}s avg | ${m.emergency.maxResponse.toFixed(1)}s max</div>
+    <div style="font-size: 11px;">${Object.keys(m.emergencies).filter(type => m.emergencies[type].count > 0)
+      .map(type => `${TrafficSim.EMERGENCY_TYPES[type].icon} ${m.emergencies[type].count} × ${m.emergencies[type].avgResponse.toFixed(1)}s`).join(" | ")}</div>
+    <div style="display: grid; grid-template-columns: repeat(6, auto); gap: 2px 8px; font-size: 11px; margin-top: 4px;">
+      <div></div><div>AVG</div><div>P95</div><div>LOS</div><div>MAXQ</div><div>STOPS</div>
+      ${rows}
+    </div>
+  `;
+}
 
-pauseBtn.onclick = function () {
-  isPaused = !isPaused;
-  if (isPaused) {
-    pauseBtn.innerHTML = '<span class="icon">▶</span> Resume';
-    pauseBtn.classList.add('paused');
-  } else {
-    pauseBtn.innerHTML = '<span class="icon">⏸</span> Pause';
-    pauseBtn.classList.remove('paused');
-  }
-};
+// ---------- GRID VIEW ----------
+function drawGrid() {
+  const size = canvas.width;
+  const cell = size / Math.max(grid.rows, grid.cols);
+  const offX = (size - cell * grid.cols) / 2;
+  const offY = (size - cell * grid.rows) / 2;
+  const road = cell * 0.3;
+  const stop = road / 2 + 6; // Stop line distance from the node centre
+  const carSize = Math.max(3, road / 6);
+  const gap = carSize + 2;
+
+  const centerOf = node => ({ x: offX + (node.col + 0.5) * cell, y: offY + (node.row + 0.5) * cell });
+  // Right-hand traffic: each direction keeps to its own half of the road
+  const laneShift = lane => {
+    const d = TrafficSim.LANE_DIR[lane];
+    return { x: -d.y * road / 4, y: d.x * road / 4 };
+  };
 
-// Control Mode Toggle Listeners
-document.querySelectorAll('.mode-btn').forEach(btn => {
-  btn.onclick = function () {
-    const mode = this.getAttribute('data-mode');
-    if (controlMode === mode) return;
+  ctx.fillStyle = "#1e2329";
+  ctx.fillRect(0, 0, canvas.width, canvas.height);
 
-    controlMode = mode;
-    document.querySelectorAll('.mode-btn').forEach(b => b.classList.remove('active'));
-    this.classList.add('active');
-    logAI(`[SYSTEM] Control Mode: ${mode}`, "normal");
-  };
-});
+  // Roads
+  ctx.fillStyle = "#333";
+  for (let r = 0; r < grid.rows; r++) ctx.fillRect(0, offY + (r + 0.5) * cell - road / 2, size, road);
+  for (let c = 0; c < grid.cols; c++) ctx.fillRect(offX + (c + 0.5) * cell - road / 2, 0, road, size);
 
-// Export/Import Event Listeners
-if (exportBtn) exportBtn.onclick = exportQToFile;
-if (importBtn) importBtn.onclick = () => fileInput.click();
-if (fileInput) fileInput.onchange = importQFromFile;
+  grid.nodes.forEach(node => {
+    const p = centerOf(node);
+    ctx.fillStyle = "#2a2a2a";
+    ctx.fillRect(p.x - road / 2, p.y - road / 2, road, road);
+  });
 
-// ---------- SETTINGS SYNC ----------
-function initSettings() {
-  const settingsMap = {
-    "reward-car-passed": "CAR_PASSED",
-    "reward-car-waiting": "CAR_WAITING",
-    "reward-amb-passed": "AMBULANCE_PASSED",
+  // Cars driving between intersections
+  const frac = Math.min(1, (Date.now() - lastTickAt) / 1000);
+  grid.transit.forEach(car => {
+    const d = TrafficSim.LANE_DIR[car.lane];
+    const from = centerOf(car.from);
+    const to = centerOf(car.to);
+    const shift = laneShift(car.lane);
+    const progress = Math.min(1, (grid.time - 1 - car.departAt + frac) / TrafficGrid.TRAVEL_TIME);
+    const sx = from.x + d.x * stop, sy = from.y + d.y * stop;
+    const ex = to.x - d.x * stop, ey = to.y - d.y * stop;
+    for (let i = 0; i < car.count; i++) {
+      ctx.fillStyle = "#64b5f6";
+      ctx.fillRect(sx + (ex - sx) * progress - d.x * i * gap + shift.x - carSize / 2,
+        sy + (ey - sy) * progress - d.y * i * gap + shift.y - carSize / 2, carSize, carSize);
+    }
+  });
+
+  // Queues, lights and emergencies per intersection
+  const fit = Math.max(1, Math.floor((cell / 2 - stop) / gap));
+  const drawQueue = (queue, sx, sy, d, color) => {
+    ctx.fillStyle = color;
+    for (let i = 0; i < Math.min(queue, fit); i++) {
+      ctx.fillRect(sx - d.x * (i + 1) * gap - carSize / 2, sy - d.y * (i + 1) * gap - carSize / 2, carSize, carSize);
+    }
+    if (queue > fit) {
+      ctx.fillStyle = "#fff";
+      ctx.font = "bold 9px Arial";
+      ctx.textAlign = "center";
+      ctx.textBaseline = "middle";
+      ctx.fillText(queue, sx - d.x * (fit + 2) * gap, sy - d.y * (fit + 2) * gap);
+    }
+  };
+  const drawHead = (color, x, y, radius) => {
+    ctx.fillStyle = color;
+    ctx.shadowBlur = 8;
+    ctx.shadowColor = color;
+    ctx.beginPath();
+    ctx.arc(x, y, radius, 0, Math.PI * 2);
+    ctx.fill();
+    ctx.shadowBlur = 0;
+  };
+
+  grid.nodes.forEach(node => {
+    const p = centerOf(node);
+
+    TrafficSim.LANES.forEach(lane => {
+      const d = TrafficSim.LANE_DIR[lane];
+      const l = node.lanes[lane];
+      // With turning on, the half road splits into a through lane (kerb side)
+      // and a left-turn pocket (centre-line side), as in the single view
+      const shift = laneShift(lane);
+      const k = node.turning ? 1.5 : 1;
+      const sx = p.x - d.x * stop + shift.x * k;
+      const sy = p.y - d.y * stop + shift.y * k;
+
+      drawQueue(l.queue, sx, sy, d, "#bbb");
+      drawHead(signalColor(l.green, l.yellow), sx, sy, Math.max(2.5, road / 10));
+
+      if (node.turning) {
+        const lx = p.x - d.x * stop + shift.x * 0.5;
+        const ly = p.y - d.y * stop + shift.y * 0.5;
+        drawQueue(l.leftQueue, lx, ly, d, "#888");
+        drawHead(signalColor(l.leftGreen, l.leftYellow), lx, ly, Math.max(2, road / 14));
+      }
+
+      if (node.emergencies.some(e => e.lane === lane)) {
+        ctx.strokeStyle = Math.floor(Date.now() / 200) % 2 === 0 ? "#ff0000" : "#ffffff";
+        ctx.lineWidth = 2;
+        ctx.beginPath();
+        ctx.arc(sx - d.x * gap, sy - d.y * gap, carSize + 3, 0, Math.PI * 2);
+        ctx.stroke();
+      }
+    });
+  });
+}
+
+// ---------- ANIMATION LOOP (60fps) ----------
+function animate() {
+  draw();
+  requestAnimationFrame(animate);
+}
+
+// ---------- BENCHMARK ----------
+let benchmarkResult = null;
+
+function initBenchmark() {
+  const list = document.getElementById("bench-controllers");
+  if (!list) return;
+
+  list.innerHTML = TrafficControllers.getControllers().map(c =>
+    `<label><input type="checkbox" value="${c.name}" checked> ${c.name}</label>`
+  ).join("");
+
+  document.getElementById("benchRunBtn").onclick = runBenchmarkFromUI;
+  document.getElementById("benchCsvBtn").onclick = () => {
+    downloadFile(`traffic_benchmark_${new Date().getTime()}.csv`, TrafficBenchmark.toCSV(benchmarkResult), "text/csv");
+  };
+  document.getElementById("benchJsonBtn").onclick = () => {
+    downloadFile(`traffic_benchmark_${new Date().getTime()}.json`, JSON.stringify(benchmarkResult, null, 2), "application/json");
+  };
+}
+
+async function runBenchmarkFromUI() {
+  const runBtn = document.getElementById("benchRunBtn");
+  const status = document.getElementById("bench-status");
+  const controllers = Array.from(document.querySelectorAll("#bench-controllers input:checked")).map(el => el.value);
+  if (controllers.length === 0) {
+    status.innerText = "Select at least one controller";
+    return;
+  }
+
+  runBtn.disabled = true;
+  document.getElementById("benchCsvBtn").disabled = true;
+  document.getElementById("benchJsonBtn").disabled = true;
+
+  try {
+    benchmarkResult = await TrafficBenchmark.runBenchmark({
+      hours: parseFloat(document.getElementById("bench-hours").value) || 1,
+      seeds: Math.max(1, parseInt(document.getElementById("bench-seeds").value) || 1),
+      baseSeed: document.getElementById("bench-seed").value.trim(),
+      controllers: controllers,
+      agent: agent,
+      approxAgent: approxAgent,
+      turning: turningEnabled,
+      demand: demand,
+      preemption: document.getElementById("bench-preemption").value,
+      onProgress: (done, total) => { status.innerText = `Running ${done}/${total}...`; }
+    });
+    status.innerText = `Done: ${benchmarkResult.config.seeds} seeds × ${benchmarkResult.config.hours}h (base seed ${benchmarkResult.config.baseSeed}, ${demand.scenario.name} demand)`;
+    renderBenchmarkTable(benchmarkResult);
+    logAI(`[BENCH] Finished ${benchmarkResult.runs.length} runs`, "normal");
+    document.getElementById("benchCsvBtn").disabled = false;
+    document.getElementById("benchJsonBtn").disabled = false;
+  } catch (err) {
+    console.error("Benchmark failed:", err);
+    status.innerText = `Error: ${err.message}`;
+  } finally {
+    runBtn.disabled = false;
+  }
+}
+
+function renderBenchmarkTable(result) {
+  const metrics = TrafficBenchmark.METRICS;
+  const best = result.summary.reduce((a, b) => (b.avgReward.mean > a.avgReward.mean ? b : a));
+  const header = `<tr><th>Controller</th>${metrics.map(m => `<th>${m.label}</th>`).join("")}</tr>`;
+  const rows = result.summary.map(row => `
+    <tr class="${row === best ? "best" : ""}">
+      <td>${row.controller}</td>
+      ${metrics.map(m => `<td>${row[m.key].mean.toFixed(m.digits)} <span class="ci">±${row[m.key].ci95.toFixed(m.digits)}</span></td>`).join("")}
+    </tr>`).join("");
+  document.getElementById("bench-table").innerHTML = header + rows;
+}
+
+// ---------- EVENTS ----------
+
+
+resetBtn.onclick = () => resetEnv();
+
+pauseBtn.onclick = function () {
+  isPaused = !isPaused;
+  if (isPaused) {
+    pauseBtn.innerHTML = '<span class="icon">▶</span> Resume';
+    pauseBtn.classList.add('paused');
+  } else {
+    pauseBtn.innerHTML = '<span class="icon">⏸</span> Pause';
+    pauseBtn.classList.remove('paused');
+  }
+};
+
+// Control Mode buttons, one per registered controller
+function initControlModes() {
+  const container = document.getElementById("mode-buttons");
+  if (!container) return;
+  container.innerHTML = TrafficControllers.getControllers().map(c =>
+    `<button class="mode-btn${c.name === controlMode ? " active" : ""}" data-mode="${c.name}" title="${c.description}">${c.label}</button>`
+  ).join("");
+
+  container.querySelectorAll('.mode-btn').forEach(btn => {
+    btn.onclick = function () {
+      const mode = this.getAttribute('data-mode');
+      if (controlMode === mode) return;
+      setControlMode(mode);
+      logAI(`[SYSTEM] Control Mode: ${mode}`, "normal");
+    };
+  });
+}
+
+function setControlMode(mode) {
+  controlMode = mode;
+  createControllers();
+  document.querySelectorAll('.mode-btn').forEach(b => {
+    b.classList.toggle('active', b.getAttribute('data-mode') === mode);
+  });
+}
+
+// Export/Import Event Listeners
+if (exportBtn) exportBtn.onclick = exportQToFile;
+if (importBtn) importBtn.onclick = () => fileInput.click();
+if (fileInput) fileInput.onchange = importQFromFile;
+
+// Tool panel toggles (Benchmark, ...)
+document.querySelectorAll('.tools-row [data-panel]').forEach(btn => {
+  btn.onclick = function () {
+    const panel = document.getElementById(this.getAttribute('data-panel'));
+    panel.hidden = !panel.hidden;
+    this.classList.toggle('active', !panel.hidden);
+  };
+});
+document.getElementById("decisionsToggle").addEventListener("click", drawDecisionsPanel);
+
+// ---------- SETTINGS SYNC ----------
+function initSettings() {
+  const settingsMap = {
+    "reward-car-passed": "CAR_PASSED",
+    "reward-car-waiting": "CAR_WAITING",
+    "reward-amb-passed": "AMBULANCE_PASSED",
     "reward-amb-waiting": "AMBULANCE_WAITING",
     "reward-amb-crash": "AMBULANCE_CRASH",
+    "reward-car-crash": "CAR_CRASH",
     "reward-switch": "PHASE_SWITCH"
   };
 
@@ -943,21 +1281,148 @@ function initSettings() {
     }
   }
 
+  // Clearance intervals (seconds), applied from the next switch on
+  const clearanceMap = {
+    "setting-yellow": "YELLOW",
+    "setting-all-red": "ALL_RED"
+  };
+  for (let id in clearanceMap) {
+    const el = document.getElementById(id);
+    if (el) {
+      el.value = TrafficSim.CLEARANCE[clearanceMap[id]];
+      el.oninput = function () {
+        TrafficSim.CLEARANCE[clearanceMap[id]] = Math.max(0, parseInt(this.value) || 0);
+        console.log(`Updated ${clearanceMap[id]} to ${TrafficSim.CLEARANCE[clearanceMap[id]]}s`);
+        saveQ(); // Persist immediately
+      };
+    }
+  }
+
   const epsilonInput = document.getElementById("setting-epsilon");
   if (epsilonInput) {
-    epsilonInput.value = EPSILON;
+    epsilonInput.value = agent.epsilon;
     epsilonInput.oninput = function () {
-      EPSILON = Math.max(0, Math.min(1, parseFloat(this.value) || 0));
-      console.log(`Updated EPSILON to ${EPSILON}`);
+      // A probability for ε-greedy; softmax temperature / UCB weight are open-ended
+      const rate = Math.max(0, parseFloat(this.value) || 0);
+      agent.epsilon = agent.exploration.strategy === "epsilonGreedy" ? Math.min(1, rate) : rate;
+      gridAgents.forEach(a => { a.epsilon = agent.epsilon; });
+      [approxAgent].concat(gridApproxAgents).forEach(a => { a.epsilon = Math.min(1, agent.epsilon); });
+      console.log(`Updated EPSILON to ${agent.epsilon}`);
       saveQ(); // Persist immediately
     };
   }
 
+  // Exploration strategy and schedule, applied to every tabular agent
+  ["setting-explore-strategy", "setting-explore-schedule", "setting-explore-min", "setting-explore-decay"].forEach(id => {
+    const el = document.getElementById(id);
+    if (el) el.onchange = applyExploration;
+  });
+  showExploration();
+
+  // Seconds between agent decisions (Q-table and DQN alike)
+  const intervalInput = document.getElementById("setting-interval");
+  if (intervalInput) {
+    intervalInput.value = agent.timing.interval;
+    intervalInput.onchange = function () {
+      try {
+        setDecisionTiming({ interval: parseInt(this.value) });
+      } catch (err) {
+        alert(err.message);
+      }
+      this.value = agent.timing.interval;
+      console.log(`Decision interval set to ${agent.timing.interval}s`);
+      saveQ(); // Persist immediately
+    };
+  }
+
+  // Update rule and hyperparameters, applied to every tabular agent
+  ["setting-algorithm", "setting-alpha", "setting-gamma", "setting-nstep", "setting-lambda"].forEach(id => {
+    const el = document.getElementById(id);
+    if (el) el.onchange = applyLearning;
+  });
+  showLearning();
+
+  // DQN model shape; a new shape starts from untrained weights
+  const approxInput = document.getElementById("setting-approx");
+  if (approxInput) {
+    approxInput.value = approxAgent.type;
+    approxInput.onchange = function () {
+      if (approxAgent.updates > 0 && !confirm(`Discard the trained ${approxAgent.type} model (${approxAgent.updates} updates)?`)) {
+        this.value = approxAgent.type;
+        return;
+      }
+      approxAgent = TrafficApprox.createApproxAgent({ type: this.value, epsilon: Math.min(1, agent.epsilon) });
+      console.log(`DQN model set to ${approxAgent.type}`);
+      saveQ();
+      resetEnv(); // Controllers and grid copies pick up the new model
+    };
+  }
+
+  const seedInput = document.getElementById("setting-seed");
+  if (seedInput) {
+    seedInput.value = simSeed;
+    seedInput.onchange = function () {
+      simSeed = this.value.trim();
+      console.log(`Updated SEED to ${simSeed || "random"}`);
+      resetEnv(); // Replay from the start with the new seed
+    };
+  }
+
+  const gridRowsInput = document.getElementById("grid-rows");
+  const gridColsInput = document.getElementById("grid-cols");
+  const neighboursInput = document.getElementById("setting-neighbours");
+  const applyGrid = function () {
+    gridRows = Math.max(1, Math.min(6, parseInt(gridRowsInput.value) || 1));
+    gridCols = Math.max(1, Math.min(6, parseInt(gridColsInput.value) || 1));
+    observeNeighbours = neighboursInput.value === "neighbours";
+    console.log(`Grid set to ${gridRows}x${gridCols} (${observeNeighbours ? "coordinated" : "independent"})`);
+    resetEnv();
+  };
+  if (gridRowsInput && gridColsInput && neighboursInput) {
+    gridRowsInput.onchange = applyGrid;
+    gridColsInput.onchange = applyGrid;
+    neighboursInput.onchange = applyGrid;
+  }
+
+  const turningInput = document.getElementById("setting-turning");
+  if (turningInput) {
+    turningInput.value = turningEnabled ? "on" : "off";
+    turningInput.onchange = function () {
+      turningEnabled = this.value === "on";
+      console.log(`Turning movements ${turningEnabled ? "enabled" : "disabled"}`);
+      resetEnv(); // Phase plan and queues change shape
+    };
+  }
+
+  // Turn ratios per approach as "L/S/R" weights, applied live
+  TrafficSim.LANES.forEach(lane => {
+    const el = document.getElementById(`turn-${lane}`);
+    if (!el) return;
+    const r = TrafficSim.TURN_RATIOS[lane];
+    const show = () => { el.value = [r.left, r.straight, r.right].map(v => Math.round(v * 100)).join("/"); };
+    show();
+    el.onchange = function () {
+      const parts = this.value.split("/").map(v => parseFloat(v));
+      const total = parts.reduce((a, b) => a + b, 0);
+      if (parts.length !== 3 || parts.some(v => !(v >= 0)) || !(total > 0)) {
+        show(); // Invalid input: keep the current ratios
+        return;
+      }
+      r.left = parts[0] / total;
+      r.straight = parts[1] / total;
+      r.right = parts[2] / total;
+      console.log(`Turn ratios ${lane}: L ${r.left.toFixed(2)} / S ${r.straight.toFixed(2)} / R ${r.right.toFixed(2)}`);
+    };
+  });
+
   // Speed Toggle Listeners
   document.querySelectorAll('.speed-btn').forEach(btn => {
     btn.onclick = function () {
       const speed = parseFloat(this.getAttribute('data-speed'));
       simSpeed = speed;
+      (grid ? grid.nodes : [env]).forEach(e => {
+        e.arrivalWindow = Math.max(5, 5 * simSpeed); // Scale window with speed
+      });
 
       // Update UI
       document.querySelectorAll('.speed-btn').forEach(b => b.classList.remove('active'));
@@ -968,17 +1433,844 @@ function initSettings() {
   });
 }
 
+// ---------- DECISION TIMING ----------
+function setDecisionTiming(timing) {
+  const valid = TrafficAgent.validateTiming(timing);
+  [agent, approxAgent].concat(gridAgents, gridApproxAgents).forEach(a => TrafficAgent.setTiming(a, valid));
+  const input = document.getElementById("setting-interval");
+  if (input) input.value = valid.interval;
+}
+
+// Reward windows of the agent in charge (intersection 0 in a grid), newest first
+function drawDecisionsPanel() {
+  const panel = document.getElementById("decisions-panel");
+  if (!panel || panel.hidden) return;
+  const status = document.getElementById("decisions-status");
+  const table = document.getElementById("decisions-table");
+  const dqn = controlMode === "DQN";
+  if (controlMode !== "AI" && !dqn) {
+    status.innerText = "Switch to AI or DQN mode to see its decisions";
+    table.innerHTML = "";
+    return;
+  }
+  const nodeAgent = dqn ? (grid ? gridApproxAgents[0] : approxAgent) : (grid ? gridAgents[0] : agent);
+  const gamma = dqn ? TrafficApprox.APPROX.GAMMA : nodeAgent.learning.gamma;
+  const windows = nodeAgent.windows.slice().reverse();
+  if (nodeAgent.window) windows.unshift(nodeAgent.window);
+
+  const closed = nodeAgent.windows;
+  const avgLength = closed.length ? closed.reduce((s, w) => s + w.ticks, 0) / closed.length : 0;
+  status.innerText = `Every ≥${nodeAgent.timing.interval}s when a switch is possible · γ ${gamma} per second · ` +
+    `avg window ${avgLength.toFixed(1)}s over the last ${closed.length}`;
+
+  const header = "<tr><th>Decided at</th><th>Action</th><th>State</th><th>Length</th><th>Reward</th><th>Discounted</th><th>Next value ×</th></tr>";
+  const rows = windows.map(w => `
+    <tr>
+      <td>${w.start}s${w === nodeAgent.window ? " (open)" : ""}</td>
+      <td>${w.action}</td>
+      <td>${typeof w.state === "string" ? w.state : "features"}</td>
+      <td>${w.ticks}s</td>
+      <td title="${windowCountsText(w)}">${w.reward.toFixed(1)}</td>
+      <td>${w.discounted.toFixed(1)}</td>
+      <td>${Math.pow(gamma, w.ticks).toFixed(3)}</td>
+    </tr>`).join("");
+  table.innerHTML = header + rows;
+}
+
+// What a window's reward was made of, e.g. "CAR_PASSED 12 cars · CAR_WAITING 40 car-seconds queued"
+function windowCountsText(w) {
+  return Object.keys(w.counts).map(term => `${term} ${w.counts[term]} ${TrafficSim.REWARD_UNITS[term]}`).join(" · ");
+}
+
+// ---------- LEARNING ALGORITHM ----------
+function applyLearning() {
+  let learning;
+  try {
+    learning = TrafficAgent.validateLearning({
+      algorithm: document.getElementById("setting-algorithm").value,
+      alpha: parseFloat(document.getElementById("setting-alpha").value),
+      gamma: parseFloat(document.getElementById("setting-gamma").value),
+      n: parseInt(document.getElementById("setting-nstep").value),
+      lambda: parseFloat(document.getElementById("setting-lambda").value)
+    });
+  } catch (err) {
+    alert(err.message);
+    showLearning(); // Back to the values in use
+    return;
+  }
+  [agent].concat(gridAgents).forEach(a => TrafficAgent.setLearning(a, learning));
+  logAI(`[SYSTEM] Learning: ${TrafficAgent.describeLearning(learning)}`, "normal");
+  saveQ(); // Persist immediately
+}
+
+function showClearance() {
+  const values = { "setting-yellow": TrafficSim.CLEARANCE.YELLOW, "setting-all-red": TrafficSim.CLEARANCE.ALL_RED };
+  Object.keys(values).forEach(id => {
+    const el = document.getElementById(id);
+    if (el) el.value = values[id];
+  });
+}
+
+function showLearning() {
+  const l = agent.learning;
+  const values = { "setting-algorithm": l.algorithm, "setting-alpha": l.alpha, "setting-gamma": l.gamma, "setting-nstep": l.n, "setting-lambda": l.lambda };
+  Object.keys(values).forEach(id => {
+    const el = document.getElementById(id);
+    if (el) el.value = values[id];
+  });
+}
+
+// ---------- EXPLORATION ----------
+function applyExploration() {
+  let exploration;
+  try {
+    exploration = TrafficAgent.validateExploration({
+      strategy: document.getElementById("setting-explore-strategy").value,
+      schedule: document.getElementById("setting-explore-schedule").value,
+      min: parseFloat(document.getElementById("setting-explore-min").value),
+      decay: parseFloat(document.getElementById("setting-explore-decay").value)
+    });
+  } catch (err) {
+    alert(err.message);
+    showExploration(); // Back to the values in use
+    return;
+  }
+  if (exploration.strategy === "epsilonGreedy") agent.epsilon = Math.min(1, agent.epsilon); // Back to a probability
+  [agent].concat(gridAgents).forEach(a => {
+    TrafficAgent.setExploration(a, exploration);
+    a.epsilon = agent.epsilon;
+  });
+  showExploration();
+  loggedRate = null;
+  loggedRateAt = -Infinity;
+  logAI(`[SYSTEM] Exploration: ${TrafficAgent.describeExploration(exploration)}`, "normal");
+  saveQ(); // Persist immediately
+}
+
+function showExploration() {
+  const x = agent.exploration;
+  const values = {
+    "setting-explore-strategy": x.strategy,
+    "setting-explore-schedule": x.schedule,
+    "setting-explore-min": x.min,
+    "setting-explore-decay": x.decay,
+    "setting-epsilon": agent.epsilon
+  };
+  Object.keys(values).forEach(id => {
+    const el = document.getElementById(id);
+    if (el) el.value = values[id];
+  });
+}
+
+function formatRate(rate) {
+  return rate >= 10 ? rate.toFixed(1) : rate.toFixed(3);
+}
+
+// Log the effective rate when it has moved 10% since the last entry, at
+// most once a simulated minute (visit-count rates differ from state to state)
+let loggedRate = null;
+let loggedRateAt = -Infinity;
+function logExplorationRate(time) {
+  const rate = agent.lastRate;
+  if (loggedRate !== null && (rate === loggedRate || Math.abs(rate - loggedRate) < 0.1 * loggedRate)) return;
+  if (time - loggedRateAt < 60 && time >= loggedRateAt) return;
+  loggedRate = rate;
+  loggedRateAt = time;
+  logAI(`[EXPLORE] ${TrafficAgent.STRATEGIES[agent.exploration.strategy]} rate ${formatRate(rate)}`, "normal");
+}
+
+// ---------- EPISODIC TRAINING ----------
+const trainingCanvas = document.getElementById("training-canvas");
+const trainingCtx = trainingCanvas ? trainingCanvas.getContext("2d") : null;
+
+// Exploration rate the episode ended with (null when no agent is in charge)
+function currentRate() {
+  if (controlMode === "AI") return (grid ? gridAgents[0] : agent).lastRate;
+  if (controlMode === "DQN") return (grid ? gridApproxAgents[0] : approxAgent).epsilon;
+  return null;
+}
+
+// The model as exported, detached from the live tables
+function checkpointData() {
+  const data = TrafficAgent.serializeAgent(exportedAgent(), totalSessionTime, runMetadata());
+  delete data.TOTAL_SESSION_TIME; // Time already trained stays counted after a rollback
+  delete data.CONTROLLER; // Rolling back the model keeps the control mode
+  delete data.METRICS;
+  return JSON.parse(JSON.stringify(data));
+}
+
+// Summarise the finished episode, checkpoint if due, and start the next one
+function endEpisode() {
+  const summary = TrafficEpisodes.summarizeEpisode(grid ? grid.nodes : env, {
+    controller: controlMode,
+    seed: grid ? grid.seed : env.seed,
+    scenario: demand.scenario.name,
+    epsilon: currentRate()
+  });
+  const learning = controlMode === "AI" || controlMode === "DQN";
+  const checkpoint = TrafficEpisodes.recordEpisode(trainingLog, summary, learning ? checkpointData : null);
+  saveQ();
+  saveTrainingLog();
+
+  // A fixed seed gives every episode its own, reproducible traffic
+  const n = summary.episode;
+  resetEnv({ seed: simSeed ? TrafficRng.deriveSeed(simSeed, `episode-${n + 1}`) : "", keepAgents: true });
+  logAI(`[EPISODE] ${n}: avg/sec ${summary.avgReward.toFixed(2)} | wait ${summary.wait} | delay ${summary.avgDelay.toFixed(1)}s | ` +
+    `amb crossed ${summary.crossed} crashed ${summary.crashed} waited ${summary.waited}` +
+    (summary.epsilon !== null ? ` | explore ${formatRate(summary.epsilon)}` : ""), "normal");
+  if (checkpoint) {
+    const best = checkpoint === TrafficEpisodes.bestCheckpoint(trainingLog);
+    logAI(`[CHECKPOINT] Episode ${n}: ${checkpoint.score.toFixed(2)} avg/sec over the last ${trainingLog.checkpointEvery}${best ? " (best)" : ""}`, "normal");
+  }
+  drawTrainingPanel();
+}
+
+function rollBack(checkpoint) {
+  if (!confirm(`Replace the current model with the checkpoint from episode ${checkpoint.episode} (${checkpoint.score.toFixed(2)} avg/sec)?`)) return;
+  if (!applyModelData(JSON.parse(JSON.stringify(checkpoint.data)))) return; // The checkpoint stays intact
+  logAI(`[CHECKPOINT] Rolled back to episode ${checkpoint.episode}`, "normal");
+  saveQ();
+}
+
+// Kept apart from saveQ: checkpoints are whole models, only written once an episode
+function saveTrainingLog() {
+  try {
+    localStorage.setItem("TRAFFIC_EPISODES", JSON.stringify(trainingLog));
+  } catch (e) {
+    console.warn("Could not save the training log:", e);
+  }
+}
+
+function drawTrainingPanel() {
+  const panel = document.getElementById("training-panel");
+  if (!trainingCtx || !panel || panel.hidden) return;
+  const best = TrafficEpisodes.bestCheckpoint(trainingLog);
+  const span = trainingLog.checkpointEvery;
+  TrafficCharts.drawLearningCurve(trainingCtx, {
+    episodes: trainingLog.episodes,
+    average: TrafficEpisodes.movingAverage(trainingLog.episodes, span),
+    span: span,
+    checkpoints: trainingLog.checkpoints.map(c => ({ episode: c.episode, best: c === best }))
+  });
+
+  document.getElementById("training-status").innerText = trainingLog.episodeLength > 0
+    ? `${trainingLog.episodes.length} episodes of ${formatTime(trainingLog.episodeLength)} · checkpoint every ${span}`
+    : `${trainingLog.episodes.length} episodes · set an episode length to train in episodes`;
+  document.getElementById("trainingBestBtn").disabled = !best;
+
+  const header = `<tr><th>Checkpoint</th><th>Avg / sec (last ${span})</th><th>Saved</th><th></th></tr>`;
+  const rows = trainingLog.checkpoints.slice().reverse().map(c => `
+    <tr class="${c === best ? "best" : ""}">
+      <td>Episode ${c.episode}</td>
+      <td>${c.score.toFixed(2)}</td>
+      <td>${new Date(c.timestamp).toLocaleTimeString()}</td>
+      <td><button class="btn-secondary" data-episode="${c.episode}">Roll back</button></td>
+    </tr>`).join("");
+  document.getElementById("training-table").innerHTML = header + rows;
+}
+
+function initTraining() {
+  const lengthInput = document.getElementById("setting-episode-length");
+  if (!lengthInput) return;
+  const everyInput = document.getElementById("setting-checkpoint-every");
+  lengthInput.value = trainingLog.episodeLength;
+  everyInput.value = trainingLog.checkpointEvery;
+  lengthInput.onchange = function () {
+    trainingLog.episodeLength = Math.max(0, parseInt(this.value) || 0);
+    this.value = trainingLog.episodeLength;
+    console.log(`Episode length set to ${trainingLog.episodeLength || "endless"}`);
+    saveTrainingLog();
+    drawTrainingPanel();
+  };
+  everyInput.onchange = function () {
+    trainingLog.checkpointEvery = Math.max(1, parseInt(this.value) || 1);
+    this.value = trainingLog.checkpointEvery;
+    saveTrainingLog();
+    drawTrainingPanel();
+  };
+
+  document.getElementById("training-table").onclick = e => {
+    const episode = parseInt(e.target.getAttribute("data-episode"));
+    const checkpoint = trainingLog.checkpoints.find(c => c.episode === episode);
+    if (checkpoint) rollBack(checkpoint);
+  };
+  document.getElementById("trainingBestBtn").onclick = () => {
+    const best = TrafficEpisodes.bestCheckpoint(trainingLog);
+    if (best) rollBack(best);
+  };
+  document.getElementById("trainingCsvBtn").onclick = () => {
+    downloadFile(`traffic_episodes_${new Date().getTime()}.csv`, TrafficEpisodes.toCSV(trainingLog), "text/csv");
+  };
+  document.getElementById("trainingJsonBtn").onclick = () => {
+    downloadFile(`traffic_episodes_${new Date().getTime()}.json`, JSON.stringify(TrafficEpisodes.summarizeLog(trainingLog), null, 2), "application/json");
+  };
+  document.getElementById("trainingClearBtn").onclick = () => {
+    if (trainingLog.episodes.length > 0 && !confirm("Delete the episode history and all checkpoints?")) return;
+    trainingLog = TrafficEpisodes.createTrainingLog({ episodeLength: trainingLog.episodeLength, checkpointEvery: trainingLog.checkpointEvery });
+    saveTrainingLog();
+    drawTrainingPanel();
+  };
+  document.getElementById("trainingToggle").addEventListener("click", drawTrainingPanel);
+}
+
+// ---------- Q-TABLE INSPECTOR ----------
+// Shows the table of the agent in charge (intersection 0,0 in a grid);
+// edits and locks apply to that agent only.
+const inspectorCanvas = document.getElementById("inspector-canvas");
+const inspectorCtx = inspectorCanvas ? inspectorCanvas.getContext("2d") : null;
+
+function inspectedAgent() {
+  return grid ? gridAgents[0] : agent;
+}
+
+// Action columns: EXTEND first, then every other action some state has
+function inspectorActions(rows) {
+  const actions = ["EXTEND"];
+  rows.forEach(r => Object.keys(r.values).forEach(a => {
+    if (actions.indexOf(a) < 0) actions.push(a);
+  }));
+  return actions;
+}
+
+function drawInspectorPanel() {
+  const panel = document.getElementById("inspector-panel");
+  if (!panel || panel.hidden) return;
+  // Rebuilding the table would throw away a value being typed
+  const focused = document.activeElement;
+  if (focused && focused.closest && focused.closest("#inspector-table")) return;
+
+  const nodeAgent = inspectedAgent();
+  const current = TrafficAgent.getState(grid ? grid.nodes[0] : env, nodeAgent.observeNeighbours, nodeAgent.encoder);
+  const all = TrafficAgent.inspectTable(nodeAgent);
+  const filter = document.getElementById("inspector-filter").value.trim().toUpperCase();
+  const rows = all.filter(r => !filter || r.state.toUpperCase().indexOf(filter) >= 0);
+  const sort = document.getElementById("inspector-sort").value;
+  if (sort === "visits") rows.sort((a, b) => b.visits - a.visits);
+  if (sort === "updated") rows.sort((a, b) => (b.updated === null ? -Infinity : b.updated) - (a.updated === null ? -Infinity : a.updated));
+  const actions = inspectorActions(rows);
+
+  const unvisited = all.filter(r => r.visits === 0).length;
+  const diverging = all.filter(r => r.diverging).length;
+  const locked = all.filter(r => r.locked).length;
+  document.getElementById("inspector-status").innerText =
+    `${rows.length} of ${all.length} states${grid ? ` · intersection ${grid.nodes[0].id}` : ""} · ` +
+    `${unvisited} unvisited · ${diverging} diverging · ${locked} locked · now ${current}${nodeAgent.Q[current] ? "" : " (new)"}`;
+
+  const table = document.getElementById("inspector-table");
+  const heatmap = document.getElementById("inspector-view").value === "heatmap";
+  table.hidden = heatmap;
+  inspectorCanvas.hidden = !heatmap;
+  if (heatmap) {
+    TrafficCharts.drawQHeatmap(inspectorCtx, rows, { actions: actions, current: current });
+    return;
+  }
+
+  const age = r => (r.updated === null ? "never" : `${formatTime(Math.round(nodeAgent.explorationTime - r.updated))} ago`);
+  const header = `<tr><th>State</th>${actions.map(a => `<th>${a}</th>`).join("")}<th>Greedy</th><th>Visits</th><th>Last update</th><th>Lock</th></tr>`;
+  const body = rows.map(r => `
+    <tr class="${r.state === current ? "current" : ""} ${r.diverging ? "diverging" : ""}">
+      <td>${r.state}</td>
+      ${actions.map(a => (a in r.values
+        ? `<td><input type="number" step="any" data-state="${r.state}" data-action="${a}" value="${r.values[a].toFixed(2)}"></td>`
+        : "<td>-</td>")).join("")}
+      <td>${r.greedy}</td>
+      <td>${r.visits}</td>
+      <td>${age(r)}</td>
+      <td><select data-lock="${r.state}">
+        <option value="">-</option>
+        ${Object.keys(r.values).map(a => `<option value="${a}"${r.locked === a ? " selected" : ""}>${a}</option>`).join("")}
+      </select></td>
+    </tr>`).join("");
+  table.innerHTML = header + body;
+}
+
+function initInspector() {
+  const table = document.getElementById("inspector-table");
+  if (!table) return;
+  table.onchange = e => {
+    const target = e.target;
+    const nodeAgent = inspectedAgent();
+    try {
+      if (target.getAttribute("data-lock") !== null) {
+        const state = target.getAttribute("data-lock");
+        TrafficAgent.lockAction(nodeAgent, state, target.value);
+        logAI(`[INSPECT] ${state}: ${target.value ? `locked to ${target.value}` : "unlocked"}`, "normal");
+      } else if (target.getAttribute("data-action") !== null) {
+        const state = target.getAttribute("data-state");
+        const action = target.getAttribute("data-action");
+        TrafficAgent.setQValue(nodeAgent, state, action, parseFloat(target.value));
+        logAI(`[INSPECT] ${state}: Q(${action}) set to ${parseFloat(target.value)}`, "normal");
+        saveQ();
+      }
+    } catch (err) {
+      alert(err.message);
+    }
+    target.blur();
+    drawInspectorPanel();
+  };
+  document.getElementById("inspectorUnlockBtn").onclick = () => {
+    inspectedAgent().locks = {};
+    drawInspectorPanel();
+  };
+  ["inspector-view", "inspector-sort"].forEach(id => {
+    document.getElementById(id).onchange = drawInspectorPanel;
+  });
+  document.getElementById("inspector-filter").oninput = drawInspectorPanel;
+  document.getElementById("inspectorToggle").addEventListener("click", drawInspectorPanel);
+}
+
+// ---------- STATE ENCODER ----------
+// Every agent (grid copies included) uses the same encoder
+function setEncoder(encoder) {
+  [agent].concat(gridAgents).forEach(a => {
+    a.encoder = encoder;
+    TrafficAgent.resetAgent(a);
+  });
+  showEncoder();
+}
+
+// Apply a definition from the editor / a config file. Keys change, so the table starts empty.
+function applyEncoder(def) {
+  const encoder = TrafficEncoder.validateEncoder(def);
+  if (TrafficEncoder.sameEncoder(encoder, agent.encoder)) return;
+  if (Object.keys(agent.Q).length > 0 &&
+    !confirm("A new state encoder needs a new, empty Q-table. Export the current one first if you want to keep it.\n\nContinue?")) {
+    showEncoder();
+    return;
+  }
+  setEncoder(encoder);
+  [agent].concat(gridAgents).forEach(a => {
+    a.Q = {};
+    a.Q2 = {};
+    a.updated = {};
+    a.locks = {};
+  });
+  saveQ();
+  logAI(`[SYSTEM] State encoder: ${TrafficEncoder.describe(encoder)}`, "normal");
+}
+
+function showEncoder() {
+  const text = document.getElementById("encoder-config");
+  const preset = document.getElementById("encoder-preset");
+  const status = document.getElementById("encoder-status");
+  if (!text) return;
+  text.value = JSON.stringify(agent.encoder, null, 1);
+  const match = Object.keys(TrafficEncoder.PRESETS).find(p => TrafficEncoder.sameEncoder(TrafficEncoder.PRESETS[p], agent.encoder));
+  preset.value = match || "custom";
+  const count = TrafficEncoder.stateCount(agent.encoder, { turning: turningEnabled, observeNeighbours: observeNeighbours && !!grid });
+  status.innerText = `Up to ${count} states`;
+}
+
+function initEncoder() {
+  const text = document.getElementById("encoder-config");
+  if (!text) return;
+  const fail = err => {
+    document.getElementById("encoder-status").innerText = err.message;
+  };
+
+  document.getElementById("encoder-preset").onchange = function () {
+    if (this.value === "custom") return;
+    text.value = JSON.stringify(TrafficEncoder.PRESETS[this.value], null, 1);
+  };
+  document.getElementById("encoderApplyBtn").onclick = () => {
+    try {
+      applyEncoder(JSON.parse(text.value));
+    } catch (err) {
+      fail(err);
+    }
+  };
+
+  const fileInput = document.getElementById("encoderFileInput");
+  document.getElementById("encoderLoadBtn").onclick = () => fileInput.click();
+  fileInput.onchange = function () {
+    const file = this.files[0];
+    if (!file) return;
+    const reader = new FileReader();
+    reader.onload = e => {
+      try {
+        applyEncoder(JSON.parse(e.target.result));
+      } catch (err) {
+        fail(err);
+      }
+    };
+    reader.readAsText(file);
+    this.value = "";
+  };
+  showEncoder();
+}
+
+// ---------- DEMAND SCENARIO ----------
+// Curves and events follow the scenario's clock, so a new scenario restarts
+// the run at its start time.
+let demandSamples = null; // Curves of the current scenario, for the panel chart
+
+function applyDemand(def) {
+  demand = TrafficDemand.createProfile(def);
+  resetEnv();
+  saveQ();
+  showDemand();
+  logAI(`[SYSTEM] Demand scenario: ${TrafficDemand.describe(demand.scenario)}`, "normal");
+}
+
+// Scripted events starting or ending in second `time` of the run
+function logScenarioChanges(time) {
+  TrafficDemand.changesAt(demand.scenario, time).forEach(c => {
+    logAI(`[SCENARIO] ${TrafficDemand.describeEvent(c.event)} ${c.started ? "started" : "ended"}`, c.started ? "alert" : "normal");
+  });
+}
+
+function showDemand() {
+  const text = document.getElementById("demand-config");
+  if (!text) return;
+  text.value = JSON.stringify(TrafficDemand.toDefinition(demand.scenario), null, 1);
+  const match = Object.keys(TrafficDemand.PRESETS).find(p => TrafficDemand.sameScenario(TrafficDemand.PRESETS[p], demand.scenario));
+  document.getElementById("demand-preset").value = match || "custom";
+  demandSamples = TrafficDemand.sampleProfile(demand.scenario);
+  drawDemandPanel();
+}
+
+// Chart with the current time and the status line, every second
+function drawDemandPanel() {
+  const canvas = document.getElementById("demand-canvas");
+  if (!canvas || !demandSamples) return;
+  const scenario = demand.scenario;
+  const time = grid ? grid.time : env.time;
+  TrafficCharts.drawDemandProfile(canvas.getContext("2d"), demandSamples, {
+    period: scenario.period,
+    now: time,
+    clock: t => TrafficDemand.formatClock(TrafficDemand.clockTime(scenario, t))
+  });
+  const active = TrafficDemand.activeEvents(scenario, time).map(TrafficDemand.describeEvent);
+  document.getElementById("demand-status").innerText = `${TrafficDemand.describe(scenario)} · now ` +
+    TrafficDemand.formatClock(TrafficDemand.clockTime(scenario, time)) + (active.length ? ` · ${active.join(", ")}` : "");
+}
+
+function initDemand() {
+  const text = document.getElementById("demand-config");
+  if (!text) return;
+  const fail = err => {
+    document.getElementById("demand-status").innerText = err.message;
+  };
+
+  document.getElementById("demand-preset").onchange = function () {
+    if (this.value === "custom") return;
+    text.value = JSON.stringify(TrafficDemand.PRESETS[this.value], null, 1);
+  };
+  document.getElementById("demandApplyBtn").onclick = () => {
+    try {
+      applyDemand(JSON.parse(text.value));
+    } catch (err) {
+      fail(err);
+    }
+  };
+
+  const fileInput = document.getElementById("demandFileInput");
+  document.getElementById("demandLoadBtn").onclick = () => fileInput.click();
+  fileInput.onchange = function () {
+    const file = this.files[0];
+    if (!file) return;
+    const reader = new FileReader();
+    reader.onload = e => {
+      try {
+        applyDemand(JSON.parse(e.target.result));
+      } catch (err) {
+        fail(err);
+      }
+    };
+    reader.readAsText(file);
+    this.value = "";
+  };
+  // The first run started before loadQ() restored the saved scenario
+  if (env.demand !== demand) resetEnv();
+  showDemand();
+}
+
+// ---------- ARRIVAL TRACES ----------
+// A loaded trace replaces the demand model for every reset (and episode)
+// until it is stopped. Live arrivals are always recorded (the latest
+// TrafficSim.RECORD_LIMIT), so any session can be exported and loaded back as a trace.
+function playbackTrace(seed) {
+  if (!arrivalTrace) return null;
+  return TrafficTraces.transformTrace(arrivalTrace, { speed: tracePlayback.speed, scale: tracePlayback.scale, seed: seed });
+}
+
+function traceMetadata() {
+  if (!arrivalTrace) return null;
+  return Object.assign({ name: arrivalTrace.name, arrivals: arrivalTrace.events.length }, tracePlayback);
+}
+
+function logTraceEnd(time) {
+  if (!env.traceLoop && time === env.trace.duration) {
+    logAI(`[TRACE] ${arrivalTrace.name} finished, no more arrivals`, "alert");
+  }
+}
+
+function applyTrace(trace) {
+  arrivalTrace = trace;
+  resetEnv();
+  showTrace();
+  if (trace) logAI(`[SYSTEM] Replaying ${trace.name}: ${TrafficTraces.describeTrace(trace)}`, "normal");
+  else logAI("[SYSTEM] Trace stopped, arrivals follow the demand scenario", "normal");
+}
+
+function showTrace() {
+  const status = document.getElementById("trace-status");
+  if (!status) return;
+  status.innerText = arrivalTrace
+    ? `${arrivalTrace.name}: ${TrafficTraces.describeTrace(arrivalTrace)}`
+    : "No trace loaded (recording live arrivals)";
+}
+
+function exportTrace(format) {
+  const nodes = grid ? grid.nodes : [env];
+  const trace = TrafficTraces.recordedTrace(nodes, grid ? grid.time : env.time);
+  const runSeed = grid ? grid.seed : env.seed;
+  if (format === "csv") downloadFile(`arrivals-${runSeed}.csv`, TrafficTraces.toCSV(trace), "text/csv");
+  else downloadFile(`arrivals-${runSeed}.json`, TrafficTraces.toJSON(trace), "application/json");
+}
+
+function initTraces() {
+  if (!document.getElementById("trace-status")) return;
+  const fail = err => {
+    document.getElementById("trace-status").innerText = err.message;
+  };
+  const playbackSetting = (id, key, parse) => {
+    document.getElementById(id).onchange = function () {
+      const value = parse(this.value);
+      if (value === null) return fail(new Error(`Invalid ${key}: ${this.value}`));
+      tracePlayback[key] = value;
+      if (arrivalTrace) resetEnv(); // Replay from the start with the new settings
+      showTrace();
+    };
+  };
+  playbackSetting("trace-loop", "loop", v => v === "on");
+  playbackSetting("trace-speed", "speed", v => (Number(v) > 0 ? Number(v) : null));
+  playbackSetting("trace-scale", "scale", v => (v !== "" && Number(v) >= 0 ? Number(v) : null));
+
+  const fileInput = document.getElementById("traceFileInput");
+  document.getElementById("traceLoadBtn").onclick = () => fileInput.click();
+  fileInput.onchange = function () {
+    const file = this.files[0];
+    if (!file) return;
+    const reader = new FileReader();
+    reader.onload = e => {
+      try {
+        applyTrace(Object.assign(TrafficTraces.parseTrace(e.target.result), { name: file.name }));
+      } catch (err) {
+        fail(err);
+      }
+    };
+    reader.readAsText(file);
+    this.value = "";
+  };
+  document.getElementById("traceStopBtn").onclick = () => {
+    if (arrivalTrace) applyTrace(null);
+  };
+  document.getElementById("traceCsvBtn").onclick = () => exportTrace("csv");
+  document.getElementById("traceJsonBtn").onclick = () => exportTrace("json");
+  showTrace();
+}
+
+// ---------- EMERGENCY PRE-EMPTION ----------
+// Detection distance applies to emergencies detected from now on; the
+// pre-emption toggle and horizon apply from the next tick, no reset needed.
+function emergencyMetadata() {
+  return {
+    detection: TrafficSim.DETECTION.DISTANCE,
+    preemption: preemptionEnabled ? Object.assign({ enabled: true }, TrafficControllers.PREEMPTION) : null
+  };
+}
+
+function setPreemption(enabled) {
+  preemptionEnabled = enabled;
+  (grid ? grid.nodes : [env]).forEach(node => { node.preemption = enabled; });
+  logAI(`[SYSTEM] Emergency pre-emption ${enabled ? `on (${TrafficControllers.PREEMPTION.HORIZON}s ahead)` : "off"}`, "normal");
+}
+
+// ETA per type at the detection distance, e.g. "🚑 8.0s · 🚒 10.0s · 🚓 6.7s"
+function showDetection() {
+  const status = document.getElementById("emergency-status");
+  if (!status) return;
+  const types = TrafficSim.EMERGENCY_TYPES;
+  document.getElementById("emergency-detection").value = TrafficSim.DETECTION.DISTANCE;
+  status.innerText = "ETA on detection: " + Object.keys(types)
+    .map(type => `${types[type].icon} ${(TrafficSim.DETECTION.DISTANCE / types[type].speed).toFixed(1)}s`).join(" · ");
+}
+
+function initPreemption() {
+  const detectionInput = document.getElementById("emergency-detection");
+  const preemptionInput = document.getElementById("emergency-preemption");
+  const horizonInput = document.getElementById("emergency-horizon");
+  if (!detectionInput || !preemptionInput || !horizonInput) return;
+
+  detectionInput.value = TrafficSim.DETECTION.DISTANCE;
+  detectionInput.onchange = function () {
+    TrafficSim.DETECTION.DISTANCE = Math.max(0, parseFloat(this.value) || 0);
+    this.value = TrafficSim.DETECTION.DISTANCE;
+    showDetection();
+    saveQ();
+  };
+  preemptionInput.value = preemptionEnabled ? "on" : "off";
+  preemptionInput.onchange = function () {
+    setPreemption(this.value === "on");
+    saveQ();
+  };
+  horizonInput.value = TrafficControllers.PREEMPTION.HORIZON;
+  horizonInput.onchange = function () {
+    TrafficControllers.PREEMPTION.HORIZON = Math.max(0, parseFloat(this.value) || 0);
+    this.value = TrafficControllers.PREEMPTION.HORIZON;
+    saveQ();
+  };
+  // The first run started before loadQ() restored the toggle
+  (grid ? grid.nodes : [env]).forEach(node => { node.preemption = preemptionEnabled; });
+  showDetection();
+}
+
+// ---------- SESSION REPLAY ----------
+// The live run waits while a recording is on the canvas. Replay only reads
+// frames, so the Q-tables and the run carry on unchanged afterwards.
+function startReplay(rec) {
+  if (TrafficRecorder.frameCount(rec) === 0) return;
+  replay = { recording: rec, index: 0, playing: false, cache: new Map(), view: null };
+  seekReplay(TrafficRecorder.frameCount(rec) - 1); // Start at the latest tick
+  showReplay();
+  logAI(`[SYSTEM] Replaying ${TrafficRecorder.frameCount(rec)} recorded ticks (live run paused)`, "normal");
+}
+
+function stopReplay() {
+  if (!replay) return;
+  replay = null;
+  snapshotVehicles();
+  lastTickAt = Date.now();
+  showReplay();
+  logAI("[SYSTEM] Back to the live run", "normal");
+}
+
+// Jump to frame `index` without animating there
+function seekReplay(index) {
+  replay.index = Math.max(0, Math.min(TrafficRecorder.frameCount(replay.recording) - 1, index));
+  replay.view = TrafficRecorder.frameView(TrafficRecorder.frameAt(replay.recording, replay.index), replay.recording.turning, replay.cache);
+  snapshotVehicles();
+  showReplay();
+}
+
+// Animate `count` frames forward (a batch, like the live ticks)
+function advanceReplay(count) {
+  const last = TrafficRecorder.frameCount(replay.recording) - 1;
+  snapshotVehicles();
+  replay.index = Math.min(last, replay.index + count);
+  replay.view = TrafficRecorder.frameView(TrafficRecorder.frameAt(replay.recording, replay.index), replay.recording.turning, replay.cache);
+  lastTickAt = Date.now();
+  if (replay.index === last) replay.playing = false;
+  showReplay();
+}
+
+function showReplay() {
+  const status = document.getElementById("replay-status");
+  if (!status) return;
+  const seek = document.getElementById("replay-seek");
+  const live = recording ? TrafficRecorder.frameCount(recording) : 0;
+  document.getElementById("replayBtn").innerText = replay ? "Back to live" : "Replay";
+  document.getElementById("replayBtn").disabled = !replay && live === 0;
+  ["replayBackBtn", "replayPlayBtn", "replayStepBtn"].forEach(id => {
+    document.getElementById(id).disabled = !replay;
+  });
+  document.getElementById("replaySaveBtn").disabled = !replay && live === 0;
+  seek.disabled = !replay;
+  if (!replay) {
+    status.innerText = recording
+      ? `Recording the last ${recording.capacity} ticks (${live} so far)`
+      : "Grid runs are not recorded";
+    document.getElementById("replay-frame").innerText = "";
+    return;
+  }
+  const count = TrafficRecorder.frameCount(replay.recording);
+  seek.max = count - 1;
+  seek.value = replay.index;
+  document.getElementById("replayPlayBtn").innerText = replay.playing ? "⏸ Pause" : "▶ Play";
+  status.innerText = `Tick ${replay.index + 1} / ${count}${replay.recording.dropped ? ` (${replay.recording.dropped} older ticks dropped)` : ""}`;
+  document.getElementById("replay-frame").innerText =
+    TrafficRecorder.describeFrame(TrafficRecorder.frameAt(replay.recording, replay.index));
+}
+
+function initReplay() {
+  if (!document.getElementById("replay-status")) return;
+  document.getElementById("replayBtn").onclick = () => {
+    if (replay) stopReplay();
+    else if (recording) startReplay(recording);
+  };
+  document.getElementById("replayPlayBtn").onclick = () => {
+    replay.playing = !replay.playing;
+    if (replay.playing && replay.index === TrafficRecorder.frameCount(replay.recording) - 1) seekReplay(0);
+    showReplay();
+  };
+  document.getElementById("replayBackBtn").onclick = () => {
+    replay.playing = false;
+    seekReplay(replay.index - 1);
+  };
+  document.getElementById("replayStepBtn").onclick = () => {
+    replay.playing = false;
+    advanceReplay(1);
+  };
+  document.getElementById("replay-seek").oninput = function () {
+    replay.playing = false;
+    seekReplay(Number(this.value));
+  };
+  document.getElementById("replaySaveBtn").onclick = () => {
+    const rec = replay ? replay.recording : recording;
+    downloadFile(`recording-${rec.seed}.json`, TrafficRecorder.serializeRecording(rec), "application/json");
+  };
+
+  const fileInput = document.getElementById("replayFileInput");
+  document.getElementById("replayLoadBtn").onclick = () => fileInput.click();
+  fileInput.onchange = function () {
+    const file = this.files[0];
+    if (!file) return;
+    const reader = new FileReader();
+    reader.onload = e => {
+      try {
+        replay = null;
+        startReplay(TrafficRecorder.parseRecording(e.target.result));
+      } catch (err) {
+        document.getElementById("replay-status").innerText = err.message;
+      }
+    };
+    reader.readAsText(file);
+    this.value = "";
+  };
+  showReplay();
+}
+
 // Start Loops
 // Load saved data before UI initialization
 loadQ();
 initSettings();
+initBenchmark();
+initCharts();
+initControlModes();
+initEncoder();
+initDemand();
+initTraces();
+initPreemption();
+initReplay();
+initTraining();
+initInspector();
+initEventLog();
 
 // Logic loop runs every 1s, but steps 'simSpeed' times
 setInterval(() => {
-  if (!isPaused) {
+  if (replay) {
+    if (replay.playing) advanceReplay(simSpeed);
+  } else if (!isPaused) {
+    snapshotVehicles(); // Animate from here to where this batch of ticks ends
     for (let i = 0; i < simSpeed; i++) {
-      step();
+      tick();
     }
+    drawChartsPanel();
+    drawDecisionsPanel();
+    drawInspectorPanel();
+    drawDemandPanel();
+    showReplay();
   }
 }, 1000);
 
@@ -0,0 +1,131 @@
+// ---------- TRAFFIC METRICS ----------
+// Per-vehicle delay statistics from the raw totals sim.js collects
+// (env.vehicleStats): average / 95th-percentile delay per approach, level of
+// service, stops per vehicle, throughput and emergency response times (per
+// vehicle type and pooled).
+(function (root, factory) {
+  if (typeof module === "object" && module.exports) {
+    module.exports = factory();
+  } else {
+    root.TrafficMetrics = factory();
+  }
+})(this, function () {
+
+  // Signalised-intersection level of service by average control delay (HCM)
+  const LOS_LIMITS = [
+    [10, "A"],
+    [20, "B"],
+    [35, "C"],
+    [55, "D"],
+    [80, "E"]
+  ];
+
+  function levelOfService(delay) {
+    for (const [limit, grade] of LOS_LIMITS) {
+      if (delay <= limit) return grade;
+    }
+    return "F";
+  }
+
+  // p-th percentile of 1-second delay bins
+  function percentile(bins, count, p) {
+    if (count === 0) return 0;
+    const rank = Math.ceil(p * count);
+    let seen = 0;
+    for (let i = 0; i < bins.length; i++) {
+      seen += bins[i] || 0;
+      if (seen >= rank) return i;
+    }
+    return bins.length - 1;
+  }
+
+  function approachSummary(stats) {
+    const avgDelay = stats.vehicles > 0 ? stats.delay / stats.vehicles : 0;
+    return {
+      vehicles: stats.vehicles,
+      avgDelay: avgDelay,
+      p95Delay: percentile(stats.delayBins, stats.vehicles, 0.95),
+      los: levelOfService(avgDelay),
+      stopsPerVehicle: stats.vehicles > 0 ? stats.stops / stats.vehicles : 0,
+      maxQueue: stats.maxQueue
+    };
+  }
+
+  function responseSummary(em) {
+    return {
+      count: em.count,
+      avgResponse: em.count > 0 ? em.response / em.count : 0,
+      maxResponse: em.maxResponse,
+      avgDelay: em.count > 0 ? em.delay / em.count : 0
+    };
+  }
+
+  function addResponse(dst, src) {
+    dst.count += src.count;
+    dst.response += src.response;
+    dst.maxResponse = Math.max(dst.maxResponse, src.maxResponse);
+    dst.delay += src.delay;
+  }
+
+  // Adds the raw stats of several environments (grid nodes) together
+  function mergeStats(envs) {
+    const merged = { lanes: {}, emergencies: {} };
+    envs.forEach(env => {
+      const stats = env.vehicleStats;
+      Object.keys(stats.lanes).forEach(lane => {
+        const src = stats.lanes[lane];
+        const dst = merged.lanes[lane] = merged.lanes[lane] || { vehicles: 0, delay: 0, stops: 0, maxQueue: 0, delayBins: [] };
+        dst.vehicles += src.vehicles;
+        dst.delay += src.delay;
+        dst.stops += src.stops;
+        dst.maxQueue = Math.max(dst.maxQueue, src.maxQueue);
+        src.delayBins.forEach((n, i) => { dst.delayBins[i] = (dst.delayBins[i] || 0) + (n || 0); });
+      });
+      Object.keys(stats.emergencies).forEach(type => {
+        const dst = merged.emergencies[type] = merged.emergencies[type] || { count: 0, response: 0, maxResponse: 0, delay: 0 };
+        addResponse(dst, stats.emergencies[type]);
+      });
+    });
+    return merged;
+  }
+
+  // One environment or an array of them (grid nodes, pooled per approach)
+  function summarize(envs) {
+    const list = Array.isArray(envs) ? envs : [envs];
+    const stats = mergeStats(list);
+    const time = list[0] ? list[0].time : 0;
+    const throughput = list.reduce((a, env) => a + env.throughput, 0);
+
+    const approaches = {};
+    const all = { vehicles: 0, delay: 0, stops: 0, maxQueue: 0, delayBins: [] };
+    Object.keys(stats.lanes).forEach(lane => {
+      const s = stats.lanes[lane];
+      approaches[lane] = approachSummary(s);
+      all.vehicles += s.vehicles;
+      all.delay += s.delay;
+      all.stops += s.stops;
+      all.maxQueue = Math.max(all.maxQueue, s.maxQueue);
+      s.delayBins.forEach((n, i) => { all.delayBins[i] = (all.delayBins[i] || 0) + (n || 0); });
+    });
+
+    const emergencies = {};
+    const pooled = { count: 0, response: 0, maxResponse: 0, delay: 0 };
+    Object.keys(stats.emergencies).forEach(type => {
+      emergencies[type] = responseSummary(stats.emergencies[type]);
+      addResponse(pooled, stats.emergencies[type]);
+    });
+    return Object.assign(approachSummary(all), {
+      time: time,
+      throughputPerHour: time > 0 ? throughput / time * 3600 : 0,
+      approaches: approaches,
+      emergency: responseSummary(pooled), // Every emergency type
+      emergencies: emergencies // Per type
+    });
+  }
+
+  return {
+    LOS_LIMITS,
+    levelOfService,
+    summarize
+  };
+});
@@ -0,0 +1,176 @@
+// ---------- SESSION RECORDER ----------
+// Compact per-tick snapshots of a single intersection (signals, queues,
+// vehicles, emergency, decision, reward) in a ring buffer, so an odd moment
+// can be scrubbed back to and replayed on the canvas. Replaying only reads
+// frames; nothing here touches an agent.
+(function (root, factory) {
+  if (typeof module === "object" && module.exports) {
+    module.exports = factory(require("./sim.js"));
+  } else {
+    root.TrafficRecorder = factory(root.TrafficSim);
+  }
+})(this, function (TrafficSim) {
+
+  const VERSION = 1;
+  const DEFAULT_CAPACITY = 3600; // Ticks kept; the oldest are overwritten (counted in dropped)
+  const KINDS = ["car"].concat(Object.keys(TrafficSim.EMERGENCY_TYPES));
+  const MOVES = ["straight", "left", "right"];
+  const CHAINS = ["vehicles", "leftVehicles", "crossing"];
+
+  // Signal of a lane as bits: green 1, yellow 2, left green 4, left yellow 8
+  function signalBits(l) {
+    return (l.green ? 1 : 0) | (l.yellow ? 2 : 0) | (l.leftGreen ? 4 : 0) | (l.leftYellow ? 8 : 0);
+  }
+
+  // options: { capacity, seed, turning }
+  function createRecording(options = {}) {
+    return {
+      capacity: Math.max(1, options.capacity || DEFAULT_CAPACITY),
+      seed: options.seed || null,
+      turning: !!options.turning,
+      frames: [],
+      head: 0, // Index of the oldest frame once the buffer is full
+      dropped: 0
+    };
+  }
+
+  // Snapshot of env after a tick. decision: the decision event of that tick
+  // (controllers.js decisionEvent), if any.
+  function captureFrame(env, decision) {
+    const vehicles = [];
+    const add = (v, chain) => {
+      vehicles.push([v.id, KINDS.indexOf(v.kind), TrafficSim.LANES.indexOf(v.lane), MOVES.indexOf(v.move),
+        Math.round(v.s * 100) / 100, chain, v.crashed ? 1 : 0]);
+    };
+    TrafficSim.LANES.forEach(lane => {
+      env.lanes[lane].vehicles.forEach(v => add(v, 0));
+      env.lanes[lane].leftVehicles.forEach(v => add(v, 1));
+    });
+    env.crossing.forEach(v => add(v, 2));
+
+    const crash = env.lastCrash;
+    return {
+      time: env.time,
+      phase: env.currentPhase,
+      transition: env.transition ? { to: env.transition.to, stage: env.transition.stage } : null,
+      lanes: TrafficSim.LANES.map(lane => [env.lanes[lane].queue, env.lanes[lane].leftQueue, signalBits(env.lanes[lane])]),
+      vehicles: vehicles,
+      emergencies: env.emergencies.map(e => ({
+        type: e.type, lane: e.lane, didWait: e.didWait,
+        crossed: e.vehicle !== null && e.vehicle.crossedAt !== null,
+        eta: Math.round(TrafficSim.emergencyETA(e) * 10) / 10
+      })),
+      action: decision ? decision.action : null,
+      target: decision ? decision.target : null,
+      state: decision && decision.state ? decision.state : null,
+      rewards: Object.assign({}, env.stepRewards),
+      reward: env.cumulativeReward,
+      crash: crash && env.time - crash.time <= 3 ? { time: crash.time, x: crash.x, y: crash.y } : null
+    };
+  }
+
+  function recordFrame(rec, frame) {
+    if (rec.frames.length < rec.capacity) {
+      rec.frames.push(frame);
+    } else {
+      rec.frames[rec.head] = frame;
+      rec.head = (rec.head + 1) % rec.capacity;
+      rec.dropped++;
+    }
+    return frame;
+  }
+
+  function frameCount(rec) {
+    return rec.frames.length;
+  }
+
+  // i-th frame, oldest first
+  function frameAt(rec, i) {
+    return rec.frames[(rec.head + i) % rec.frames.length];
+  }
+
+  // Env-like object the canvas renderer can draw (lanes, crossing, lastCrash).
+  // cache (id -> vehicle) keeps the same objects from frame to frame so the
+  // renderer can interpolate and keep car colours.
+  function frameView(frame, turning, cache) {
+    const lanes = {};
+    TrafficSim.LANES.forEach((lane, i) => {
+      const [queue, leftQueue, bits] = frame.lanes[i];
+      lanes[lane] = {
+        queue: queue,
+        leftQueue: leftQueue,
+        green: !!(bits & 1),
+        yellow: !!(bits & 2),
+        leftGreen: !!(bits & 4),
+        leftYellow: !!(bits & 8),
+        vehicles: [],
+        leftVehicles: []
+      };
+    });
+    const crossing = [];
+    const seen = new Map();
+    frame.vehicles.forEach(([id, kind, lane, move, s, chain, crashed]) => {
+      const v = cache.get(id) || { id: id, kind: KINDS[kind], lane: TrafficSim.LANES[lane], move: MOVES[move], startS: s };
+      v.s = s;
+      v.crashed = !!crashed;
+      seen.set(id, v);
+      if (CHAINS[chain] === "crossing") crossing.push(v);
+      else lanes[v.lane][CHAINS[chain]].push(v);
+    });
+    cache.clear();
+    seen.forEach((v, id) => cache.set(id, v));
+    return {
+      time: frame.time,
+      turning: turning,
+      currentPhase: frame.phase,
+      transition: frame.transition,
+      lanes: lanes,
+      crossing: crossing,
+      lastCrash: frame.crash
+    };
+  }
+
+  // One line for the replay panel
+  function describeFrame(frame) {
+    const queues = TrafficSim.LANES.map((lane, i) => lane[0].toUpperCase() + (frame.lanes[i][0] + frame.lanes[i][1])).join(" ");
+    const parts = [`t=${frame.time}s`, frame.transition ? `${frame.transition.stage} → ${frame.transition.to}` : frame.phase, `queues ${queues}`];
+    frame.emergencies.forEach(e => {
+      const status = e.crossed ? " (crossed)" : e.didWait ? " (waited)" : e.eta !== undefined ? ` (ETA ${e.eta}s)` : "";
+      parts.push(`${TrafficSim.EMERGENCY_TYPES[e.type].icon} ${e.lane}${status}`);
+    });
+    if (frame.action) parts.push(`${frame.action === "EXTEND" ? "EXTEND" : "→"} ${frame.target}${frame.state ? ` in ${frame.state}` : ""}`);
+    const tickReward = Object.values(frame.rewards).reduce((a, b) => a + b, 0);
+    parts.push(`reward ${tickReward >= 0 ? "+" : ""}${tickReward.toFixed(1)} (total ${frame.reward.toFixed(0)})`);
+    return parts.join(" · ");
+  }
+
+  // ---------- FILES ----------
+  function serializeRecording(rec) {
+    const frames = [];
+    for (let i = 0; i < frameCount(rec); i++) frames.push(frameAt(rec, i));
+    return JSON.stringify({ version: VERSION, seed: rec.seed, turning: rec.turning, capacity: rec.capacity, dropped: rec.dropped, frames: frames });
+  }
+
+  function parseRecording(text) {
+    const data = JSON.parse(text);
+    if (data.version !== VERSION || !Array.isArray(data.frames)) throw new Error("Not a session recording");
+    if (data.frames.length === 0) throw new Error("Recording has no frames");
+    const rec = createRecording({ capacity: Math.max(data.capacity || 0, data.frames.length), seed: data.seed, turning: data.turning });
+    rec.frames = data.frames;
+    rec.dropped = data.dropped || 0;
+    return rec;
+  }
+
+  return {
+    DEFAULT_CAPACITY,
+    createRecording,
+    captureFrame,
+    recordFrame,
+    frameCount,
+    frameAt,
+    frameView,
+    describeFrame,
+    serializeRecording,
+    parseRecording
+  };
+});
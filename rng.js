@@ -0,0 +1,53 @@
+// ---------- SEEDABLE RANDOM NUMBERS ----------
+// Small deterministic PRNG so a seed replays the exact same traffic.
+(function (root, factory) {
+  if (typeof module === "object" && module.exports) {
+    module.exports = factory();
+  } else {
+    root.TrafficRng = factory();
+  }
+})(this, function () {
+
+  // Hash any seed (number or string) into a 32-bit integer
+  function hashSeed(seed) {
+    const str = String(seed);
+    let h = 1779033703 ^ str.length;
+    for (let i = 0; i < str.length; i++) {
+      h = Math.imul(h ^ str.charCodeAt(i), 3432918353);
+      h = (h << 13) | (h >>> 19);
+    }
+    h = Math.imul(h ^ (h >>> 16), 2246822507);
+    h = Math.imul(h ^ (h >>> 13), 3266489909);
+    return (h ^ (h >>> 16)) >>> 0;
+  }
+
+  // Mulberry32: returns a function producing floats in [0, 1), like Math.random
+  function createRng(seed) {
+    let a = hashSeed(seed);
+    const rng = function () {
+      a = (a + 0x6D2B79F5) | 0;
+      let t = Math.imul(a ^ (a >>> 15), 1 | a);
+      t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+      return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+    rng.seed = seed;
+    return rng;
+  }
+
+  // Independent sub-stream of a seed (e.g. "arrivals", "agent")
+  function deriveSeed(seed, label) {
+    return `${seed}:${label}`;
+  }
+
+  // Fresh seed for unseeded sessions (still recorded so the run can be replayed)
+  function randomSeed() {
+    return String(Math.floor(Math.random() * 1e9));
+  }
+
+  return {
+    hashSeed,
+    createRng,
+    deriveSeed,
+    randomSeed
+  };
+});
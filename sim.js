@@ -0,0 +1,998 @@
+// ---------- TRAFFIC ENVIRONMENT (Logic only, no DOM) ----------
+// Shared by the browser page (main.js) and the headless trainer (train.js).
+(function (root, factory) {
+  if (typeof module === "object" && module.exports) {
+    module.exports = factory(require("./rng.js"));
+  } else {
+    root.TrafficSim = factory(root.TrafficRng);
+  }
+})(this, function (TrafficRng) {
+
+  const LANES = ["north", "south", "east", "west"];
+
+  // Valid traffic phases: which approaches get a through (straight + right)
+  // green and which get a protected left-turn green
+  const PHASES = {
+    NS: { through: ["north", "south"], left: [] },
+    EW: { through: ["east", "west"], left: [] },
+    NS_LEFT: { through: [], left: ["north", "south"] },
+    EW_LEFT: { through: [], left: ["east", "west"] }
+  };
+
+  // Phase order: classic two-phase plan, or leading protected lefts when turning is on
+  const CLASSIC_CYCLE = ["NS", "EW"];
+  const TURNING_CYCLE = ["NS_LEFT", "NS", "EW_LEFT", "EW"];
+
+  // Share of arrivals per movement on each approach (used when turning is on)
+  const TURN_RATIOS = {
+    north: { left: 0.2, straight: 0.6, right: 0.2 },
+    south: { left: 0.2, straight: 0.6, right: 0.2 },
+    east: { left: 0.2, straight: 0.6, right: 0.2 },
+    west: { left: 0.2, straight: 0.6, right: 0.2 }
+  };
+
+  // Approach a turning car continues on (lanes are named by the side cars come from)
+  const TURN_EXIT = {
+    north: { left: "west", right: "east" },
+    south: { left: "east", right: "west" },
+    east: { left: "north", right: "south" },
+    west: { left: "south", right: "north" }
+  };
+
+  // Logic Parameters
+  const ARRIVAL_PROBABILITY = 0.2; // Base (low) probability
+  const BURST_PROBABILITY = 0.8; // During a random burst
+  const MAX_PASS = 3; // Increased pass rate due to smaller cars
+  const MIN_GREEN_TIME = 20; // Seconds (counted from the switch, clearance included)
+
+  // Clearance between two phases, in seconds: yellow on the approaches losing
+  // their green, then all-red. Nothing discharges meanwhile.
+  const CLEARANCE = {
+    YELLOW: 3,
+    ALL_RED: 1
+  };
+
+  // Demand when no profile is given (see demand.js createProfile): ARRIVAL_PROBABILITY on every approach, with bursts
+  const FLAT_DEMAND = { scenario: null, bursts: true, rate: () => ARRIVAL_PROBABILITY };
+
+  // ---------- EMERGENCY VEHICLES ----------
+  // Each type spawns from its own random stream (probability per tick) and
+  // drives at its own speed (lane widths per second). priority ranks
+  // simultaneous emergencies (higher = more urgent); weight scales the
+  // AMBULANCE_* reward terms for that type. Every approach holds at most one
+  // emergency at a time, so crossing approaches can have conflicting ones.
+  const EMERGENCY_TYPES = {
+    ambulance: { label: "Ambulance", icon: "🚑", speed: 5, probability: 0.03, priority: 2, weight: 1 },
+    fire: { label: "Fire truck", icon: "🚒", speed: 4, probability: 0.01, priority: 3, weight: 1.5 },
+    police: { label: "Police", icon: "🚓", speed: 6, probability: 0.01, priority: 1, weight: 0.5 }
+  };
+
+  // Advance detection: emergencies are announced DISTANCE lane widths ahead of
+  // the stop line and drive the unseen rest of the way at their type's speed,
+  // so controllers get an ETA. 0 (the default) = only once they show up on
+  // screen, which is what tables trained before detection existed saw.
+  const DETECTION = {
+    DISTANCE: 0
+  };
+  const EMERGENCY_TIMEOUT = 60; // Seconds on screen before a stuck emergency vehicle is removed
+
+  // ---------- PENALTY / REWARD CONFIG ----------
+  const REWARDS = {
+    CAR_PASSED: 1,
+    CAR_WAITING: -1,
+    AMBULANCE_PASSED: 5,
+    AMBULANCE_WAITING: -200,
+    AMBULANCE_CRASH: -500,
+    CAR_CRASH: -100,
+    PHASE_SWITCH: -2,
+    OVER_EXTEND_PUNISHMENT: -0.5
+  };
+
+  // What one count of each term is; the reward is count × weight.
+  // The AMBULANCE_* terms cover every emergency type, counted × the type's weight.
+  const REWARD_UNITS = {
+    CAR_PASSED: "cars",
+    CAR_WAITING: "car-seconds queued",
+    AMBULANCE_PASSED: "weighted emergency seconds on green",
+    AMBULANCE_WAITING: "weighted emergency seconds on red",
+    AMBULANCE_CRASH: "weighted emergency crashes",
+    CAR_CRASH: "crashes",
+    PHASE_SWITCH: "switches",
+    OVER_EXTEND_PUNISHMENT: "seconds past 30s green"
+  };
+
+  // ---------- INTERSECTION BOX GEOMETRY ----------
+  // Box coordinates: junction centre at (0, 0), one lane width = 1, x to the
+  // east and y to the south (same orientation as the canvas). The box spans
+  // -1..1 on both axes and traffic drives on the right.
+  // Direction of travel per approach (lane = side the vehicles come from)
+  const LANE_DIR = {
+    north: { x: 0, y: 1 },
+    south: { x: 0, y: -1 },
+    east: { x: -1, y: 0 },
+    west: { x: 1, y: 0 }
+  };
+
+  // Footprints in lane widths (the canvas draws cars 20x12 px on 50 px lanes)
+  const CAR_FOOTPRINT = { length: 0.4, width: 0.24 };
+  const SPEED = { car: 3 }; // Lane widths per second
+  Object.keys(EMERGENCY_TYPES).forEach(type => { SPEED[type] = EMERGENCY_TYPES[type].speed; });
+  const SPACING = 1; // Queued vehicles keep one lane width apart (3 cars/s at full speed = MAX_PASS)
+  const BOX_SUBSTEPS = 10; // Movement and collision steps per tick
+
+  // Positions along a path (s): vehicles arrive just off screen, hold with
+  // their front on the stop line and are dropped once off screen again
+  const SPAWN_S = -4;
+  const STOP_S = -0.3 - CAR_FOOTPRINT.length / 2;
+  const EXIT_ROAD = 4;
+
+  // Lateral position (from the centre line) of the through lane and the left
+  // pocket. Lefts sweep the whole box from the inner offset, so opposing
+  // protected lefts pass each other; rights turn tightly at the near corner.
+  const LANE_OFFSET = { outer: 0.5, pocket: 0.25 };
+  const TURN_RADIUS = { left: 1 + LANE_OFFSET.pocket, right: 0.24 };
+
+  const rightOf = d => ({ x: -d.y, y: d.x });
+  const leftOf = d => ({ x: d.y, y: -d.x });
+
+  // Position and heading `s` lane widths along a movement's path through the
+  // box: straight in, quarter circle around the turning corner, straight out
+  function pathPoint(lane, move, s) {
+    const d = LANE_DIR[lane];
+    const side = rightOf(d);
+    if (move !== "left" && move !== "right") {
+      return { x: side.x * LANE_OFFSET.outer + d.x * (s - 1), y: side.y * LANE_OFFSET.outer + d.y * (s - 1), hx: d.x, hy: d.y };
+    }
+
+    const geo = turnGeometry(lane, move);
+    const { e, r, corner } = geo;
+    if (s < geo.entry) {
+      return { x: side.x * geo.lateral + d.x * (s - 1), y: side.y * geo.lateral + d.y * (s - 1), hx: d.x, hy: d.y };
+    }
+    if (s < geo.entry + geo.arc) {
+      const theta = (s - geo.entry) / r;
+      const cos = Math.cos(theta);
+      const sin = Math.sin(theta);
+      const ox = corner.x - d.x * r + e.x * r;
+      const oy = corner.y - d.y * r + e.y * r;
+      return {
+        x: ox - e.x * r * cos + d.x * r * sin,
+        y: oy - e.y * r * cos + d.y * r * sin,
+        hx: d.x * cos + e.x * sin,
+        hy: d.y * cos + e.y * sin
+      };
+    }
+    const out = s - geo.entry - geo.arc;
+    return { x: corner.x + e.x * (r + out), y: corner.y + e.y * (r + out), hx: e.x, hy: e.y };
+  }
+
+  const geometryCache = {};
+  function turnGeometry(lane, move) {
+    const key = `${lane}:${move}`;
+    if (!geometryCache[key]) geometryCache[key] = computeTurnGeometry(lane, move);
+    return geometryCache[key];
+  }
+
+  function computeTurnGeometry(lane, move) {
+    const d = LANE_DIR[lane];
+    const e = move === "left" ? leftOf(d) : rightOf(d);
+    const lateral = move === "left" ? LANE_OFFSET.pocket : LANE_OFFSET.outer;
+    const r = TURN_RADIUS[move];
+    // Where the entry path meets the exit path (same lateral offset on both)
+    const corner = {
+      x: rightOf(d).x * lateral + rightOf(e).x * lateral,
+      y: rightOf(d).y * lateral + rightOf(e).y * lateral
+    };
+    const entry = corner.x * d.x + corner.y * d.y - r + 1;
+    const arc = r * Math.PI / 2;
+    const exit = 1 - (corner.x * e.x + corner.y * e.y + r);
+    return { e, r, lateral, corner, entry, arc, length: entry + arc + exit };
+  }
+
+  function pathLength(move) {
+    return move === "left" || move === "right" ? turnGeometry("north", move).length : 2;
+  }
+
+  // Separating-axis test for two oriented rectangles
+  // ({ x, y, hx, hy } centre + unit heading, plus length / width)
+  function footprintsOverlap(a, b) {
+    const axes = [{ x: a.hx, y: a.hy }, { x: -a.hy, y: a.hx }, { x: b.hx, y: b.hy }, { x: -b.hy, y: b.hx }];
+    const extent = (f, ax) =>
+      Math.abs(f.hx * ax.x + f.hy * ax.y) * f.length / 2 + Math.abs(-f.hy * ax.x + f.hx * ax.y) * f.width / 2;
+    return axes.every(ax => Math.abs((b.x - a.x) * ax.x + (b.y - a.y) * ax.y) <= extent(a, ax) + extent(b, ax));
+  }
+
+  // ---------- RESET ----------
+  // options.seed                  -> drives every environment random draw (random if omitted)
+  // options.trace                 -> pre-generated arrivals (see generateTrace) replayed instead of sampling
+  // options.traceLoop             -> start the trace over after its duration
+  // options.record                -> keep the outside arrivals in env.recorded (trace events, see traces.js),
+  //                                  the latest RECORD_LIMIT of them
+  // options.entryLanes            -> approaches fed by outside demand (grid nodes only get some)
+  // options.demand                -> arrival rate per approach over time (demand.js createProfile), flat if omitted
+  // options.turning               -> left/straight/right movements with protected left phases
+  // options.turnRatios            -> per-approach movement shares (defaults to the live TURN_RATIOS)
+  // options.clearance             -> { YELLOW, ALL_RED } seconds (defaults to the live CLEARANCE)
+  // options.detection             -> { DISTANCE } emergency detection range (defaults to the live DETECTION)
+  // options.preemption            -> force the green for detected emergencies (see controllers.js decide)
+  // options.log(msg, type)        -> receives alert / switch / crash messages
+  // options.event(e)              -> receives structured events (controller decisions, see controllers.js)
+  function createEnv(options = {}) {
+    const seed = options.seed !== undefined && options.seed !== null && options.seed !== ""
+      ? String(options.seed)
+      : TrafficRng.randomSeed();
+
+    const env = {
+      // queue = vehicles waiting in the through lane (straight + right), leftQueue = left-turn pocket.
+      // Both are derived from vehicles / leftVehicles every tick.
+      lanes: {
+        north: { queue: 0, green: true, yellow: false, leftQueue: 0, leftGreen: false, leftYellow: false },
+        south: { queue: 0, green: true, yellow: false, leftQueue: 0, leftGreen: false, leftYellow: false },
+        east: { queue: 0, green: false, yellow: false, leftQueue: 0, leftGreen: false, leftYellow: false },
+        west: { queue: 0, green: false, yellow: false, leftQueue: 0, leftGreen: false, leftYellow: false }
+      },
+      crossing: [], // Vehicles past the stop line (in the box or leaving)
+      nextVehicleId: 1,
+      throughput: 0, // Cars over the stop line so far
+      turning: !!options.turning,
+      turnRatios: options.turnRatios || TURN_RATIOS,
+      currentPhase: "NS", // Phase being served, or the one a clearance leads to
+      clearance: options.clearance || CLEARANCE,
+      detection: options.detection || DETECTION,
+      preemption: !!options.preemption,
+      transition: null, // { to, stage: "yellow" | "allRed", remaining } while clearing
+      time: 0,
+      totalWait: 0, // Accumulator for total waiting time (queue sum over time)
+      timeSinceSwitch: 0, // Track time since last phase change
+      pressure: { NS: 0, EW: 0 }, // Computed incoming pressure
+      bursts: { north: 0, south: 0, east: 0, west: 0 }, // Remaining burst ticks
+      arrivalWindow: 5, // Rolling window (ticks) used for pressure
+      cumulativeReward: 0, // RL Reward tracking
+      rewardTotals: {}, // REWARDS term -> amount since the start (sums to cumulativeReward)
+      rewardCounts: {}, // REWARDS term -> counts since the start (see REWARD_UNITS)
+      stepRewards: {}, // REWARDS term -> amount added so far this tick
+      stepCounts: {}, // REWARDS term -> counts so far this tick
+      lastRewards: {}, // Same for the last complete tick
+      lastCounts: {},
+      switches: 0, // Phase changes so far
+      // Detected emergency vehicles: { type, lane, distance, vehicle, detectedAt, visibleAt, didWait }.
+      // vehicle (and visibleAt) stay null while it is still upstream, off screen.
+      emergencies: [],
+      emergencyStats: createEmergencyStats(),
+      carCrashes: 0, // Collisions between ordinary cars
+      vehicleStats: createVehicleStats(), // Delay / stops / queue totals (see metrics.js)
+      lastCrash: null, // { time, x, y, participants } in box coordinates
+      seed: seed,
+      trace: options.trace || null,
+      traceCursor: 0, // Next unread trace event
+      traceLoop: !!options.traceLoop,
+      traceOffset: 0, // Start of the current round of a looping trace
+      recorded: options.record ? [] : null, // Arrivals so far, as trace events { t, lane, type, move? }
+      recordedFrom: 0, // First second recorded in full (later once RECORD_LIMIT dropped the oldest)
+      traceArrivals: { north: [], south: [], east: [], west: [] }, // Movements read from trace, not yet queued
+      pendingEmergencies: [], // Traced emergencies ({ lane, type }) waiting for their approach to be free
+      entryLanes: options.entryLanes || LANES,
+      demand: options.demand || FLAT_DEMAND,
+      inflow: { north: 0, south: 0, east: 0, west: 0 }, // Cars handed over by an upstream intersection
+      lastPassed: { north: 0, south: 0, east: 0, west: 0 }, // Discharged last tick, by the approach they continue on
+      // Separate streams so e.g. turn draws never shift the arrival sequence
+      random: {
+        arrivals: TrafficRng.createRng(TrafficRng.deriveSeed(seed, "arrivals")),
+        emergency: createEmergencyStreams(seed),
+        turns: TrafficRng.createRng(TrafficRng.deriveSeed(seed, "turns"))
+      },
+      hooks: {
+        log: options.log || function () { },
+        event: options.event || function () { }
+      }
+    };
+
+    // Initialize recent arrivals for tracking
+    for (let lane in env.lanes) {
+      env.lanes[lane].recentArrivals = [];
+      env.lanes[lane].vehicles = [];
+      env.lanes[lane].leftVehicles = [];
+    }
+
+    return env;
+  }
+
+  // ---------- PHASE CONTROL ----------
+  // Switching is only possible between transitions and after MIN_GREEN_TIME
+  function canSwitch(env) {
+    return !env.transition && env.timeSinceSwitch >= MIN_GREEN_TIME;
+  }
+
+  // Returns false when the switch was refused (see canSwitch) or already in that phase.
+  // force (pre-emption) skips MIN_GREEN_TIME; a running clearance still finishes.
+  function setPhase(env, phase, force) {
+    const allowed = force ? !env.transition : canSwitch(env);
+    if (!allowed || env.currentPhase === phase) return false;
+
+    env.currentPhase = phase;
+    env.timeSinceSwitch = 0; // Reset timer
+    env.switches++;
+
+    env.hooks.log(`[SWITCH] Switched to ${phase}`, "switch");
+
+    // Reward Penalty for switching (Removed while an emergency vehicle is around)
+    if (env.emergencies.length === 0) {
+      addReward(env, "PHASE_SWITCH");
+    }
+
+    const { YELLOW, ALL_RED } = env.clearance;
+    if (YELLOW > 0) {
+      env.transition = { to: phase, stage: "yellow", remaining: YELLOW };
+      for (let lane in env.lanes) {
+        const l = env.lanes[lane];
+        l.yellow = l.green;
+        l.leftYellow = l.leftGreen;
+        l.green = false;
+        l.leftGreen = false;
+      }
+    } else if (ALL_RED > 0) {
+      env.transition = { to: phase, stage: "allRed", remaining: ALL_RED };
+      showPhase(env, null);
+    } else {
+      showPhase(env, phase);
+    }
+    return true;
+  }
+
+  // Set the lights for a phase (null = all red)
+  function showPhase(env, phase) {
+    for (let lane in env.lanes) {
+      const l = env.lanes[lane];
+      l.green = phase !== null && PHASES[phase].through.includes(lane);
+      l.leftGreen = phase !== null && PHASES[phase].left.includes(lane);
+      l.yellow = false;
+      l.leftYellow = false;
+    }
+  }
+
+  // Called at the start of every tick: count down yellow, then all-red,
+  // then give the new phase its green
+  function advanceClearance(env) {
+    const t = env.transition;
+    if (!t) return;
+    if (t.remaining === 0) {
+      if (t.stage === "yellow" && env.clearance.ALL_RED > 0) {
+        t.stage = "allRed";
+        t.remaining = env.clearance.ALL_RED;
+        showPhase(env, null);
+      } else {
+        env.transition = null;
+        showPhase(env, t.to);
+        return;
+      }
+    }
+    t.remaining--;
+  }
+
+  // Carry out a controller decision: "EXTEND", "SWITCH" (next phase in the
+  // cycle) or a phase name. The decision itself is reported as an event by
+  // controllers.js; only a refusal is logged here (tag prefixes the line).
+  // Returns false when refused.
+  function applyAction(env, action, tag) {
+    if (action === "EXTEND") return true;
+    const next = action === "SWITCH" ? nextPhase(env) : action;
+    if (!setPhase(env, next)) {
+      const reason = env.transition ? "clearance running" : next === env.currentPhase ? "already green" : "min green";
+      env.hooks.log(`[${tag}] Action: ${action} refused (${reason})`, "alert");
+      return false;
+    }
+    return true;
+  }
+
+  // Every reward goes through here, so each tick's total can be broken down by REWARDS term.
+  // The counts are kept too, so a run can be re-scored with other weights (weighRewards).
+  function addReward(env, term, count = 1) {
+    const amount = count * REWARDS[term];
+    env.cumulativeReward += amount;
+    env.rewardTotals[term] = (env.rewardTotals[term] || 0) + amount;
+    env.rewardCounts[term] = (env.rewardCounts[term] || 0) + count;
+    env.stepRewards[term] = (env.stepRewards[term] || 0) + amount;
+    env.stepCounts[term] = (env.stepCounts[term] || 0) + count;
+  }
+
+  // Per-term sum of several { term: value } maps (e.g. the nodes of a grid)
+  function sumTerms(maps) {
+    const total = {};
+    maps.forEach(map => Object.keys(map).forEach(term => { total[term] = (total[term] || 0) + map[term]; }));
+    return total;
+  }
+
+  // Reward the counts would have earned under `weights` (missing terms: the current REWARDS)
+  function weighRewards(counts, weights = REWARDS) {
+    const w = Object.assign({}, REWARDS, weights);
+    return Object.keys(counts).reduce((total, term) => total + counts[term] * (w[term] || 0), 0);
+  }
+
+  function phaseCycle(env) {
+    return env.turning ? TURNING_CYCLE : CLASSIC_CYCLE;
+  }
+
+  // Phase that follows the current one in the cycle
+  function nextPhase(env) {
+    const cycle = phaseCycle(env);
+    return cycle[(cycle.indexOf(env.currentPhase) + 1) % cycle.length];
+  }
+
+  // A car on `lane` making `move` and the approach it joins next
+  function exitLane(lane, move) {
+    return move === "left" || move === "right" ? TURN_EXIT[lane][move] : lane;
+  }
+
+  // ---------- VEHICLES ----------
+  // Every car and emergency vehicle is one vehicle (kind "car" or an EMERGENCY_TYPES key):
+  //   { id, kind, lane, move, arrivedAt, s, startS, waited, stops, crossedAt, exitedAt }
+  // s is the distance along its path in lane widths (pathPoint), 0 = box entry.
+  // Waiting vehicles sit in their approach's FIFO (lanes[lane].vehicles, or
+  // lanes[lane].leftVehicles for the left pocket); once over the stop line they
+  // move to env.crossing until they leave the screen.
+  function spawnVehicle(env, lane, kind, move) {
+    const l = env.lanes[lane];
+    const chain = move === "left" && env.turning ? l.leftVehicles : l.vehicles;
+    const last = chain[chain.length - 1];
+    const s = last ? Math.min(SPAWN_S, last.s - SPACING) : SPAWN_S; // Back of the queue
+    const vehicle = {
+      id: env.nextVehicleId++,
+      kind: kind,
+      lane: lane,
+      move: move,
+      arrivedAt: env.time,
+      s: s,
+      startS: s,
+      waited: 0, // Seconds spent (nearly) stopped
+      stops: 0, // Times it came to a halt
+      stopped: false,
+      crossedAt: null, // Stop line
+      exitedAt: null // Left the box
+    };
+    chain.push(vehicle);
+    return vehicle;
+  }
+
+  // Every vehicle on screen or queued, for renderers
+  function allVehicles(env) {
+    const list = [];
+    LANES.forEach(lane => list.push(...env.lanes[lane].vehicles, ...env.lanes[lane].leftVehicles));
+    return list.concat(env.crossing);
+  }
+
+  // Lane widths left to the stop line (0 once over it)
+  function distanceToStop(vehicle) {
+    return Math.max(0, STOP_S - vehicle.s);
+  }
+
+  // Advance one substep. Queued vehicles follow the one ahead and hold at the
+  // stop line unless their signal is green (emergency vehicles run reds).
+  function moveChain(env, chain, green, dt, now) {
+    let limit = Infinity;
+    chain.forEach(v => {
+      const step = SPEED[v.kind] * dt;
+      let target = v.s + step;
+      if (!green && !isEmergency(v)) target = Math.min(target, STOP_S);
+      target = Math.max(v.s, Math.min(target, limit));
+      const halted = target - v.s < step / 2;
+      if (halted) {
+        v.waited += dt;
+        if (!v.stopped) v.stops++;
+      }
+      v.stopped = halted;
+      v.s = target;
+      limit = v.s - SPACING;
+    });
+
+    let passed = 0;
+    while (chain.length > 0 && chain[0].s > STOP_S) {
+      const v = chain.shift();
+      v.crossedAt = now;
+      env.crossing.push(v);
+      if (isEmergency(v)) continue;
+      env.lastPassed[exitLane(v.lane, v.move)]++;
+      env.throughput++;
+      passed++;
+    }
+    return passed;
+  }
+
+  function moveVehicles(env) {
+    const dt = 1 / BOX_SUBSTEPS;
+    let passed = 0;
+    for (let k = 0; k < BOX_SUBSTEPS; k++) {
+      const now = env.time + (k + 1) * dt;
+      LANES.forEach(lane => {
+        const l = env.lanes[lane];
+        passed += moveChain(env, l.vehicles, l.green, dt, now);
+        passed += moveChain(env, l.leftVehicles, l.leftGreen, dt, now);
+      });
+
+      env.crossing.forEach(v => {
+        v.s += SPEED[v.kind] * dt;
+        if (v.exitedAt === null && v.s > pathLength(v.move)) {
+          v.exitedAt = now;
+          recordVehicle(env, v);
+          if (isEmergency(v)) endEmergency(env, v, true);
+        }
+      });
+      checkCollisions(env);
+      env.crossing = env.crossing.filter(v => !v.crashed && v.s <= pathLength(v.move) + EXIT_ROAD);
+    }
+
+    // Queue lengths are just the vehicles still behind the stop line
+    LANES.forEach(lane => {
+      const l = env.lanes[lane];
+      l.queue = l.vehicles.length;
+      l.leftQueue = l.leftVehicles.length;
+      const stats = env.vehicleStats.lanes[lane];
+      stats.maxQueue = Math.max(stats.maxQueue, l.queue + l.leftQueue);
+    });
+    return passed;
+  }
+
+  // ---------- LOGIC STEP (1 sec tick) ----------
+  // controller(env) is called once per tick to pick the phase (AI, static cycle, ...)
+  function step(env, controller) {
+    for (let lane in env.lastPassed) env.lastPassed[lane] = 0;
+    env.lastRewards = env.stepRewards;
+    env.lastCounts = env.stepCounts;
+    env.stepRewards = {};
+    env.stepCounts = {};
+
+    if (env.trace) readTrace(env);
+    advanceClearance(env);
+
+    // --- EMERGENCY SPAWN LOGIC ---
+    // Detected ones drive on towards the screen, then the new detections.
+    approachEmergencies(env);
+    // One per approach: a new one on a busy approach is dropped (traced ones wait)
+    let spawns;
+    if (env.trace) {
+      spawns = env.pendingEmergencies;
+      env.pendingEmergencies = [];
+    } else {
+      spawns = sampleEmergencies(env);
+    }
+    spawns.forEach(s => {
+      if (env.emergencies.some(e => e.lane === s.lane)) {
+        if (env.trace) env.pendingEmergencies.push(s);
+        return;
+      }
+      spawnEmergency(env, s.lane, s.type);
+    });
+
+    // --- EMERGENCY ACTIVE LOGIC ---
+    // Shaping only applies while each vehicle is on screen, short of the stop line
+    env.emergencies.forEach(e => {
+      if (!e.vehicle || e.vehicle.crossedAt !== null) return;
+      const weight = EMERGENCY_TYPES[e.type].weight;
+      if (env.lanes[e.lane].green) {
+        addReward(env, "AMBULANCE_PASSED", weight); // Good job, letting it through
+      } else {
+        e.didWait = true;
+        addReward(env, "AMBULANCE_WAITING", weight); // Bad, blocking emergency! (Increased penalty)
+      }
+    });
+
+    for (let lane in env.lanes) {
+      // Movements of this tick's arrivals (null = draw from the turn ratios)
+      let moves = [];
+      if (env.trace) {
+        moves = env.traceArrivals[lane];
+        env.traceArrivals[lane] = [];
+      } else if (env.entryLanes.includes(lane) && sampleArrival(env, lane)) {
+        moves.push(null);
+      }
+      const outside = moves.length; // The rest come from an upstream intersection
+      for (let i = 0; i < env.inflow[lane]; i++) moves.push(null);
+      env.inflow[lane] = 0;
+
+      const arrived = moves.length;
+      moves.forEach((move, i) => {
+        const vehicle = spawnVehicle(env, lane, "car", move || sampleTurn(env, lane));
+        if (env.recorded && i < outside) {
+          recordArrival(env, env.turning ? { t: env.time, lane: lane, type: "car", move: vehicle.move } : { t: env.time, lane: lane, type: "car" });
+        }
+      });
+
+      // 1. Track Arrivals (Rolling Window)
+      env.lanes[lane].recentArrivals.push(arrived);
+      if (env.lanes[lane].recentArrivals.length > env.arrivalWindow) {
+        env.lanes[lane].recentArrivals.shift();
+      }
+    }
+
+    // 2. Compute Pressure
+    env.pressure.NS = sum(env.lanes.north.recentArrivals) + sum(env.lanes.south.recentArrivals);
+    env.pressure.EW = sum(env.lanes.east.recentArrivals) + sum(env.lanes.west.recentArrivals);
+
+    // 3. Move every vehicle; reward throughput: +1 per car over the stop line
+    const passed = moveVehicles(env);
+    if (passed > 0) addReward(env, "CAR_PASSED", passed);
+
+    if (controller) controller(env);
+
+    // Data Logging: Accumulate current queues into total wait
+    const totalQueue = LANES.reduce((total, lane) => total + env.lanes[lane].queue + env.lanes[lane].leftQueue, 0);
+    env.totalWait += totalQueue;
+
+    // Update Reward: -1 per waiting car
+    if (totalQueue > 0) addReward(env, "CAR_WAITING", totalQueue);
+
+    // Soft punishment for over-extending (Prevents infinite holding)
+    if (env.timeSinceSwitch > 30) {
+      addReward(env, "OVER_EXTEND_PUNISHMENT");
+    }
+
+    // Timeout failsafe (only if stuck on screen for very long)
+    env.emergencies.slice().forEach(e => {
+      if (e.vehicle && env.time - e.visibleAt + 1 >= EMERGENCY_TIMEOUT) { // This tick included
+        // Force kill if stuck
+        removeVehicle(env, e.vehicle);
+        endEmergency(env, e.vehicle, false);
+      }
+    });
+
+    env.time++;
+    env.timeSinceSwitch++;
+  }
+
+  // ---------- VEHICLE STATISTICS ----------
+  // Raw per-approach totals; metrics.js turns them into delays, percentiles and LOS.
+  // Delays go into 1-second bins so long sessions stay bounded in memory.
+  const DELAY_BINS = 600;
+
+  function createVehicleStats() {
+    const lanes = {};
+    LANES.forEach(lane => {
+      lanes[lane] = { vehicles: 0, delay: 0, stops: 0, maxQueue: 0, delayBins: [] };
+    });
+    const emergencies = {};
+    Object.keys(EMERGENCY_TYPES).forEach(type => {
+      emergencies[type] = { count: 0, response: 0, maxResponse: 0, delay: 0 };
+    });
+    return { lanes: lanes, emergencies: emergencies };
+  }
+
+  // Delay = time from arrival to leaving the box, minus the free-flow time for the same distance
+  function recordVehicle(env, v) {
+    const freeFlow = (pathLength(v.move) - v.startS) / SPEED[v.kind];
+    const travel = v.exitedAt - v.arrivedAt;
+    const delay = Math.max(0, travel - freeFlow);
+
+    if (isEmergency(v)) {
+      const em = env.vehicleStats.emergencies[v.kind];
+      em.count++;
+      em.response += travel;
+      em.maxResponse = Math.max(em.maxResponse, travel);
+      em.delay += delay;
+      return;
+    }
+
+    const stats = env.vehicleStats.lanes[v.lane];
+    const bin = Math.min(DELAY_BINS - 1, Math.round(delay));
+    stats.vehicles++;
+    stats.delay += delay;
+    stats.stops += v.stops;
+    stats.delayBins[bin] = (stats.delayBins[bin] || 0) + 1;
+  }
+
+  // ---------- EMERGENCIES ----------
+  function isEmergency(vehicle) {
+    return vehicle.kind !== "car";
+  }
+
+  // crossed / crashed / waited in total and per type; conflicts = detections while
+  // the crossing axis already had an emergency; preemptions = greens forced for one
+  function createEmergencyStats() {
+    const byType = {};
+    Object.keys(EMERGENCY_TYPES).forEach(type => {
+      byType[type] = { crossed: 0, crashed: 0, waited: 0 };
+    });
+    return { crossed: 0, crashed: 0, waited: 0, conflicts: 0, preemptions: 0, byType: byType };
+  }
+
+  function createEmergencyStreams(seed) {
+    const streams = {};
+    Object.keys(EMERGENCY_TYPES).forEach(type => {
+      // The ambulance keeps the original "emergency" stream
+      streams[type] = TrafficRng.createRng(TrafficRng.deriveSeed(seed, type === "ambulance" ? "emergency" : `emergency-${type}`));
+    });
+    return streams;
+  }
+
+  function axisOf(lane) {
+    return lane === "north" || lane === "south" ? "NS" : "EW";
+  }
+
+  // Lane widths between the screen edge and the stop line
+  const ON_SCREEN = STOP_S - SPAWN_S;
+
+  // Detection of an emergency vehicle; it shows up on screen once within ON_SCREEN of the stop line
+  function spawnEmergency(env, lane, type) {
+    const info = EMERGENCY_TYPES[type];
+    const conflicting = env.emergencies.filter(e => axisOf(e.lane) !== axisOf(lane) && !hasCrossed(e));
+    const e = {
+      type: type,
+      lane: lane,
+      distance: Math.max(env.detection.DISTANCE, ON_SCREEN), // To the stop line while upstream
+      vehicle: null,
+      detectedAt: env.time,
+      visibleAt: null,
+      didWait: false
+    };
+    env.emergencies.push(e);
+    if (e.distance <= ON_SCREEN) showEmergency(env, e);
+    if (env.recorded) recordArrival(env, { t: env.time, lane: lane, type: type });
+    if (conflicting.length > 0) env.emergencyStats.conflicts++;
+    const against = conflicting.map(c => `${EMERGENCY_TYPES[c.type].icon} ${c.lane.toUpperCase()}`).join(", ");
+    const eta = e.vehicle ? "" : ` (ETA ${Math.round(emergencyETA(e))}s)`;
+    env.hooks.log(`[ALERT] ${info.icon} ${info.label} approaching on ${lane.toUpperCase()}${eta}!${against ? ` (conflicts with ${against})` : ""}`, "alert");
+    return e;
+  }
+
+  function showEmergency(env, e) {
+    e.vehicle = spawnVehicle(env, e.lane, e.type, "straight");
+    e.visibleAt = env.time;
+  }
+
+  // One tick of driving for the emergencies still upstream
+  function approachEmergencies(env) {
+    env.emergencies.forEach(e => {
+      if (e.vehicle) return;
+      e.distance -= EMERGENCY_TYPES[e.type].speed;
+      if (e.distance <= ON_SCREEN) showEmergency(env, e);
+    });
+  }
+
+  function hasCrossed(e) {
+    return e.vehicle !== null && e.vehicle.crossedAt !== null;
+  }
+
+  // Lane widths to the stop line, upstream or on screen (0 once over it)
+  function emergencyDistance(e) {
+    return e.vehicle ? distanceToStop(e.vehicle) : e.distance;
+  }
+
+  // Seconds until the stop line at the type's free speed (queues ahead not counted)
+  function emergencyETA(e) {
+    return emergencyDistance(e) / EMERGENCY_TYPES[e.type].speed;
+  }
+
+  // Through phase that gives an emergency its green (they always drive straight)
+  function emergencyPhase(e) {
+    return axisOf(e.lane);
+  }
+
+  // Emergencies still short of the stop line, most urgent first (priority, then ETA)
+  function urgentEmergencies(env) {
+    return env.emergencies
+      .filter(e => !hasCrossed(e))
+      .sort((a, b) => EMERGENCY_TYPES[b.type].priority - EMERGENCY_TYPES[a.type].priority ||
+        emergencyETA(a) - emergencyETA(b));
+  }
+
+  // Pre-emption: switch straight to the phase despite MIN_GREEN_TIME (clearance still runs)
+  function preemptPhase(env, phase) {
+    if (!setPhase(env, phase, true)) return false;
+    env.emergencyStats.preemptions++;
+    return true;
+  }
+
+  // Emergency vehicle cleared the box (cleared) or was stopped (crash, timeout)
+  function endEmergency(env, vehicle, cleared) {
+    const e = env.emergencies.find(em => em.vehicle === vehicle);
+    if (!e) return;
+    if (cleared) {
+      const stats = env.emergencyStats;
+      stats.crossed++;
+      stats.byType[e.type].crossed++;
+      if (e.didWait) {
+        stats.waited++;
+        stats.byType[e.type].waited++;
+      }
+    }
+    env.emergencies = env.emergencies.filter(em => em !== e);
+  }
+
+  function removeVehicle(env, vehicle) {
+    const l = env.lanes[vehicle.lane];
+    l.vehicles = l.vehicles.filter(v => v !== vehicle);
+    env.crossing = env.crossing.filter(v => v !== vehicle);
+  }
+
+  // ---------- COLLISIONS ----------
+  // Footprints of everything inside the box. Only vehicles from different
+  // approaches can collide (same approach = following).
+  function checkCollisions(env) {
+    const inside = [];
+    env.crossing.forEach(v => {
+      if (v.crashed || v.s > pathLength(v.move)) return;
+      inside.push({ v: v, f: Object.assign(pathPoint(v.lane, v.move, v.s), CAR_FOOTPRINT) });
+    });
+
+    for (let i = 0; i < inside.length; i++) {
+      for (let j = i + 1; j < inside.length; j++) {
+        const a = inside[i];
+        const b = inside[j];
+        if (a.v.lane === b.v.lane || a.v.crashed || b.v.crashed) continue;
+        if (!footprintsOverlap(a.f, b.f)) continue;
+        a.v.crashed = b.v.crashed = true;
+        registerCollision(env, {
+          x: (a.f.x + b.f.x) / 2,
+          y: (a.f.y + b.f.y) / 2,
+          participants: [a.v, b.v].map(v => ({ id: v.id, kind: v.kind, lane: v.lane, move: v.move }))
+        });
+      }
+    }
+  }
+
+  // collision: { x, y (box coordinates), participants: [{ id, kind, lane, move }] }
+  function registerCollision(env, collision) {
+    const emergencies = env.emergencies.filter(e => e.vehicle && collision.participants.some(p => p.id === e.vehicle.id));
+    const who = collision.participants
+      .map(p => `${p.kind === "car" ? "Car" : EMERGENCY_TYPES[p.kind].label} ${p.lane.toUpperCase()}${p.move && p.move !== "straight" ? ` (${p.move})` : ""}`)
+      .join(" × ");
+    env.lastCrash = { time: env.time, x: collision.x, y: collision.y, participants: collision.participants };
+    env.hooks.log(`[CRASH] 💥 ${who} at (${collision.x.toFixed(2)}, ${collision.y.toFixed(2)})`, "alert");
+
+    emergencies.forEach(e => {
+      addReward(env, "AMBULANCE_CRASH", EMERGENCY_TYPES[e.type].weight);
+      env.emergencyStats.crashed++;
+      env.emergencyStats.byType[e.type].crashed++;
+      endEmergency(env, e.vehicle, false); // A crash stops the emergency vehicle
+    });
+    if (collision.participants.every(p => p.kind === "car")) {
+      addReward(env, "CAR_CRASH");
+      env.carCrashes++;
+    }
+  }
+
+  // ---------- RANDOM DEMAND ----------
+  // One Bernoulli arrival draw for a lane at the demand profile's rate, including burst bookkeeping
+  function sampleArrival(env, lane) {
+    const random = env.random;
+    const rate = env.demand.rate(lane, env.time);
+    let spawnRate = rate;
+
+    // Burst Logic
+    if (env.demand.bursts) {
+      if (env.bursts[lane] > 0) {
+        if (rate > 0) spawnRate = Math.max(BURST_PROBABILITY, rate); // High traffic during burst (none on a closed approach)
+        env.bursts[lane]--;
+      } else {
+        // Chance to start a burst (0.8% chance)
+        if (random.arrivals() < 0.008) {
+          env.bursts[lane] = 10 + Math.floor(random.arrivals() * 10); // 10-20s burst
+        }
+      }
+    }
+
+    return random.arrivals() < spawnRate ? 1 : 0;
+  }
+
+  // Movement of a new arrival: always straight unless turning is on
+  function sampleTurn(env, lane) {
+    if (!env.turning) return "straight";
+    const ratios = env.turnRatios[lane];
+    const total = ratios.left + ratios.straight + ratios.right;
+    const r = env.random.turns() * total;
+    if (r < ratios.left) return "left";
+    if (r < ratios.left + ratios.straight) return "straight";
+    return "right";
+  }
+
+  // Emergencies spawning this tick: [{ lane, type }]. Every type draws every
+  // tick, so the streams never depend on what is already on the road.
+  function sampleEmergencies(env) {
+    const spawns = [];
+    Object.keys(EMERGENCY_TYPES).forEach(type => {
+      const random = env.random.emergency[type];
+      if (random() < EMERGENCY_TYPES[type].probability) {
+        const lanes = env.entryLanes;
+        const lane = lanes[Math.floor(random() * lanes.length)];
+        if (lane) spawns.push({ lane: lane, type: type }); // Interior grid nodes have no entry lanes
+      }
+    });
+    return spawns;
+  }
+
+  // ---------- TRACES ----------
+  // Pre-generate the arrivals and emergencies a seed produces, so several
+  // controllers can be run against identical traffic.
+  // Format: { seed, duration, events: [{ t, lane, type: "car" | EMERGENCY_TYPES key, move? }] } sorted by t
+  // options.turning / options.turnRatios add a movement to every car,
+  // options.demand draws the arrivals from a demand profile.
+  function generateTrace(seed, duration, options = {}) {
+    const scratch = createEnv({ seed: seed, turning: options.turning, turnRatios: options.turnRatios, demand: options.demand });
+    const events = [];
+
+    for (let t = 0; t < duration; t++) {
+      scratch.time = t;
+      // Replays hold these back while their approach is busy (see step)
+      sampleEmergencies(scratch).forEach(s => events.push({ t: t, lane: s.lane, type: s.type }));
+      for (const lane of LANES) {
+        const arrived = sampleArrival(scratch, lane);
+        for (let i = 0; i < arrived; i++) {
+          const ev = { t: t, lane: lane, type: "car" };
+          if (scratch.turning) ev.move = sampleTurn(scratch, lane);
+          events.push(ev);
+        }
+      }
+    }
+
+    return { seed: scratch.seed, duration: duration, events: events };
+  }
+
+  // Outside arrivals kept in env.recorded (about a day of heavy traffic).
+  // Once full, the oldest tenth is dropped in one go (cheaper than a shift
+  // per arrival), so a page left running keeps a bounded recording.
+  const RECORD_LIMIT = 100000;
+
+  function recordArrival(env, event) {
+    env.recorded.push(event);
+    if (env.recorded.length > RECORD_LIMIT) {
+      env.recorded.splice(0, RECORD_LIMIT / 10);
+      env.recordedFrom = env.recorded[0].t + 1; // Arrivals in that second were partly dropped
+    }
+  }
+
+  // Move every trace event that is due into the env
+  function readTrace(env) {
+    const events = env.trace.events;
+    if (env.traceLoop && env.trace.duration > 0 && env.time - env.traceOffset >= env.trace.duration) {
+      env.traceOffset += env.trace.duration;
+      env.traceCursor = 0;
+    }
+    while (env.traceCursor < events.length && events[env.traceCursor].t + env.traceOffset <= env.time) {
+      const ev = events[env.traceCursor++];
+      if (EMERGENCY_TYPES[ev.type]) {
+        env.pendingEmergencies.push({ lane: ev.lane, type: ev.type });
+      } else {
+        env.traceArrivals[ev.lane].push(ev.move || null);
+      }
+    }
+  }
+
+  function sum(arr) {
+    return arr.reduce((a, b) => a + b, 0);
+  }
+
+  return {
+    LANES,
+    LANE_DIR,
+    PHASES,
+    RECORD_LIMIT,
+    TURN_RATIOS,
+    ARRIVAL_PROBABILITY,
+    MAX_PASS,
+    MIN_GREEN_TIME,
+    CLEARANCE,
+    DETECTION,
+    REWARDS,
+    REWARD_UNITS,
+    EMERGENCY_TYPES,
+    pathPoint,
+    allVehicles,
+    distanceToStop,
+    isEmergency,
+    emergencyDistance,
+    emergencyETA,
+    emergencyPhase,
+    urgentEmergencies,
+    createEnv,
+    canSwitch,
+    setPhase,
+    preemptPhase,
+    applyAction,
+    weighRewards,
+    sumTerms,
+    phaseCycle,
+    nextPhase,
+    exitLane,
+    step,
+    generateTrace,
+    sum
+  };
+});
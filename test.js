@@ -0,0 +1,210 @@
+// Headless checks of the simulation logic, on the same modules the page and
+// train.js load. No dependencies; exits non-zero when a check fails.
+//
+//   node test.js
+const assert = require('assert');
+const TrafficRng = require('./rng.js');
+const TrafficSim = require('./sim.js');
+const TrafficAgent = require('./agent.js');
+const TrafficControllers = require('./controllers.js');
+const TrafficBenchmark = require('./benchmark.js');
+const TrafficEncoder = require('./encoder.js');
+const TrafficTraces = require('./traces.js');
+
+const tests = [];
+function test(name, fn) {
+    tests.push({ name: name, fn: fn });
+}
+
+// Runs `controller(env)` once per tick for `ticks` simulated seconds
+function run(env, controller, ticks) {
+    for (let t = 0; t < ticks; t++) TrafficSim.step(env, controller);
+    return env;
+}
+
+// ---------- HEADLESS RUNNER ----------
+test('the Q-learning agent runs without a browser', () => {
+    const env = TrafficSim.createEnv();
+    const agent = TrafficAgent.createQAgent(0.05);
+    run(env, e => TrafficAgent.qLearningAgent(agent, e), 600);
+    assert.ok(env.time > 0);
+    assert.ok(Number.isFinite(env.cumulativeReward) && Number.isFinite(env.totalWait));
+    assert.ok(Object.keys(agent.Q).length > 0, 'no states learned');
+});
+
+test('an exported table loads back unchanged', () => {
+    const env = TrafficSim.createEnv();
+    const agent = TrafficAgent.createQAgent(0.05);
+    run(env, e => TrafficAgent.qLearningAgent(agent, e), 300);
+    const data = JSON.parse(JSON.stringify(TrafficAgent.serializeAgent(agent, 300)));
+    const loaded = TrafficAgent.createQAgent(0.05);
+    assert.strictEqual(TrafficAgent.loadAgent(loaded, data), 300);
+    assert.deepStrictEqual(loaded.Q, agent.Q);
+});
+
+// ---------- SEEDED RUNS ----------
+// A seeded run with its own exploration stream, summed up for comparison
+function seededRun(seed) {
+    const env = TrafficSim.createEnv({ seed: seed });
+    const agent = TrafficAgent.createQAgent(0.1, TrafficRng.createRng(TrafficRng.deriveSeed(seed, 'agent')));
+    run(env, e => TrafficAgent.qLearningAgent(agent, e), 900);
+    return { reward: env.cumulativeReward, wait: env.totalWait, emergencies: env.emergencyStats, Q: agent.Q };
+}
+
+test('the same seed replays the same run', () => {
+    assert.deepStrictEqual(seededRun('42'), seededRun('42'));
+});
+
+test('seed 0 is a seed, not "no seed"', () => {
+    assert.deepStrictEqual(seededRun(0), seededRun('0'));
+});
+
+test('different seeds give different traffic', () => {
+    assert.notDeepStrictEqual(seededRun('42').wait, seededRun('43').wait);
+});
+
+test('derived streams are independent of each other', () => {
+    const a = TrafficRng.createRng(TrafficRng.deriveSeed('42', 'arrivals'));
+    const b = TrafficRng.createRng(TrafficRng.deriveSeed('42', 'agent'));
+    const again = TrafficRng.createRng(TrafficRng.deriveSeed('42', 'arrivals'));
+    const first = [a(), a(), a()];
+    assert.deepStrictEqual([again(), again(), again()], first);
+    assert.notDeepStrictEqual([b(), b(), b()], first);
+});
+
+// ---------- CONTROLLERS ----------
+// A registry controller over hand-written arrivals ({ t, lane } cars); the phase after every tick
+function runController(name, arrivals, duration) {
+    const events = arrivals.map(a => ({ t: a.t, lane: a.lane, type: 'car' })).sort((a, b) => a.t - b.t);
+    const env = TrafficSim.createEnv({ seed: 'test', trace: { seed: 'test', duration: duration, events: events } });
+    const controller = TrafficControllers.stepper(TrafficControllers.getController(name).create({ agent: TrafficAgent.createQAgent(0) }));
+    const phases = [];
+    while (env.time < duration) {
+        TrafficSim.step(env, controller);
+        phases.push(env.currentPhase);
+    }
+    return { env: env, phases: phases };
+}
+
+// One car every `every` seconds on `lane` from `from` to `to`
+function steady(lane, from, to, every = 1) {
+    const list = [];
+    for (let t = from; t < to; t += every) list.push({ t: t, lane: lane });
+    return list;
+}
+
+test('the fixed 20s cycle switches every 20 seconds', () => {
+    const { phases } = runController('20s', [], 200);
+    assert.strictEqual(phases[18], 'NS');
+    assert.strictEqual(phases[38], 'EW');
+    assert.strictEqual(phases[58], 'NS');
+});
+
+test('LQF and max-pressure go to the only queue and stay there', () => {
+    ['LongestQueue', 'MaxPressure'].forEach(name => {
+        const { env, phases } = runController(name, steady('east', 0, 120, 2), 120);
+        assert.strictEqual(phases[phases.length - 1], 'EW', name);
+        assert.strictEqual(env.switches, 1, name);
+    });
+});
+
+test('max-pressure extends a green that keeps bringing cars, up to MAX_GREEN', () => {
+    const { phases } = runController('MaxPressure', steady('north', 0, 120).concat(steady('east', 0, 10)), 120);
+    assert.strictEqual(phases[TrafficSim.MIN_GREEN_TIME + 10], 'NS');
+    assert.ok(phases.indexOf('EW') > TrafficSim.MIN_GREEN_TIME, 'switched at the minimum green');
+    assert.ok(phases.indexOf('EW') <= TrafficControllers.GREEDY.MAX_GREEN + 10, 'held past MAX_GREEN');
+});
+
+test('actuated gaps out once the green lanes are empty', () => {
+    const { phases } = runController('Actuated', steady('north', 0, 40).concat(steady('east', 0, 10)), 90);
+    assert.strictEqual(phases[35], 'NS');
+    assert.ok(phases.indexOf('EW') > 40 && phases.indexOf('EW') < 40 + TrafficControllers.ACTUATED.GAP + 10);
+});
+
+test('Webster gives the busier phase a longer green than the minimum', () => {
+    const env = TrafficSim.createEnv({ seed: 'test' });
+    const plan = TrafficControllers.websterPlan(env, { north: 90, south: 90, east: 30, west: 30 }, 600);
+    assert.ok(plan.greens.EW >= TrafficSim.MIN_GREEN_TIME);
+    assert.ok(plan.greens.NS > plan.greens.EW, `NS ${plan.greens.NS}s, EW ${plan.greens.EW}s`);
+});
+
+test('benchmark runs score the AI as a fixed policy', () => {
+    const agent = TrafficAgent.createQAgent(0);
+    run(TrafficSim.createEnv({ seed: 'train' }), e => TrafficAgent.qLearningAgent(agent, e), 600);
+    const before = JSON.parse(JSON.stringify(agent.Q));
+    TrafficBenchmark.runOnTrace(TrafficControllers.getController('AI'), TrafficSim.generateTrace('bench', 600), { frozen: true, agent: agent });
+    // Acting may add unseen states at zero, but nothing learned changes
+    Object.keys(before).forEach(state => assert.deepStrictEqual(agent.Q[state], before[state], state));
+});
+
+// ---------- STATE ENCODER ----------
+test('every encoder preset survives an export and keeps its keys', () => {
+    const env = run(TrafficSim.createEnv({ seed: 'encoder' }), () => null, 120);
+    Object.keys(TrafficEncoder.PRESETS).forEach(name => {
+        const agent = TrafficAgent.createQAgent(0);
+        agent.encoder = TrafficEncoder.validateEncoder(TrafficEncoder.PRESETS[name]);
+        const data = JSON.parse(JSON.stringify(TrafficAgent.serializeAgent(agent, 0)));
+        const restored = TrafficEncoder.validateEncoder(data.ENCODER);
+        assert.ok(TrafficEncoder.sameEncoder(restored, agent.encoder), name);
+        assert.strictEqual(TrafficEncoder.encode(env, restored), TrafficEncoder.encode(env, agent.encoder), name);
+    });
+});
+
+test('the default encoder reproduces the original keys', () => {
+    const env = run(TrafficSim.createEnv({ seed: 'encoder' }), () => null, 120);
+    assert.match(TrafficEncoder.encode(env, TrafficEncoder.DEFAULT_ENCODER), /^(NS|EW)_(BALANCED|HIGH_NS|HIGH_EW)_(NONE|AMB)$/);
+});
+
+test('a table only loads against the encoder it was built with', () => {
+    const agent = TrafficAgent.createQAgent(0);
+    agent.encoder = TrafficEncoder.validateEncoder(TrafficEncoder.PRESETS.queues);
+    const data = JSON.parse(JSON.stringify(TrafficAgent.serializeAgent(agent, 0)));
+    assert.throws(() => TrafficAgent.loadAgent(TrafficAgent.createQAgent(0), data), /different state encoder/);
+});
+
+// ---------- TRACES ----------
+test('clock times start at zero and counts expand to one event each', () => {
+    const trace = TrafficTraces.parseTrace('time,approach,type,count\n07:00:05,north,car,2\n07:00:09,W,ambulance,1\n');
+    assert.deepStrictEqual(trace.events.map(e => [e.t, e.lane, e.type]), [[0, 'north', 'car'], [0, 'north', 'car'], [4, 'west', 'ambulance']]);
+});
+
+test('a file mixing time formats is rejected', () => {
+    assert.throws(() => TrafficTraces.parseTrace('t,lane,type\n07:00:05,north,car\n12,east,car\n'), /Row 2/);
+});
+
+test('clock times that pass midnight keep counting up', () => {
+    const trace = TrafficTraces.parseTrace('t,lane,type\n23:59:50,north,car\n00:00:05,east,car\n');
+    assert.deepStrictEqual(trace.events.map(e => e.t), [0, 15]);
+});
+
+test('an unknown vehicle type names its row', () => {
+    assert.throws(() => TrafficTraces.parseTrace('t,lane,type\n3,north,tractor\n'), /Row 1: unknown type/);
+});
+
+test('an exported CSV parses back to the same arrivals', () => {
+    const trace = TrafficSim.generateTrace('csv', 300, { turning: true });
+    const back = TrafficTraces.parseTrace(TrafficTraces.toCSV(trace));
+    const plain = list => list.map(e => [e.t, e.lane, e.type, e.move]);
+    assert.deepStrictEqual(plain(back.events), plain(trace.events));
+});
+
+test('a long clock-time file parses', () => {
+    const rows = ['t,lane,type'];
+    for (let i = 0; i < 200000; i++) rows.push(`${String(Math.floor(i / 3600) % 24).padStart(2, '0')}:${String(Math.floor(i / 60) % 60).padStart(2, '0')}:${String(i % 60).padStart(2, '0')},north,car`);
+    assert.strictEqual(TrafficTraces.parseTrace(rows.join('\n')).events.length, 200000);
+});
+
+// ---------- RUN ----------
+let failed = 0;
+tests.forEach(t => {
+    try {
+        t.fn();
+        console.log(`ok - ${t.name}`);
+    } catch (err) {
+        failed++;
+        console.log(`not ok - ${t.name}`);
+        console.log(`  ${err.message.split('\n').join('\n  ')}`);
+    }
+});
+console.log(`${tests.length - failed}/${tests.length} passed`);
+process.exitCode = failed > 0 ? 1 : 0;
@@ -0,0 +1,233 @@
+// ---------- ARRIVAL TRACES ----------
+// Import and export of arrival traces in the format sim.js replays
+// (options.trace, see generateTrace):
+//   { seed, duration, events: [{ t, lane, type: "car" | "ambulance" | "fire" | "police", move?, node? }] }
+// Files are JSON in that format (or a bare events array) or CSV with a
+// header row, e.g. loop-detector counts:
+//   time,approach,vehicle,count
+//   07:00:05,north,car,2
+(function (root, factory) {
+  if (typeof module === "object" && module.exports) {
+    module.exports = factory(require("./rng.js"), require("./sim.js"));
+  } else {
+    root.TrafficTraces = factory(root.TrafficRng, root.TrafficSim);
+  }
+})(this, function (TrafficRng, TrafficSim) {
+
+  // Accepted CSV headers / JSON keys per field
+  const COLUMNS = {
+    t: ["t", "time", "timestamp", "seconds"],
+    lane: ["lane", "approach", "from"],
+    type: ["type", "vehicle", "kind", "class"],
+    move: ["move", "movement", "turn"],
+    count: ["count", "vehicles", "n"],
+    node: ["node", "intersection"]
+  };
+
+  const MOVES = ["left", "straight", "right"];
+  // General traffic classes, all replayed as a car
+  const CAR_NAMES = ["car", "bus", "truck", "van", "motorcycle"];
+  // Vehicle type names that mean an emergency vehicle
+  const EMERGENCY_NAMES = {
+    ambulance: "ambulance",
+    ems: "ambulance",
+    fire: "fire",
+    firetruck: "fire",
+    "fire truck": "fire",
+    "fire engine": "fire",
+    police: "police",
+    "police car": "police"
+  };
+
+  // ---------- PARSING ----------
+  const TIME_FORMATS = { seconds: "seconds", clock: "HH:MM[:SS]", date: "date" };
+
+  // Seconds for numbers; clock ("HH:MM[:SS]") and date strings are absolute
+  // and get shifted so the trace starts at 0 (see eventsFromRows)
+  function parseTimestamp(value, where) {
+    if (typeof value === "number" && isFinite(value) && value >= 0) return { t: value, kind: "seconds" };
+    const text = String(value).trim();
+    if (/^\d+(\.\d+)?$/.test(text)) return { t: Number(text), kind: "seconds" };
+    const clock = /^(\d{1,2}):(\d{2})(?::(\d{2}))?$/.exec(text);
+    if (clock) return { t: Number(clock[1]) * 3600 + Number(clock[2]) * 60 + Number(clock[3] || 0), kind: "clock" };
+    const date = Date.parse(text);
+    if (!isNaN(date)) return { t: date / 1000, kind: "date" };
+    throw new Error(`${where}: cannot read time ${JSON.stringify(value)}`);
+  }
+
+  function parseType(value, where) {
+    const text = String(value || "car").trim().toLowerCase();
+    if (CAR_NAMES.includes(text)) return "car";
+    if (EMERGENCY_NAMES[text]) return EMERGENCY_NAMES[text];
+    throw new Error(`${where}: unknown type ${JSON.stringify(value)}, expected one of ${CAR_NAMES.concat(Object.keys(EMERGENCY_NAMES)).join(", ")}`);
+  }
+
+  // "north" / "N" (the side the vehicles come from)
+  function parseLane(value, where) {
+    const text = String(value || "").trim().toLowerCase();
+    const lane = TrafficSim.LANES.find(l => l === text || l[0] === text);
+    if (!lane) throw new Error(`${where}: unknown approach ${JSON.stringify(value)}, expected one of ${TrafficSim.LANES.join(", ")}`);
+    return lane;
+  }
+
+  function field(row, key) {
+    const name = COLUMNS[key].find(k => row[k] !== undefined && row[k] !== "");
+    return name === undefined ? undefined : row[name];
+  }
+
+  // Plain rows ({ column: value }) into sorted trace events
+  function eventsFromRows(rows) {
+    const parsed = rows.map((row, i) => {
+      const where = `Row ${i + 1}`;
+      const time = field(row, "t");
+      if (time === undefined) throw new Error(`${where}: no time (columns ${COLUMNS.t.join(" / ")})`);
+      const stamp = parseTimestamp(time, where);
+      const move = field(row, "move");
+      const count = field(row, "count") === undefined ? 1 : Number(field(row, "count"));
+      if (!(Number.isInteger(count) && count >= 0)) throw new Error(`${where}: count must be a whole number`);
+      if (move !== undefined && !MOVES.includes(String(move).trim().toLowerCase())) throw new Error(`${where}: move must be one of ${MOVES.join(", ")}`);
+      const event = { t: stamp.t, lane: parseLane(field(row, "lane"), where), type: parseType(field(row, "type"), where) };
+      if (move !== undefined) event.move = String(move).trim().toLowerCase();
+      if (field(row, "node") !== undefined) event.node = String(field(row, "node"));
+      return { event: event, count: count, kind: stamp.kind };
+    });
+
+    const kind = parsed.length > 0 ? parsed[0].kind : "seconds";
+    const mixed = parsed.findIndex(p => p.kind !== kind);
+    if (mixed >= 0) throw new Error(`Row ${mixed + 1}: ${TIME_FORMATS[parsed[mixed].kind]} time, but row 1 is in ${TIME_FORMATS[kind]}; use one time format throughout`);
+    // Rows run in file order, so a clock time more than half a day before the
+    // previous one has crossed midnight
+    if (kind === "clock") {
+      let day = 0;
+      parsed.forEach((p, i) => {
+        if (i > 0 && p.event.t + day < parsed[i - 1].event.t - 43200) day += 86400;
+        p.event.t += day;
+      });
+    }
+    // reduce, not Math.min(...): a day of detector counts is too many arguments for the call stack
+    const origin = kind === "seconds" ? 0 : parsed.reduce((min, p) => Math.min(min, p.event.t), Infinity);
+    const events = [];
+    parsed.forEach(p => {
+      const t = Math.floor(p.event.t - origin);
+      for (let i = 0; i < p.count; i++) events.push(Object.assign({}, p.event, { t: t }));
+    });
+    return events.sort((a, b) => a.t - b.t);
+  }
+
+  // Minimal CSV: header row, comma separated, optional double quotes
+  function parseCSV(text) {
+    const lines = text.split(/\r?\n/).filter(line => line.trim() !== "" && !line.startsWith("#"));
+    if (lines.length === 0) throw new Error("Empty CSV");
+    const split = line => (line.match(/("([^"]|"")*"|[^,]*)(,|$)/g) || [])
+      .slice(0, -1)
+      .map(cell => cell.replace(/,$/, "").trim().replace(/^"(.*)"$/, "$1").replace(/""/g, '"'));
+    const header = split(lines[0]).map(h => h.toLowerCase());
+    return lines.slice(1).map(line => {
+      const cells = split(line);
+      const row = {};
+      header.forEach((h, i) => { row[h] = cells[i] === undefined ? "" : cells[i]; });
+      return row;
+    });
+  }
+
+  // A trace from file contents (JSON or CSV). Throws with the offending row.
+  function parseTrace(text) {
+    const trimmed = text.trim();
+    let data;
+    if (trimmed.startsWith("{") || trimmed.startsWith("[")) {
+      data = JSON.parse(trimmed);
+      if (Array.isArray(data)) data = { events: data };
+      if (!Array.isArray(data.events)) throw new Error("JSON trace needs an events array");
+    } else {
+      data = { events: parseCSV(trimmed) };
+    }
+    const events = eventsFromRows(data.events);
+    if (events.length === 0) throw new Error("Trace has no arrivals");
+    const last = events[events.length - 1].t + 1;
+    return {
+      seed: data.seed !== undefined ? data.seed : null,
+      duration: Math.max(last, Number(data.duration) || 0),
+      events: events
+    };
+  }
+
+  // ---------- PLAYBACK ----------
+  // speed 2 = twice as fast (times halved); scale 1.5 = 50% more cars (emergency
+  // vehicles are kept as they are). Extra / dropped cars are drawn from `seed`.
+  function transformTrace(trace, options = {}) {
+    const speed = options.speed || 1;
+    const scale = options.scale === undefined ? 1 : options.scale;
+    if (!(speed > 0) || !(scale >= 0)) throw new Error("Speed must be positive and scale non-negative");
+    const rng = TrafficRng.createRng(TrafficRng.deriveSeed(options.seed || "trace", "scale"));
+    const events = [];
+    trace.events.forEach(e => {
+      const t = Math.floor(e.t / speed);
+      let copies = 1;
+      if (e.type === "car") {
+        copies = Math.floor(scale);
+        if (rng() < scale - copies) copies++;
+      }
+      for (let i = 0; i < copies; i++) events.push(Object.assign({}, e, { t: t }));
+    });
+    return { seed: trace.seed, duration: Math.max(1, Math.ceil(trace.duration / speed)), events: events };
+  }
+
+  // ---------- RECORDING ----------
+  // Arrivals of a live run (createEnv options.record) as a trace; grid nodes get tagged with their id.
+  // A run long enough to drop its oldest arrivals (sim.js RECORD_LIMIT) is
+  // exported from the first second every node still has in full.
+  function recordedTrace(envs, duration) {
+    const list = Array.isArray(envs) ? envs : [envs];
+    const from = Math.max(...list.map(env => env.recordedFrom || 0));
+    const events = [];
+    list.forEach(env => (env.recorded || []).forEach(e => {
+      if (e.t < from) return;
+      events.push(Object.assign({}, e, { t: e.t - from }, list.length > 1 ? { node: env.id } : {}));
+    }));
+    events.sort((a, b) => a.t - b.t);
+    return { seed: list[0].seed, duration: duration - from, events: events };
+  }
+
+  // ---------- EXPORT ----------
+  function toCSV(trace) {
+    const withMove = trace.events.some(e => e.move);
+    const withNode = trace.events.some(e => e.node !== undefined);
+    const header = ["t", "lane", "type"].concat(withMove ? ["move"] : [], withNode ? ["node"] : []);
+    const lines = [header.join(",")];
+    trace.events.forEach(e => {
+      const cells = [e.t, e.lane, e.type];
+      if (withMove) cells.push(e.move || "");
+      if (withNode) cells.push(e.node !== undefined ? `"${e.node}"` : "");
+      lines.push(cells.join(","));
+    });
+    return lines.join("\n") + "\n";
+  }
+
+  function toJSON(trace) {
+    return JSON.stringify(trace);
+  }
+
+  // e.g. "1204 cars, 3 emergency vehicles over 01:00:00"
+  function describeTrace(trace) {
+    const emergencies = trace.events.filter(e => e.type !== "car").length;
+    const cars = trace.events.length - emergencies;
+    const h = Math.floor(trace.duration / 3600);
+    const m = Math.floor(trace.duration / 60) % 60;
+    const s = Math.floor(trace.duration) % 60;
+    const pad = n => String(n).padStart(2, "0");
+    return `${cars} cars, ${emergencies} emergency vehicle${emergencies === 1 ? "" : "s"} over ${pad(h)}:${pad(m)}:${pad(s)}`;
+  }
+
+  return {
+    COLUMNS,
+    CAR_NAMES,
+    EMERGENCY_NAMES,
+    parseCSV,
+    parseTrace,
+    transformTrace,
+    recordedTrace,
+    toCSV,
+    toJSON,
+    describeTrace
+  };
+});
@@ -0,0 +1,338 @@
+// Headless trainer: runs the same environment and Q-learning agent as the
+// browser page, as fast as the CPU allows.
+//
+//   node train.js --episodes 50 --episode-length 3600 [--epsilon 0.05] [--seed 42]
+//                 [--grid 2x3 [--coordinated]] [--turning] [--yellow 3] [--all-red 1] [--detection 40] [--preemption]
+//                 [--scenario commuter | --scenario my_scenario.json]
+//                 [--encoder detailed | --encoder my_encoder.json]
+//                 [--agent table | linear | mlp]
+//                 [--algorithm qLearning|sarsa|expectedSarsa|doubleQ|nStep|qLambda] [--alpha 0.1] [--gamma 0.9] [--n 3] [--lambda 0.8]
+//                 [--explore epsilonGreedy|softmax|ucb] [--schedule constant|linear|exponential|visits]
+//                 [--explore-min 0.01] [--explore-decay 3600] [--interval 1]
+//                 [--checkpoint-every 10 [--best]] [--history curve.csv]
+//                 [--input Optimal_-25.19.json] [--output my_table.json]
+const fs = require('fs');
+const path = require('path');
+const TrafficRng = require('./rng.js');
+const TrafficSim = require('./sim.js');
+const TrafficDemand = require('./demand.js');
+const TrafficAgent = require('./agent.js');
+const TrafficApprox = require('./approx.js');
+const TrafficGrid = require('./grid.js');
+const TrafficControllers = require('./controllers.js');
+const TrafficMetrics = require('./metrics.js');
+const TrafficEncoder = require('./encoder.js');
+const TrafficEpisodes = require('./episodes.js');
+
+const TRAINING_DIR = path.join(__dirname, 'Training_data');
+
+function parseArgs(argv) {
+    const opts = {
+        episodes: 10,
+        episodeLength: 3600, // Simulated seconds per episode
+        epsilon: null,
+        seed: null,
+        grid: null, // { rows, cols }
+        coordinated: false,
+        turning: false,
+        yellow: null, // Clearance seconds (default: sim.js CLEARANCE)
+        allRed: null,
+        detection: null, // Emergency detection distance in lane widths (default: the input file's, else sim.js DETECTION)
+        preemption: false, // Force the green for emergencies on top of the agent (controllers.js PREEMPTION)
+        scenario: null, // Demand preset name or JSON file (default: flat)
+        encoder: null, // Preset name or JSON file (default: the input table's, else classic)
+        agent: 'table', // Q-table, or a DQN model: 'linear' / 'mlp'
+        learning: {}, // Update rule overrides for the table (default: the input table's, else Q-learning)
+        interval: null, // Seconds between decisions (default: the input file's, else 1)
+        exploration: {}, // Exploration overrides for the table (default: the input table's, else constant ε-greedy)
+        checkpointEvery: TrafficEpisodes.EPISODES.CHECKPOINT_EVERY,
+        best: false, // Save the best checkpoint instead of the final model
+        history: null, // CSV file for the learning curve
+        input: null,
+        output: null
+    };
+
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        const value = argv[i + 1];
+        switch (arg) {
+            case '--episodes': opts.episodes = parseInt(value, 10); i++; break;
+            case '--episode-length': opts.episodeLength = parseInt(value, 10); i++; break;
+            case '--epsilon': opts.epsilon = parseFloat(value); i++; break;
+            case '--seed': opts.seed = value; i++; break;
+            case '--grid': {
+                const match = /^(\d+)x(\d+)$/.exec(value || '');
+                if (!match) throw new Error('--grid expects ROWSxCOLS, e.g. 2x3');
+                opts.grid = { rows: parseInt(match[1], 10), cols: parseInt(match[2], 10) };
+                i++;
+                break;
+            }
+            case '--coordinated': opts.coordinated = true; break;
+            case '--turning': opts.turning = true; break;
+            case '--yellow': opts.yellow = parseInt(value, 10); i++; break;
+            case '--all-red': opts.allRed = parseInt(value, 10); i++; break;
+            case '--detection': opts.detection = parseFloat(value); i++; break;
+            case '--preemption': opts.preemption = true; break;
+            case '--scenario': opts.scenario = value; i++; break;
+            case '--encoder': opts.encoder = value; i++; break;
+            case '--agent': opts.agent = value; i++; break;
+            case '--algorithm': opts.learning.algorithm = value; i++; break;
+            case '--alpha': opts.learning.alpha = parseFloat(value); i++; break;
+            case '--gamma': opts.learning.gamma = parseFloat(value); i++; break;
+            case '--n': opts.learning.n = parseInt(value, 10); i++; break;
+            case '--lambda': opts.learning.lambda = parseFloat(value); i++; break;
+            case '--interval': opts.interval = parseInt(value, 10); i++; break;
+            case '--explore': opts.exploration.strategy = value; i++; break;
+            case '--schedule': opts.exploration.schedule = value; i++; break;
+            case '--explore-min': opts.exploration.min = parseFloat(value); i++; break;
+            case '--explore-decay': opts.exploration.decay = parseFloat(value); i++; break;
+            case '--checkpoint-every': opts.checkpointEvery = parseInt(value, 10); i++; break;
+            case '--best': opts.best = true; break;
+            case '--history': opts.history = value; i++; break;
+            case '--input': opts.input = value; i++; break;
+            case '--output': opts.output = value; i++; break;
+            case '--help':
+                console.log('Usage: node train.js --episodes N --episode-length S [--epsilon E] [--seed S] [--grid RxC [--coordinated]] [--turning] [--yellow S] [--all-red S] [--detection D] [--preemption] [--scenario preset|file] [--encoder preset|file] [--agent table|linear|mlp] [--algorithm name] [--alpha A] [--gamma G] [--n N] [--lambda L] [--explore strategy] [--schedule name] [--explore-min M] [--explore-decay D] [--interval S] [--checkpoint-every K [--best]] [--history file.csv] [--input file] [--output file]');
+                process.exit(0);
+                break;
+            default:
+                throw new Error(`Unknown argument: ${arg}`);
+        }
+    }
+
+    if (!(opts.episodes > 0) || !(opts.episodeLength > 0)) {
+        throw new Error('--episodes and --episode-length must be positive integers');
+    }
+    if (!(opts.checkpointEvery > 0)) {
+        throw new Error('--checkpoint-every must be a positive integer');
+    }
+    if (opts.best && opts.episodes < opts.checkpointEvery) {
+        throw new Error('--best needs at least --checkpoint-every episodes');
+    }
+    if ((opts.yellow !== null && !(opts.yellow >= 0)) || (opts.allRed !== null && !(opts.allRed >= 0))) {
+        throw new Error('--yellow and --all-red must be non-negative integers');
+    }
+    if (opts.detection !== null && !(opts.detection >= 0)) {
+        throw new Error('--detection must be a non-negative number');
+    }
+    if (!['table', 'linear', 'mlp'].includes(opts.agent)) {
+        throw new Error('--agent expects table, linear or mlp');
+    }
+    return opts;
+}
+
+// Reset / per-tick controller for the chosen kind of agent. With --preemption
+// the agent runs as its registered controller, so controllers.js decide can
+// take over for emergencies.
+function agentKind(opts) {
+    const table = opts.agent === 'table';
+    const step = table ? TrafficAgent.qLearningAgent : TrafficApprox.approxAgent;
+    return {
+        reset: table ? TrafficAgent.resetAgent : TrafficApprox.resetApproxAgent,
+        controller: agent => (opts.preemption
+            ? TrafficControllers.stepper(TrafficControllers.getController(table ? 'AI' : 'DQN').create({ agent: agent, approxAgent: agent }))
+            : env => step(agent, env))
+    };
+}
+
+// Environment options shared by single and grid episodes
+function envOptions(opts, seed, demand) {
+    return { seed: seed, turning: opts.turning, detection: { DISTANCE: opts.detection }, preemption: opts.preemption, demand: demand };
+}
+
+// Each episode gets its own traffic, derived from the run seed
+function runEpisode(agent, opts, seed, demand) {
+    const env = TrafficSim.createEnv(envOptions(opts, seed, demand));
+    const kind = agentKind(opts);
+    kind.reset(agent);
+    const controller = kind.controller(agent);
+
+    for (let t = 0; t < opts.episodeLength; t++) {
+        TrafficSim.step(env, controller);
+    }
+    return env;
+}
+
+// Grid episode: every intersection learns with its own agent
+function runGridEpisode(agents, opts, seed, demand) {
+    const grid = TrafficGrid.createGrid(Object.assign({ rows: opts.grid.rows, cols: opts.grid.cols }, envOptions(opts, seed, demand)));
+    const kind = agentKind(opts);
+    agents.forEach(a => kind.reset(a));
+    const controllers = agents.map(kind.controller);
+
+    for (let t = 0; t < opts.episodeLength; t++) {
+        TrafficGrid.stepGrid(grid, (node, i) => controllers[i]);
+    }
+    return grid;
+}
+
+function main() {
+    const opts = parseArgs(process.argv.slice(2));
+    const seed = opts.seed !== null ? opts.seed : TrafficRng.randomSeed();
+    const table = opts.agent === 'table';
+    const agent = table
+        ? TrafficAgent.createQAgent(undefined, TrafficRng.createRng(TrafficRng.deriveSeed(seed, 'agent')))
+        : TrafficApprox.createApproxAgent({ type: opts.agent, rng: TrafficRng.createRng(TrafficRng.deriveSeed(seed, 'approx')) });
+    let totalSessionTime = 0;
+    let inputData = null;
+    const demand = TrafficDemand.createProfile(opts.scenario
+        ? TrafficDemand.PRESETS[opts.scenario] || JSON.parse(fs.readFileSync(opts.scenario, 'utf8'))
+        : null);
+
+    if (opts.encoder) {
+        if (!table) throw new Error('--encoder only applies to --agent table');
+        const def = TrafficEncoder.PRESETS[opts.encoder] || JSON.parse(fs.readFileSync(opts.encoder, 'utf8'));
+        agent.encoder = TrafficEncoder.validateEncoder(def);
+    }
+    if (opts.input) {
+        inputData = JSON.parse(fs.readFileSync(opts.input, 'utf8'));
+        if (table) {
+            // Continue with the table's own encoder unless one was asked for (loadAgent rejects a mismatch)
+            if (!opts.encoder && inputData.ENCODER) agent.encoder = TrafficEncoder.validateEncoder(inputData.ENCODER);
+            const sessionTime = TrafficAgent.loadAgent(agent, inputData);
+            if (sessionTime !== undefined) totalSessionTime = sessionTime;
+            console.log(`Loaded ${Object.keys(agent.Q).length} states from ${opts.input}`);
+        } else {
+            // The file's model wins over --agent: its weights only fit its own shape
+            const sessionTime = TrafficApprox.loadApproxAgent(agent, inputData);
+            if (sessionTime !== undefined) totalSessionTime = sessionTime;
+            console.log(`Loaded ${agent.type} model (${agent.updates} updates) from ${opts.input}`);
+        }
+    }
+    if (opts.epsilon !== null) agent.epsilon = opts.epsilon;
+    if (opts.interval !== null) TrafficAgent.setTiming(agent, { interval: opts.interval });
+    if (Object.keys(opts.learning).length > 0) {
+        if (!table) throw new Error('--algorithm / --alpha / --gamma / --n / --lambda only apply to --agent table');
+        TrafficAgent.setLearning(agent, Object.assign({}, agent.learning, opts.learning));
+    }
+    if (Object.keys(opts.exploration).length > 0) {
+        if (!table) throw new Error('--explore / --schedule / --explore-min / --explore-decay only apply to --agent table');
+        TrafficAgent.setExploration(agent, Object.assign({}, agent.exploration, opts.exploration));
+    }
+    if (opts.yellow !== null) TrafficSim.CLEARANCE.YELLOW = opts.yellow;
+    if (opts.allRed !== null) TrafficSim.CLEARANCE.ALL_RED = opts.allRed;
+    if (opts.detection === null) opts.detection = TrafficSim.DETECTION.DISTANCE; // Restored by the input file, if any
+
+    // Grid: one copy of the starting table per intersection
+    let gridAgents = [];
+    if (opts.grid) {
+        const count = opts.grid.rows * opts.grid.cols;
+        for (let i = 0; i < count; i++) {
+            const nodeAgent = table
+                ? TrafficAgent.cloneAgent(agent, agent.epsilon, TrafficRng.createRng(TrafficRng.deriveSeed(seed, `agent-${i}`)))
+                : TrafficApprox.cloneApproxAgent(agent, agent.epsilon, TrafficRng.createRng(TrafficRng.deriveSeed(seed, `approx-${i}`)));
+            nodeAgent.observeNeighbours = opts.coordinated;
+            gridAgents.push(nodeAgent);
+        }
+        // Continue per-intersection tables / models from a grid export of the same size
+        if (table && inputData && inputData.GRID && inputData.GRID.tables && inputData.GRID.tables.length === count) {
+            gridAgents.forEach((a, i) => {
+                a.Q = inputData.GRID.tables[i];
+                a.Q2 = inputData.GRID.tables2 ? inputData.GRID.tables2[i] : {};
+            });
+        }
+        if (!table && inputData && inputData.GRID && inputData.GRID.models && inputData.GRID.models.length === count) {
+            gridAgents.forEach((a, i) => TrafficApprox.loadModel(a, inputData.GRID.models[i]));
+        }
+        console.log(`Grid: ${opts.grid.rows}x${opts.grid.cols} (${opts.coordinated ? 'coordinated' : 'independent'})`);
+    }
+
+    console.log(`Seed: ${seed}`);
+    console.log(`Decisions: every ${agent.timing.interval}s or more, when a switch is possible`);
+    if (table) {
+        console.log(`Learning: ${TrafficAgent.describeLearning(agent.learning)}`);
+        console.log(`Exploration: ${TrafficAgent.describeExploration(agent.exploration)}, rate ${agent.epsilon}`);
+    }
+    console.log(table
+        ? `Encoder: ${TrafficEncoder.describe(agent.encoder)}`
+        : `Model: ${agent.type} (${agent.sizes.join('-')}), replay ${TrafficApprox.APPROX.REPLAY_SIZE}, target sync every ${TrafficApprox.APPROX.TARGET_SYNC} steps`);
+    console.log(`Clearance: ${TrafficSim.CLEARANCE.YELLOW}s yellow + ${TrafficSim.CLEARANCE.ALL_RED}s all-red`);
+    console.log(`Emergency detection: ${opts.detection} lane widths ahead of the stop line` +
+        (opts.preemption ? `, pre-emption ${TrafficControllers.PREEMPTION.HORIZON}s ahead` : ''));
+    console.log(`Demand: ${TrafficDemand.describe(demand.scenario)}`);
+    // The model as it would be saved right now (checkpoints store a detached copy)
+    const serialize = metrics => {
+        const extra = {
+            SEED: seed,
+            TURNING: opts.turning,
+            DETECTION: { DISTANCE: opts.detection },
+            EMERGENCY: { detection: opts.detection, preemption: opts.preemption ? Object.assign({ enabled: true }, TrafficControllers.PREEMPTION) : null }, // As the page's exports
+            DEMAND: TrafficDemand.toDefinition(demand.scenario),
+            METRICS: metrics // Metrics of the latest episode
+        };
+        if (opts.grid) {
+            extra.GRID = {
+                rows: opts.grid.rows,
+                cols: opts.grid.cols,
+                observeNeighbours: opts.coordinated
+            };
+            // Row-major, one per intersection
+            if (table) extra.GRID.tables = gridAgents.map(a => a.Q);
+            if (table && agent.learning.algorithm === 'doubleQ') extra.GRID.tables2 = gridAgents.map(a => a.Q2);
+            if (!table) extra.GRID.models = gridAgents.map(a => TrafficApprox.serializeModel(a));
+        }
+        // A grid file carries the first intersection's model at the top level,
+        // so it still holds a trained one when loaded without a grid
+        const lead = opts.grid ? gridAgents[0] : agent;
+        return table
+            ? TrafficAgent.serializeAgent(lead, totalSessionTime, extra)
+            : TrafficApprox.serializeApproxAgent(lead, totalSessionTime, extra);
+    };
+
+    const log = TrafficEpisodes.createTrainingLog({ episodeLength: opts.episodeLength, checkpointEvery: opts.checkpointEvery });
+    const started = Date.now();
+    let lastMetrics = null;
+    for (let ep = 1; ep <= opts.episodes; ep++) {
+        const episodeSeed = TrafficRng.deriveSeed(seed, `episode-${ep}`);
+        let envs;
+        if (opts.grid) {
+            const grid = runGridEpisode(gridAgents, opts, episodeSeed, demand);
+            totalSessionTime += grid.time;
+            envs = grid.nodes;
+        } else {
+            envs = runEpisode(agent, opts, episodeSeed, demand);
+            totalSessionTime += envs.time;
+        }
+
+        const lead = opts.grid ? gridAgents[0] : agent;
+        const summary = TrafficEpisodes.summarizeEpisode(envs, {
+            controller: (table ? 'AI' : 'DQN') + (opts.preemption ? ' +preempt' : ''),
+            seed: episodeSeed,
+            scenario: demand.scenario.name,
+            epsilon: table ? lead.lastRate : lead.epsilon
+        });
+        lastMetrics = TrafficMetrics.summarize(envs);
+        const checkpoint = TrafficEpisodes.recordEpisode(log, summary, () => JSON.parse(JSON.stringify(serialize(lastMetrics))));
+        console.log(`Episode ${ep}/${opts.episodes}: avg/sec ${summary.avgReward.toFixed(2)} | wait ${summary.wait} | ` +
+            `delay ${summary.avgDelay.toFixed(1)}s (LOS ${summary.los}) | ` +
+            `emergencies crossed ${summary.crossed} crashed ${summary.crashed} waited ${summary.waited}` +
+            (opts.preemption ? ` pre-empted ${[].concat(envs).reduce((a, env) => a + env.emergencyStats.preemptions, 0)}` : '') +
+            (table ? ` | explore ${summary.epsilon.toFixed(3)}` : ''));
+        if (checkpoint) console.log(`  Checkpoint: ${checkpoint.score.toFixed(2)} avg/sec over the last ${log.checkpointEvery} episodes`);
+    }
+
+    let filePath = opts.output;
+    if (!filePath) {
+        if (!fs.existsSync(TRAINING_DIR)) {
+            fs.mkdirSync(TRAINING_DIR);
+        }
+        filePath = path.join(TRAINING_DIR, `traffic_q_table_${new Date().getTime()}.json`);
+    }
+
+    const best = TrafficEpisodes.bestCheckpoint(log);
+    let data = serialize(lastMetrics);
+    if (opts.best) {
+        data = Object.assign(best.data, { TOTAL_SESSION_TIME: totalSessionTime });
+        console.log(`Best checkpoint: episode ${best.episode} (${best.score.toFixed(2)} avg/sec)`);
+    }
+    data.EPISODES = TrafficEpisodes.summarizeLog(log);
+    fs.writeFileSync(filePath, JSON.stringify(data, null, 2));
+    if (opts.history) {
+        fs.writeFileSync(opts.history, TrafficEpisodes.toCSV(log));
+        console.log(`Learning curve: ${opts.history}`);
+    }
+    console.log(`Trained ${opts.episodes} episodes in ${((Date.now() - started) / 1000).toFixed(1)}s`);
+    console.log(`Saved: ${filePath}`);
+}
+
+main();